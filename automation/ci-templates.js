@@ -0,0 +1,356 @@
+/**
+ * 🧪 CI Workflow Templates
+ *
+ * One job template per stack. Stacks are detected from what the analysis
+ * found in the repository (fetched key files, their fingerprint and marker
+ * files in the tree) rather than GitHub's language field, and a repository
+ * with several stacks gets one job per stack in a single workflow.
+ */
+
+const INTELLIGENCE_URL = 'https://homelab-intelligence.edcet.workers.dev';
+
+/**
+ * Node lockfiles and the install command each implies
+ */
+const NODE_INSTALL = {
+  'package-lock.json': { cache: 'npm', install: 'npm ci' },
+  'npm-shrinkwrap.json': { cache: 'npm', install: 'npm ci' },
+  'yarn.lock': { cache: 'yarn', install: 'yarn install --frozen-lockfile' },
+  'pnpm-lock.yaml': { cache: 'pnpm', install: 'pnpm install --frozen-lockfile' }
+};
+
+/**
+ * Stack templates in job order: `detect` returns the context a job needs, or
+ * null when the repository does not use the stack
+ */
+export const CI_TEMPLATES = [
+  {
+    stack: 'node',
+    detect: ({ keyFiles, markers }) => {
+      const manifest = keyFiles.find(file => file.kind === 'package');
+      if (!manifest) return null;
+      const dir = dirOf(manifest.path);
+      const lockfile = (markers.node || []).find(path => dirOf(path) === dir);
+      return { dir, lockfile };
+    },
+    job: ({ dir, lockfile }) => {
+      const setup = lockfile ? NODE_INSTALL[basename(lockfile)] : null;
+      return `  node:
+    name: Node.js
+    runs-on: ubuntu-latest
+${workingDirectory(dir)}    steps:
+      - uses: actions/checkout@v4
+${setup?.cache === 'pnpm' ? `      - run: corepack enable
+` : ''}      - uses: actions/setup-node@v4
+        with:
+          node-version: '20'
+${setup ? `          cache: ${setup.cache}
+          cache-dependency-path: ${lockfile}
+` : ''}      - run: ${setup?.install || 'npm install'}
+      - run: npm run lint --if-present
+      - run: npm test --if-present
+      - run: npm run build --if-present
+`;
+    }
+  },
+
+  {
+    stack: 'python',
+    detect: ({ markers }) => {
+      const [first] = markers.python || [];
+      if (!first) return null;
+      const dir = dirOf(first);
+      const inDir = (markers.python || []).filter(path => dirOf(path) === dir);
+      return {
+        dir,
+        requirements: inDir.find(path => /(^|\/)requirements\.txt$/.test(path)) || null,
+        installable: inDir.some(path => /(^|\/)(pyproject\.toml|setup\.py)$/.test(path))
+      };
+    },
+    job: ({ dir, requirements, installable }) => `  python:
+    name: Python
+    runs-on: ubuntu-latest
+${workingDirectory(dir)}    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/setup-python@v5
+        with:
+          python-version: '3.12'
+${requirements ? `          cache: pip
+          cache-dependency-path: ${requirements}
+` : ''}      - name: Install dependencies
+        run: |
+          python -m pip install --upgrade pip
+${requirements ? `          pip install -r ${basename(requirements)}
+` : ''}${installable ? `          pip install .
+` : ''}          pip install ruff pytest
+      - name: Lint
+        run: ruff check .
+      - name: Test
+        # pytest exits with 5 when no tests were collected
+        run: pytest || [ $? -eq 5 ]
+`
+  },
+
+  {
+    stack: 'go',
+    detect: ({ markers }) => {
+      const [module] = markers.go || [];
+      return module ? { dir: dirOf(module), module } : null;
+    },
+    job: ({ dir, module }) => `  go:
+    name: Go
+    runs-on: ubuntu-latest
+${workingDirectory(dir)}    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/setup-go@v5
+        with:
+          go-version-file: ${module}
+          cache-dependency-path: ${dir === '.' ? 'go.sum' : `${dir}/go.sum`}
+      - run: go vet ./...
+      - run: go test ./...
+      - run: go build ./...
+`
+  },
+
+  {
+    stack: 'terraform',
+    detect: ({ keyFiles, markers }) => {
+      const paths = [
+        ...keyFiles.filter(file => file.kind === 'terraform').map(file => file.path),
+        ...(markers.opentofu || [])
+      ];
+      if (paths.length === 0) return null;
+      return { dirs: unique(paths.map(dirOf)).slice(0, 10), tofu: (markers.opentofu || []).length > 0 };
+    },
+    job: ({ dirs, tofu }) => {
+      const cli = tofu ? 'tofu' : 'terraform';
+      return `  terraform:
+    name: ${tofu ? 'OpenTofu' : 'Terraform'}
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: ${tofu ? 'opentofu/setup-opentofu@v1' : 'hashicorp/setup-terraform@v3'}
+      - name: Check formatting
+        run: ${cli} fmt -check -recursive
+      - name: Validate configurations
+        run: |
+          for dir in ${dirs.map(shellQuote).join(' ')}; do
+            ${cli} -chdir="$dir" init -backend=false -input=false
+            ${cli} -chdir="$dir" validate
+          done
+`;
+    }
+  },
+
+  {
+    stack: 'pulumi',
+    detect: ({ keyFiles, details }) => {
+      const project = keyFiles.find(file => file.kind === 'pulumi' && /(^|\/)Pulumi\.ya?ml$/.test(file.path));
+      if (!project) return null;
+      const runtime = (details.pulumi?.runtimes || []).find(Boolean) || (details.node ? 'nodejs' : null);
+      return { dir: dirOf(project.path), runtime };
+    },
+    job: ({ dir, runtime }) => `  pulumi:
+    name: Pulumi preview
+    runs-on: ubuntu-latest
+    env:
+      PULUMI_ACCESS_TOKEN: \${{ secrets.PULUMI_ACCESS_TOKEN }}
+${workingDirectory(dir)}    steps:
+      - uses: actions/checkout@v4
+${pulumiRuntimeSteps(runtime)}      - name: Preview stack
+        # Runs once the PULUMI_ACCESS_TOKEN secret and PULUMI_STACK variable are configured
+        if: env.PULUMI_ACCESS_TOKEN != '' && vars.PULUMI_STACK != ''
+        uses: pulumi/actions@v5
+        with:
+          command: preview
+          stack-name: \${{ vars.PULUMI_STACK }}
+          work-dir: ${dir}
+`
+  },
+
+  {
+    stack: 'docker',
+    detect: ({ keyFiles, markers }) => {
+      const composeFiles = keyFiles.filter(file => file.kind === 'compose').map(file => file.path);
+      const dockerfiles = (markers.docker || []).slice(0, 5);
+      return composeFiles.length > 0 || dockerfiles.length > 0 ? { composeFiles, dockerfiles } : null;
+    },
+    job: ({ composeFiles, dockerfiles }) => `  docker:
+    name: Docker
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+${composeFiles.length > 0 ? `      - name: Validate Compose files
+        run: |
+${composeFiles.map(path => `          docker compose -f ${shellQuote(path)} config --quiet\n`).join('')}` : ''}${dockerfiles.length > 0 ? `      - uses: docker/setup-buildx-action@v3
+${dockerfiles.map(path => `      - name: Build ${path}
+        uses: docker/build-push-action@v6
+        with:
+          context: ${dirOf(path)}
+          file: ${path}
+          push: false
+`).join('')}` : ''}`
+  },
+
+  {
+    stack: 'helm',
+    detect: ({ keyFiles }) => {
+      const charts = keyFiles.filter(file => file.kind === 'helm' && /(^|\/)Chart\.yaml$/.test(file.path));
+      return charts.length > 0 ? { dirs: unique(charts.map(file => dirOf(file.path))) } : null;
+    },
+    job: ({ dirs }) => `  helm:
+    name: Helm
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: azure/setup-helm@v4
+      - name: Lint and render charts
+        run: |
+          for chart in ${dirs.map(shellQuote).join(' ')}; do
+            if grep -q '^dependencies:' "$chart/Chart.yaml"; then
+              helm dependency update "$chart"
+            fi
+            helm lint "$chart"
+            helm template "$chart" > /dev/null
+          done
+`
+  },
+
+  {
+    stack: 'ansible',
+    detect: ({ markers }) => (markers.ansible || []).length > 0 ? {} : null,
+    job: () => `  ansible:
+    name: Ansible
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/setup-python@v5
+        with:
+          python-version: '3.12'
+      - run: pip install ansible ansible-lint
+      - name: Lint playbooks and roles
+        run: ansible-lint
+`
+  },
+
+  {
+    stack: 'shell',
+    detect: ({ details }) => details.shell ? {} : null,
+    job: () => `  shell:
+    name: Shell scripts
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - name: ShellCheck
+        uses: ludeeus/action-shellcheck@2.0.0
+`
+  }
+];
+
+/**
+ * Stacks a repository uses, each with the context its job template needs
+ */
+export function detectStacks(repoAnalysis) {
+  const inventory = repoAnalysis.file_inventory || {};
+  const facts = {
+    details: repoAnalysis.tech_stack?.details || {},
+    keyFiles: inventory.key_files || [],
+    markers: inventory.stack_markers || {}
+  };
+
+  return CI_TEMPLATES.flatMap(template => {
+    const context = template.detect(facts);
+    return context ? [{ stack: template.stack, context }] : [];
+  });
+}
+
+/**
+ * CI workflow with one job per detected stack and a final job reporting the
+ * run to the intelligence platform, or null when no stack was detected
+ */
+export function buildCIWorkflow(fullName, repoAnalysis) {
+  const stacks = detectStacks(repoAnalysis);
+  if (stacks.length === 0) return null;
+
+  const jobs = stacks.map(({ stack, context }) => CI_TEMPLATES.find(t => t.stack === stack).job(context));
+  const names = stacks.map(({ stack }) => stack);
+
+  return `name: 📈 Enhanced CI with Intelligence
+
+on:
+  push:
+    branches: [ main, master ]
+  pull_request:
+    branches: [ main, master ]
+
+permissions:
+  contents: read
+
+jobs:
+${jobs.join('\n')}
+  intelligence:
+    name: 🧠 Intelligence Analysis
+    runs-on: ubuntu-latest
+    needs: [${names.join(', ')}]
+    if: always()
+    steps:
+      - name: Report CI run
+        run: |
+          curl -X POST "${INTELLIGENCE_URL}/analyze" \\
+            -H "Content-Type: application/json" \\
+            -d '{
+              "repository": "${fullName}",
+              "stacks": ${JSON.stringify(names)},
+              "context": "ci-run",
+              "result": "\${{ contains(needs.*.result, 'failure') && 'failure' || 'success' }}"
+            }'
+`;
+}
+
+function pulumiRuntimeSteps(runtime) {
+  switch (runtime) {
+    case 'nodejs':
+      return `      - uses: actions/setup-node@v4
+        with:
+          node-version: '20'
+      - run: npm install
+`;
+    case 'python':
+      return `      - uses: actions/setup-python@v5
+        with:
+          python-version: '3.12'
+      - run: if [ -f requirements.txt ]; then pip install -r requirements.txt; fi
+`;
+    case 'go':
+      return `      - uses: actions/setup-go@v5
+        with:
+          go-version: stable
+`;
+    default:
+      return '';
+  }
+}
+
+function workingDirectory(dir) {
+  if (dir === '.') return '';
+  return `    defaults:
+      run:
+        working-directory: ${dir}
+`;
+}
+
+function dirOf(path) {
+  return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '.';
+}
+
+function basename(path) {
+  return path.split('/').pop();
+}
+
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
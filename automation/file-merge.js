@@ -0,0 +1,254 @@
+/**
+ * 🔀 Generated File Merging
+ *
+ * Merges template output into files a repository already has instead of
+ * replacing them. Workflows are merged structurally on their text, so every
+ * existing line, comment and job survives and only missing triggers, keys,
+ * jobs and steps are inserted. JSON files gain missing keys while the
+ * repository's own settings win. Anything that cannot be combined safely is
+ * reported as a conflict and the existing file is left untouched.
+ */
+
+import { entryKind, indentOf, isComment, nodeText, parseMapping, parseSequence, stripComment, unquote } from './yaml-blocks.js';
+
+/**
+ * Merge `generated` into the `existing` content of `path` (null when the file
+ * does not exist yet). Returns the content to write, a description of each
+ * change and the conflicts that prevented merging.
+ */
+export function mergeGeneratedFile(path, existing, generated) {
+  if (existing === null || existing === generated) {
+    return { content: existing ?? generated, changes: [], conflicts: [] };
+  }
+  if (/\.json$/i.test(path)) return mergeJson(existing, generated);
+  if (/\.ya?ml$/i.test(path)) return mergeYaml(existing, generated);
+
+  return { content: existing, changes: [], conflicts: ['the file already exists with different content and this file type cannot be merged'] };
+}
+
+/**
+ * Add keys missing from a JSON document. Values the repository already set
+ * are kept; only structural mismatches (object vs. value) conflict.
+ */
+function mergeJson(existing, generated) {
+  let current;
+  try {
+    current = JSON.parse(existing);
+  } catch (error) {
+    return { content: existing, changes: [], conflicts: [`the existing file is not valid JSON (${error.message})`] };
+  }
+
+  const changes = [];
+  const conflicts = [];
+  const merged = mergeJsonValues(current, JSON.parse(generated), [], changes, conflicts);
+  if (conflicts.length > 0) return { content: existing, changes: [], conflicts };
+  if (changes.length === 0) return { content: existing, changes, conflicts };
+
+  const indent = /\n([ \t]+)"/.exec(existing)?.[1] || 2;
+  return {
+    content: JSON.stringify(merged, null, indent) + (existing.endsWith('\n') ? '\n' : ''),
+    changes,
+    conflicts
+  };
+}
+
+function mergeJsonValues(current, generated, path, changes, conflicts) {
+  if (isPlainObject(current) && isPlainObject(generated)) {
+    const merged = { ...current };
+    for (const [key, value] of Object.entries(generated)) {
+      if (key in current) {
+        merged[key] = mergeJsonValues(current[key], value, [...path, key], changes, conflicts);
+      } else {
+        merged[key] = value;
+        changes.push(`Added \`${[...path, key].join('.')}\``);
+      }
+    }
+    return merged;
+  }
+
+  if (isPlainObject(current) !== isPlainObject(generated) || Array.isArray(current) !== Array.isArray(generated)) {
+    conflicts.push(`\`${path.join('.') || '(root)'}\` is ${describeJson(current)} in the existing file but the generated file needs ${describeJson(generated)}`);
+  }
+  return current;
+}
+
+/**
+ * Merge a generated workflow into an existing one by inserting whatever it lacks
+ */
+function mergeYaml(existing, generated) {
+  const expanded = expandInlineTriggers(existing);
+  const ctx = {
+    ex: expanded.content.split('\n'),
+    gen: generated.split('\n'),
+    ops: [],
+    changes: expanded.change ? [expanded.change] : [],
+    conflicts: []
+  };
+
+  const exRoot = parseMapping(ctx.ex, 0, ctx.ex.length);
+  const genRoot = parseMapping(ctx.gen, 0, ctx.gen.length);
+  if (!exRoot || !genRoot) {
+    return { content: existing, changes: [], conflicts: ['the existing file is not a block-style YAML mapping'] };
+  }
+
+  mergeMapping(ctx, exRoot, genRoot, []);
+  if (ctx.conflicts.length > 0) return { content: existing, changes: [], conflicts: ctx.conflicts };
+  if (ctx.ops.length === 0) return { content: existing, changes: [], conflicts: [] };
+
+  // Insert bottom-up so earlier positions stay valid, keeping generated order at equal positions
+  const lines = [...ctx.ex];
+  for (const op of [...ctx.ops].sort((a, b) => b.at - a.at || b.seq - a.seq)) {
+    lines.splice(op.at, 0, ...op.lines);
+  }
+  return { content: lines.join('\n'), changes: ctx.changes, conflicts: [] };
+}
+
+function mergeMapping(ctx, exMap, genMap, path) {
+  genMap.entries.forEach((genEntry, index) => {
+    const keyPath = [...path, genEntry.key];
+    const exEntry = exMap.entries.find(entry => entry.key === genEntry.key);
+
+    if (!exEntry) {
+      insertSibling(ctx, exMap, genMap, index, entry => exMap.entries.find(e => e.key === entry.key), exMap.indent - genMap.indent);
+      ctx.changes.push(describeAddition(keyPath));
+      return;
+    }
+    if (nodeText(ctx.ex, exEntry) === nodeText(ctx.gen, genEntry) || keepsExisting(keyPath)) return;
+
+    const exKind = entryKind(ctx.ex, exEntry);
+    const genKind = entryKind(ctx.gen, genEntry);
+    if (exKind === 'mapping' && genKind === 'mapping') {
+      mergeMapping(ctx, parseMapping(ctx.ex, exEntry.line + 1, exEntry.end), parseMapping(ctx.gen, genEntry.line + 1, genEntry.end), keyPath);
+    } else if (genEntry.key === 'steps' && exKind === 'sequence' && genKind === 'sequence') {
+      mergeSteps(ctx, exEntry, genEntry, keyPath);
+    } else if (exKind !== genKind) {
+      ctx.conflicts.push(`\`${keyPath.join('.')}\` is a ${exKind} in the existing file but a ${genKind} in the generated one`);
+    } else {
+      ctx.conflicts.push(`\`${keyPath.join('.')}\` is set differently in the existing file`);
+    }
+  });
+}
+
+/**
+ * Add generated steps a job lacks next to the steps they follow in the
+ * template. Steps are matched by id, name or action.
+ */
+function mergeSteps(ctx, exEntry, genEntry, path) {
+  const exSeq = parseSequence(ctx.ex, exEntry.line + 1, exEntry.end);
+  const genSeq = parseSequence(ctx.gen, genEntry.line + 1, genEntry.end);
+  const job = path[path.length - 2];
+  const counterpart = item => exSeq.entries.find(existing => sameStep(existing.fields, item.fields));
+
+  genSeq.entries.forEach((genItem, index) => {
+    const exItem = counterpart(genItem);
+    if (!exItem) {
+      insertSibling(ctx, exSeq, genSeq, index, counterpart, exSeq.indent - genSeq.indent);
+      ctx.changes.push(`Added step ${stepLabel(genItem.fields)} to job \`${job}\``);
+      return;
+    }
+
+    // A repository pinning another version of the same action keeps its pin
+    const withoutRef = (lines, item) => nodeText(lines, item).replace(/(uses:\s*[^@\s]+)@\S+/g, '$1');
+    if (withoutRef(ctx.ex, exItem) !== withoutRef(ctx.gen, genItem)) {
+      ctx.conflicts.push(`step ${stepLabel(genItem.fields)} of job \`${job}\` differs from the generated one`);
+    }
+  });
+}
+
+/**
+ * Queue the insertion of generated sibling `index` after the existing
+ * counterpart of the closest earlier sibling, else before the counterpart of
+ * the closest later one, else at the end
+ */
+function insertSibling(ctx, exNode, genNode, index, counterpart, shift) {
+  const genEntry = genNode.entries[index];
+  const previous = genNode.entries.slice(0, index).reverse().map(counterpart).find(Boolean);
+  const next = genNode.entries.slice(index + 1).map(counterpart).find(Boolean);
+  const spaced = exNode.entries.some((entry, i) => i > 0 && ctx.ex[entry.line - 1].trim() === '');
+
+  const block = shiftLines(trimTrailingBlank(ctx.gen.slice(genEntry.line, genEntry.end)), shift);
+  let at;
+  let lines;
+  if (previous || !next) {
+    at = (previous || exNode.entries[exNode.entries.length - 1]).end;
+    lines = spaced ? ['', ...block] : block;
+  } else {
+    at = next.line;
+    while (at > 0 && isComment(ctx.ex[at - 1]) && indentOf(ctx.ex[at - 1]) === exNode.indent) at--;
+    lines = spaced ? [...block, ''] : block;
+  }
+  ctx.ops.push({ at, lines, seq: ctx.ops.length });
+}
+
+/**
+ * Rewrite `on: push` or `on: [push, pull_request]` as a trigger mapping so
+ * triggers can be added to it
+ */
+function expandInlineTriggers(content) {
+  const lines = content.split('\n');
+  const index = lines.findIndex(line => /^["']?on["']?:\s+[^\s#]/.test(line));
+  if (index === -1) return { content, change: null };
+
+  const value = stripComment(lines[index].replace(/^["']?on["']?:\s+/, ''));
+  const triggers = value.startsWith('[') && value.endsWith(']')
+    ? value.slice(1, -1).split(',').map(item => unquote(item.trim())).filter(Boolean)
+    : /^[\w-]+$/.test(value) ? [value] : null;
+  if (!triggers) return { content, change: null };
+
+  const unit = ' '.repeat(lines.map(indentOf).find((indent, i) => indent > 0 && lines[i].trim()) || 2);
+  lines.splice(index, 1, 'on:', ...triggers.map(trigger => `${unit}${trigger}:`));
+  return { content: lines.join('\n'), change: `Expanded \`on: ${value}\` into a trigger mapping` };
+}
+
+function sameStep(a, b) {
+  if (a.id && b.id) return a.id === b.id;
+  if (a.name && b.name && a.name === b.name) return true;
+  if (a.uses && b.uses) return stripRef(a.uses) === stripRef(b.uses) && (!a.name || !b.name || a.name === b.name);
+  if (a.run && b.run) return !a.name && !b.name && a.run === b.run;
+  return false;
+}
+
+function stepLabel(fields) {
+  return `\`${fields.name || fields.uses || fields.id || fields.run || 'unnamed'}\``;
+}
+
+/**
+ * Values the repository owns: the workflow name and how each trigger is configured
+ */
+function keepsExisting(path) {
+  return (path.length === 1 && ['name', 'run-name'].includes(path[0])) || (path[0] === 'on' && path.length >= 2);
+}
+
+function describeAddition(path) {
+  if (path[0] === 'on' && path.length === 2) return `Added trigger \`${path[1]}\``;
+  if (path[0] === 'jobs' && path.length === 2) return `Added job \`${path[1]}\``;
+  if (path[0] === 'jobs' && path.length === 3) return `Added \`${path[2]}\` to job \`${path[1]}\``;
+  return `Added \`${path.join('.')}\``;
+}
+
+function shiftLines(lines, shift) {
+  return lines.map(line => {
+    if (line.trim() === '') return line;
+    return shift >= 0 ? ' '.repeat(shift) + line : line.slice(Math.min(-shift, indentOf(line)));
+  });
+}
+
+function trimTrailingBlank(lines) {
+  const result = [...lines];
+  while (result.length > 0 && result[result.length - 1].trim() === '') result.pop();
+  return result;
+}
+
+function stripRef(uses) {
+  return uses.replace(/@.*$/, '');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeJson(value) {
+  if (Array.isArray(value)) return 'a list';
+  if (isPlainObject(value)) return 'an object';
+  return value === null ? 'null' : `a ${typeof value}`;
+}
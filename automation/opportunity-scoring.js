@@ -0,0 +1,178 @@
+/**
+ * 🏆 Opportunity Scoring
+ *
+ * Ranks the PR opportunities of a repository by expected value. The score is
+ * the sum of five factors, each reported with its points and the fact behind
+ * them so the PR body can show why a PR was opened:
+ * - priority of the opportunity type
+ * - severity of the findings it fixes
+ * - reach: how many other repositories share the issue
+ * - size: small changes are cheaper to review and merge
+ * - history: how earlier PRs of this type fared in this repository
+ */
+
+import { repositoryKey } from '../shared/constellation.js';
+import { countChangedLines } from './pr-policy.js';
+
+export const MAX_PRS_PER_REPOSITORY = 2;
+
+/**
+ * Types closed this often without a single merge are no longer proposed
+ */
+export const REJECTION_LIMIT = 3;
+
+const PRIORITY_POINTS = { high: 30, medium: 20, low: 10 };
+const SEVERITY_POINTS = { critical: 40, high: 30, medium: 15, low: 5, info: 0 };
+const SEVERITY_CAP = 50;
+const REACH_POINTS = 6;
+const REACH_CAP = 24;
+const SIZE_POINTS = 20;
+const SIZE_LIMIT = 400;
+const HISTORY_POINTS = 20;
+
+/**
+ * Score one opportunity. `files` carry their diff against the default branch,
+ * `vulnerabilities` are this repository's trusted findings, `shared` maps
+ * other repositories to the findings they have in common (see `sharedFindings`)
+ * and `history` counts earlier PRs of this type as `{ merged, closed }`.
+ */
+export function scoreOpportunity(opportunity, { files = [], vulnerabilities = [], shared = [], history = null } = {}) {
+  const breakdown = [
+    priorityFactor(opportunity),
+    severityFactor(opportunity, vulnerabilities),
+    reachFactor(opportunity, shared),
+    sizeFactor(files),
+    historyFactor(history)
+  ];
+
+  const rationale = breakdown
+    .filter(factor => factor.points !== 0)
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+    .slice(0, 3)
+    .map(factor => factor.detail)
+    .join('; ');
+
+  return {
+    total: breakdown.reduce((total, factor) => total + factor.points, 0),
+    breakdown,
+    rationale: rationale || 'no distinguishing factors'
+  };
+}
+
+/**
+ * Other repositories that share an issue with `fullName` (`owner/name`), for
+ * the reach factor: scanner rules that also fired elsewhere, and workflow clusters
+ */
+export function sharedFindings(fullName, vulnerabilities, analyses, clusters = []) {
+  const rules = new Set(vulnerabilities.map(v => v?.rule_id).filter(Boolean));
+  const security = analyses
+    .filter(analysis => repositoryKey(analysis) !== fullName)
+    .filter(analysis => (analysis.security?.vulnerabilities || []).some(v => v?.source === 'scanner' && rules.has(v.rule_id)))
+    .map(analysis => ({ type: 'security-hardening', repository: repositoryKey(analysis) }));
+
+  const duplication = clusters
+    .filter(cluster => cluster.repositories.includes(fullName))
+    .flatMap(cluster => cluster.repositories.filter(repository => repository !== fullName))
+    .map(repository => ({ type: 'duplication-removal', repository }));
+
+  return [...security, ...duplication];
+}
+
+/**
+ * Highest score first, ties keep their original order
+ */
+export function rankOpportunities(opportunities) {
+  return opportunities
+    .map((opportunity, index) => ({ opportunity, index }))
+    .sort((a, b) => b.opportunity.score.total - a.opportunity.score.total || a.index - b.index)
+    .map(({ opportunity }) => opportunity);
+}
+
+/**
+ * Whether a repository keeps rejecting PRs of a type, from its `{ merged, closed }` history
+ */
+export function isRejected(history) {
+  return (history?.merged || 0) === 0 && (history?.closed || 0) >= REJECTION_LIMIT;
+}
+
+/**
+ * Markdown table of a score for PR bodies
+ */
+export function formatScore(score) {
+  let text = `**Score**: ${score.total} (${score.rationale})\n\n`;
+  text += `| Factor | Points | Basis |\n`;
+  text += `| --- | ---: | --- |\n`;
+  score.breakdown.forEach(factor => {
+    text += `| ${factor.factor} | ${factor.points > 0 ? '+' : ''}${factor.points} | ${factor.detail} |\n`;
+  });
+  return text;
+}
+
+function priorityFactor(opportunity) {
+  const points = PRIORITY_POINTS[opportunity.priority] ?? 0;
+  return { factor: 'priority', points, detail: `${opportunity.priority} priority` };
+}
+
+function severityFactor(opportunity, vulnerabilities) {
+  if (opportunity.type !== 'security-hardening' || vulnerabilities.length === 0) {
+    return { factor: 'severity', points: 0, detail: 'no findings with a severity' };
+  }
+
+  // The worst finding sets the base, every further finding adds a little
+  const weights = vulnerabilities.map(v => SEVERITY_POINTS[String(v?.severity).toLowerCase()] ?? SEVERITY_POINTS.low);
+  const worst = vulnerabilities[weights.indexOf(Math.max(...weights))];
+  const points = Math.min(SEVERITY_CAP, Math.max(...weights) + 2 * (vulnerabilities.length - 1));
+  return {
+    factor: 'severity',
+    points,
+    detail: `${plural(vulnerabilities.length, 'finding')}, worst \`${worst?.severity || 'unknown'}\``
+  };
+}
+
+function reachFactor(opportunity, shared) {
+  const repositories = [...new Set(shared.filter(item => item.type === opportunity.type).map(item => item.repository))];
+  if (repositories.length === 0) {
+    return { factor: 'reach', points: 0, detail: 'not shared with other repositories' };
+  }
+  return {
+    factor: 'reach',
+    points: Math.min(REACH_CAP, REACH_POINTS * repositories.length),
+    detail: `shared with ${plural(repositories.length, 'other repository', 'other repositories')}`
+  };
+}
+
+function sizeFactor(files) {
+  const changed = files.filter(file => file.status !== 'unchanged');
+  const lines = changed.reduce((total, file) => total + countChangedLines(file.diff), 0);
+  return {
+    factor: 'size',
+    points: Math.round(SIZE_POINTS * (1 - Math.min(lines, SIZE_LIMIT) / SIZE_LIMIT)),
+    detail: `${plural(lines, 'changed line')} in ${plural(changed.length, 'file')}`
+  };
+}
+
+/**
+ * Merge rate with one merged and one closed PR assumed, so a single outcome
+ * does not swing the score to either extreme
+ */
+function historyFactor(history) {
+  const merged = history?.merged || 0;
+  const closed = history?.closed || 0;
+  if (merged + closed === 0) {
+    return { factor: 'history', points: 0, detail: 'no earlier PRs of this type' };
+  }
+
+  const rate = (merged + 1) / (merged + closed + 2);
+  return {
+    factor: 'history',
+    points: Math.round((rate - 0.5) * 2 * HISTORY_POINTS),
+    detail: `${merged} of ${merged + closed} earlier PRs merged`
+  };
+}
+
+/**
+ * Count with its noun, e.g. `1 file`, `2 files`
+ */
+export function plural(count, noun, nouns = `${noun}s`) {
+  return `${count} ${count === 1 ? noun : nouns}`;
+}
@@ -0,0 +1,268 @@
+/**
+ * 🛠️ Optimization File Generators
+ *
+ * Text-level rewrites of existing GitHub Actions workflows for the
+ * duplication-removal and performance-optimization PRs. Edits are made line
+ * by line so comments and unrelated content stay exactly as they were, and
+ * every rewrite reports what it changed for the PR body.
+ */
+
+import { plural } from './opportunity-scoring.js';
+import { indentOf, nodeText, parseMapping, topLevelBlocks } from './yaml-blocks.js';
+
+/**
+ * Pick the repository that hosts the shared copy of each workflow cluster:
+ * the PR-enabled member that appears in the most clusters, then by name
+ */
+export function assignCanonicalRepositories(clusters, pullRequestRepos) {
+  const workflowClusters = clusters.filter(cluster => cluster.kind === 'workflow');
+  const membership = {};
+  for (const cluster of workflowClusters) {
+    for (const repository of cluster.repositories) {
+      membership[repository] = (membership[repository] || 0) + 1;
+    }
+  }
+
+  return workflowClusters.flatMap(cluster => {
+    const candidates = cluster.repositories
+      .filter(repository => pullRequestRepos.includes(repository))
+      .sort((a, b) => membership[b] - membership[a] || a.localeCompare(b));
+    if (candidates.length === 0) return [];
+
+    const canonical = cluster.members.find(member => member.repository === candidates[0]);
+    return [{ ...cluster, canonical: { repository: canonical.repository, path: canonical.path } }];
+  });
+}
+
+/**
+ * Path of the reusable workflow extracted from `path`
+ */
+export function sharedWorkflowPath(path) {
+  const file = path.split('/').pop();
+  return `.github/workflows/${file.startsWith('shared-') ? file : `shared-${file}`}`;
+}
+
+/**
+ * Turn a workflow into a reusable one by replacing its triggers with
+ * workflow_call. Concurrency stays with the caller: the same group at both
+ * levels deadlocks the run.
+ */
+export function toReusableWorkflow(content) {
+  const blocks = topLevelBlocks(content).filter(block => !isKey(block.key, 'concurrency'));
+  const on = blocks.find(block => isKey(block.key, 'on'));
+  if (!on) return null;
+
+  on.lines = ['on:', '  workflow_call:', ...trailingBlankLines(on.lines)];
+  return joinBlocks(blocks);
+}
+
+/**
+ * Replace a workflow's jobs with a single call to the shared workflow, keeping
+ * its name, triggers, permissions and concurrency
+ */
+export function toCallerWorkflow(content, uses) {
+  const blocks = topLevelBlocks(content);
+  const kept = blocks.filter(block => block.key === null || ['name', 'on', 'permissions', 'concurrency'].some(key => isKey(block.key, key)));
+  if (!kept.some(block => isKey(block.key, 'on'))) return null;
+
+  const lines = kept.flatMap(block => block.lines);
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+
+  return [
+    ...lines,
+    '',
+    'jobs:',
+    '  shared:',
+    `    uses: ${uses}`,
+    '    secrets: inherit',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Apply concrete performance changes to a workflow: removal of jobs identical
+ * to an earlier job, dependency caching for setup actions, and cancellation of superseded pull request runs.
+ *
+ * `packageManager` is 'npm', 'yarn', 'pnpm' or null; `pip` tells whether a
+ * requirements.txt exists for pip caching.
+ */
+export function optimizeWorkflow(content, { packageManager = null, pip = false } = {}) {
+  const removed = removeDuplicateJobs(content.split('\n'));
+  const lines = removed.lines;
+  const changes = removed.jobs.map(({ job, keptAs }) =>
+    `Removed job \`${job}\`, an exact duplicate of \`${keptAs}\` (dependents now use \`${keptAs}\`)`);
+
+  if (packageManager) {
+    const added = addSetupCache(lines, 'actions/setup-node', packageManager);
+    if (added > 0) changes.push(`Enabled \`${packageManager}\` dependency caching on ${plural(added, 'actions/setup-node step')}`);
+  }
+  if (pip) {
+    const added = addSetupCache(lines, 'actions/setup-python', 'pip');
+    if (added > 0) changes.push(`Enabled \`pip\` dependency caching on ${plural(added, 'actions/setup-python step')}`);
+  }
+
+  if (addConcurrency(lines)) {
+    changes.push('Cancel superseded pull request runs with a `concurrency` group');
+  }
+
+  return { content: lines.join('\n'), changes };
+}
+
+/**
+ * Add `cache: <value>` to every step using `action` that has no cache yet.
+ * Mutates `lines` and returns the number of steps changed.
+ */
+function addSetupCache(lines, action, value) {
+  let changed = 0;
+
+  for (let index = 0; index < lines.length; index++) {
+    const match = new RegExp(`^(\\s*)(-\\s+)?uses:\\s*["']?${action.replace('/', '\\/')}@`).exec(lines[index]);
+    if (!match) continue;
+
+    // Keys of this step are aligned with `uses:`
+    const keyIndent = match[1].length + (match[2]?.length || 0);
+    const stepEnd = findStepEnd(lines, index, keyIndent);
+    const withIndex = lines.slice(index + 1, stepEnd).findIndex(line => new RegExp(`^ {${keyIndent}}with:\\s*(#.*)?$`).test(line));
+
+    if (withIndex === -1) {
+      lines.splice(stepEnd, 0, `${' '.repeat(keyIndent)}with:`, `${' '.repeat(keyIndent + 2)}cache: ${value}`);
+      changed++;
+      continue;
+    }
+
+    const withLine = index + 1 + withIndex;
+    const children = lines.slice(withLine + 1, stepEnd).filter(line => line.trim() && !line.trim().startsWith('#'));
+    if (children.some(line => /^\s*cache:/.test(line))) continue;
+
+    const childIndent = children.length > 0 ? /^(\s*)/.exec(children[0])[1].length : keyIndent + 2;
+    lines.splice(withLine + 1, 0, `${' '.repeat(childIndent)}cache: ${value}`);
+    changed++;
+  }
+
+  return changed;
+}
+
+/**
+ * Index just past the last non-blank line of the step whose keys sit at `keyIndent`
+ */
+function findStepEnd(lines, start, keyIndent) {
+  let end = start + 1;
+  for (let index = start + 1; index < lines.length; index++) {
+    const line = lines[index];
+    if (line.trim() === '' || line.trim().startsWith('#')) continue;
+    if (indentOf(line) < keyIndent) break;
+    end = index + 1;
+  }
+  return end;
+}
+
+/**
+ * Remove jobs whose definition is identical to an earlier job and point
+ * `needs` and `needs.<job>` expressions at the job that was kept
+ */
+function removeDuplicateJobs(lines) {
+  const jobsIndex = lines.findIndex(line => /^jobs:\s*(#.*)?$/.test(line));
+  if (jobsIndex === -1) return { lines, jobs: [] };
+
+  let jobsEnd = lines.length;
+  for (let index = jobsIndex + 1; index < lines.length; index++) {
+    if (/^\S/.test(lines[index]) && !lines[index].startsWith('#')) {
+      jobsEnd = index;
+      break;
+    }
+  }
+
+  const mapping = parseMapping(lines, jobsIndex + 1, jobsEnd);
+  if (!mapping) return { lines, jobs: [] };
+
+  const jobs = mapping.entries.map((entry, position) => {
+    // Blank lines after a removed job go with it, comments stay with the next job
+    const next = position + 1 < mapping.entries.length ? mapping.entries[position + 1].line : jobsEnd;
+    let end = entry.end;
+    while (end < next && lines[end].trim() === '') end++;
+
+    // Everything but the job's own key line has to match
+    const body = nodeText(lines, entry).split('\n').slice(1).join('\n');
+    return { name: entry.key, start: entry.line, end, body };
+  });
+
+  const removed = [];
+  for (const job of jobs) {
+    const original = jobs.find(other => other !== job && other.body === job.body && !removed.some(r => r.job === other.name) && other.start < job.start);
+    if (original && job.body) removed.push({ job: job.name, keptAs: original.name, start: job.start, end: job.end });
+  }
+  if (removed.length === 0) return { lines, jobs: [] };
+
+  const result = lines.filter((_, index) => !removed.some(r => index >= r.start && index < r.end));
+  for (const { job, keptAs } of removed) {
+    for (let index = 0; index < result.length; index++) {
+      result[index] = result[index]
+        .replace(new RegExp(`needs\\.${escapeRegExp(job)}\\.`, 'g'), `needs.${keptAs}.`)
+        .replace(new RegExp(`^(\\s*needs:\\s*)${escapeRegExp(job)}(\\s*(#.*)?)$`), `$1${keptAs}$2`)
+        .replace(new RegExp(`^(\\s*needs:\\s*\\[.*?)\\b${escapeRegExp(job)}\\b(.*\\])`), `$1${keptAs}$2`)
+        .replace(new RegExp(`^(\\s*-\\s*)${escapeRegExp(job)}(\\s*(#.*)?)$`), (line, prefix, rest) =>
+          isNeedsListItem(result, index) ? `${prefix}${keptAs}${rest}` : line);
+    }
+  }
+
+  return { lines: result.map(dedupeNeedsList), jobs: removed };
+}
+
+function isNeedsListItem(lines, index) {
+  for (let previous = index - 1; previous >= 0; previous--) {
+    if (/^\s*-\s/.test(lines[previous])) continue;
+    return /^\s*needs:\s*(#.*)?$/.test(lines[previous]);
+  }
+  return false;
+}
+
+function dedupeNeedsList(line) {
+  const match = /^(\s*needs:\s*\[)(.*)(\].*)$/.exec(line);
+  if (!match) return line;
+  const items = [...new Set(match[2].split(',').map(item => item.trim()).filter(Boolean))];
+  return `${match[1]}${items.join(', ')}${match[3]}`;
+}
+
+/**
+ * Insert a concurrency group before `jobs:` for pull request workflows that
+ * have none. Runs of one pull request share a group and cancel each other;
+ * every other run gets a group of its own, since a pending run in a shared
+ * group is replaced by a newer one even without `cancel-in-progress`.
+ */
+function addConcurrency(lines) {
+  const blocks = topLevelBlocks(lines.join('\n'));
+  const on = blocks.find(block => isKey(block.key, 'on'));
+  if (!on || !/\bpull_request\b(?!_target)/.test(on.lines.join('\n'))) return false;
+  if (blocks.some(block => isKey(block.key, 'concurrency'))) return false;
+
+  const jobsIndex = lines.findIndex(line => /^jobs:\s*(#.*)?$/.test(line));
+  if (jobsIndex === -1) return false;
+
+  lines.splice(jobsIndex, 0,
+    'concurrency:',
+    '  group: ${{ github.workflow }}-${{ github.event.pull_request.number || github.run_id }}',
+    "  cancel-in-progress: ${{ github.event_name == 'pull_request' }}",
+    '');
+  return true;
+}
+
+function joinBlocks(blocks) {
+  return blocks.flatMap(block => block.lines).join('\n');
+}
+
+/**
+ * GitHub Actions also accepts `true:` for `on:` when YAML 1.1 parsers mangle it
+ */
+function isKey(key, name) {
+  return key === name || (name === 'on' && key === 'true');
+}
+
+function trailingBlankLines(lines) {
+  const blank = [];
+  for (let index = lines.length - 1; index > 0 && lines[index].trim() === ''; index--) blank.push('');
+  return blank;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
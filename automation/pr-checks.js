@@ -0,0 +1,252 @@
+/**
+ * 🧪 PR Verification
+ *
+ * What the generator verifies about a PR's files before publishing it: YAML
+ * and JSON parse, workflows are well-formed, the actions they use exist and no
+ * secret is added. The results go into the PR body together with a CI block
+ * between markers, which is rewritten with the real check statuses once CI on
+ * the PR branch has finished.
+ */
+
+import { SCANNER_RULES, scanLines } from '../shared/scanner-rules.js';
+import { actionRefs, isWorkflowPath, validateWorkflow } from './workflow-validation.js';
+import { SEQUENCE_ITEM, entryKind, isSkippable, parseMapping, parseSequence } from './yaml-blocks.js';
+
+export const CI_START = '<!-- intelligence-ci:start -->';
+export const CI_END = '<!-- intelligence-ci:end -->';
+
+const SECRET_RULES = new Set(SCANNER_RULES.filter(rule => rule.secret).map(rule => rule.id));
+const KEY_LIKE = /^[^\s#'"[{-][^:#]*:(\s|$)/;
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure', 'stale'];
+
+/**
+ * Verify the files a PR writes. Each file carries its `baseline`, the content
+ * on the default branch (null when new); unchanged and deleted files are not
+ * checked. `resolveAction(ref)` returns why an action ref does not resolve,
+ * or null. Returns one `{ name, status, details }` per check, where status is
+ * `passed`, `failed` or `skipped` when no file applied.
+ */
+export async function verifyFiles(files, { resolveAction }) {
+  const changed = files.filter(file => file.content !== null && file.content !== file.baseline);
+  const yaml = changed.filter(file => /\.ya?ml$/.test(file.path));
+  const json = changed.filter(file => /\.json$/.test(file.path));
+  const workflows = changed.filter(file => isWorkflowPath(file.path));
+
+  const unresolved = [];
+  for (const file of workflows) {
+    const existing = new Set(actionRefs(file.baseline));
+    const refs = [...new Set(actionRefs(file.content))]
+      .filter(ref => !existing.has(ref) && !ref.startsWith('./') && !ref.startsWith('docker://'));
+    for (const ref of refs) {
+      const error = await resolveAction(ref);
+      if (error) unresolved.push(`${file.path}: ${error}`);
+    }
+  }
+
+  return [
+    check('YAML parses', yaml, file => yamlErrors(file.content)),
+    check('JSON parses', json, file => jsonErrors(file.content)),
+    check('Workflow syntax', workflows, file => validateWorkflow(file.content, { baseline: file.baseline })),
+    {
+      name: 'Action references resolve',
+      status: workflows.length === 0 ? 'skipped' : unresolved.length > 0 ? 'failed' : 'passed',
+      details: unresolved
+    },
+    check('No secrets added', changed, file => secretFindings(file))
+  ];
+}
+
+/**
+ * Readable failures of `verifyFiles` checks, empty when all passed or skipped
+ */
+export function failedChecks(checks) {
+  return checks.filter(result => result.status === 'failed').flatMap(result => result.details);
+}
+
+/**
+ * Structure errors of a block-style YAML document: tab indentation, broken
+ * nesting, duplicate keys and unterminated quotes or flow collections
+ */
+export function yamlErrors(content) {
+  const lines = content.split('\n');
+  const errors = [];
+  lines.forEach((line, index) => {
+    if (/^ *\t/.test(line)) errors.push(`line ${index + 1} is indented with a tab`);
+  });
+  foldFlowCollections(lines);
+
+  const first = lines.findIndex(line => !isSkippable(line));
+  if (first === -1) return errors;
+  return [...errors, ...blockErrors(lines, first, lines.length)];
+}
+
+/**
+ * JSON parse error of a file, as a list like the other checks
+ */
+export function jsonErrors(content) {
+  try {
+    JSON.parse(content);
+    return [];
+  } catch (error) {
+    return [error.message];
+  }
+}
+
+/**
+ * Secret scanner findings in a file that its baseline does not already have
+ */
+export function secretFindings(file) {
+  const secrets = content => scanLines({ path: file.path, kind: null, content })
+    .filter(finding => SECRET_RULES.has(finding.rule_id));
+  const existing = new Set(file.baseline ? secrets(file.baseline).map(finding => `${finding.rule_id}:${finding.evidence}`) : []);
+
+  return secrets(file.content)
+    .filter(finding => !existing.has(`${finding.rule_id}:${finding.evidence}`))
+    .map(finding => `line ${finding.line}: ${finding.message} (\`${finding.evidence}\`)`);
+}
+
+/**
+ * PR body section with the verification results and a CI block waiting for
+ * the PR branch to run
+ */
+export function formatChecks(checks) {
+  const icons = { passed: '✅', failed: '❌', skipped: '➖' };
+  let text = `Verified before publishing:\n\n`;
+  text += `| Check | Result | Details |\n`;
+  text += `| --- | --- | --- |\n`;
+  checks.forEach(result => {
+    const details = result.details.length > 0 ? result.details.join('<br>').replace(/\|/g, '\\|') : '';
+    text += `| ${result.name} | ${icons[result.status]} ${result.status} | ${details} |\n`;
+  });
+  text += `\n${CI_START}\n**CI**: ⏳ waiting for the PR branch to run\n${CI_END}\n`;
+  return text;
+}
+
+/**
+ * CI block for the check runs of a PR's head commit
+ */
+export function formatCIResults(checkRuns, headSha) {
+  const commit = `\`${headSha.slice(0, 7)}\``;
+  if (checkRuns.length === 0) {
+    return `${CI_START}\n**CI**: no checks reported for ${commit}\n${CI_END}`;
+  }
+
+  const failed = checkRuns.filter(run => FAILED_CONCLUSIONS.includes(run.conclusion));
+  const running = checkRuns.filter(run => run.status !== 'completed');
+  let summary = `✅ ${checkRuns.length === 1 ? 'the check' : `all ${checkRuns.length} checks`} passed`;
+  if (failed.length > 0) summary = `❌ ${failed.length} of ${checkRuns.length} checks failed`;
+  else if (running.length > 0) summary = `⏳ ${running.length} of ${checkRuns.length} checks still running`;
+
+  let text = `${CI_START}\n**CI** on ${commit}: ${summary}\n\n`;
+  checkRuns.forEach(run => {
+    const result = run.status === 'completed' ? run.conclusion : run.status;
+    const icon = run.status !== 'completed' ? '⏳' : FAILED_CONCLUSIONS.includes(run.conclusion) ? '❌' : '✅';
+    text += `- ${icon} [${run.name}](${run.html_url}): ${result}\n`;
+  });
+  return `${text}${CI_END}`;
+}
+
+/**
+ * `body` with its CI block replaced, or null when it has none
+ */
+export function replaceCIResults(body, section) {
+  const start = body?.indexOf(CI_START) ?? -1;
+  const end = start === -1 ? -1 : body.indexOf(CI_END, start);
+  if (end === -1) return null;
+  return body.slice(0, start) + section + body.slice(end + CI_END.length);
+}
+
+function check(name, files, errorsOf) {
+  if (files.length === 0) return { name, status: 'skipped', details: [] };
+  const details = files.flatMap(file => errorsOf(file).map(error => `${file.path}: ${error}`));
+  return { name, status: details.length > 0 ? 'failed' : 'passed', details };
+}
+
+function blockErrors(lines, from, to) {
+  return SEQUENCE_ITEM.test(lines[from]) ? sequenceErrors(lines, from, to) : mappingErrors(lines, from, to);
+}
+
+function mappingErrors(lines, from, to) {
+  const mapping = parseMapping(lines, from, to);
+  if (!mapping) return [`lines ${from + 1}-${to} are not a block mapping, check the indentation`];
+
+  const errors = [];
+  const seen = new Set();
+  for (const entry of mapping.entries) {
+    if (seen.has(entry.key)) errors.push(`line ${entry.line + 1} repeats the key \`${entry.key}\``);
+    seen.add(entry.key);
+
+    const kind = entryKind(lines, entry);
+    if (kind === 'mapping' || kind === 'sequence') {
+      errors.push(...blockErrors(lines, lines.findIndex((line, index) => index > entry.line && !isSkippable(line)), entry.end));
+    } else if (kind === 'value' || kind === 'list' || kind === 'inline mapping') {
+      const error = scalarError(lines, entry);
+      if (error) errors.push(error);
+    }
+  }
+  return errors;
+}
+
+function sequenceErrors(lines, from, to) {
+  const errors = [];
+  for (const item of parseSequence(lines, from, to).entries) {
+    const text = lines[item.line].replace(SEQUENCE_ITEM, '');
+    if (!text || !/^[^\s#'"[{][^:#]*:(\s|$)|^["'][^"']*["']:(\s|$)/.test(text)) continue;
+
+    // An item starting with a key is a mapping whose keys line up after the dash
+    const shifted = [...lines];
+    shifted[item.line] = lines[item.line].replace(SEQUENCE_ITEM, dash => ' '.repeat(dash.length));
+    errors.push(...mappingErrors(shifted, item.line, item.end));
+  }
+  return errors;
+}
+
+/**
+ * Unterminated quoted scalars and flow collections on a single line, and keys
+ * indented under a plain value. Quoted values that continue on the next lines
+ * are left to the YAML folding rules.
+ */
+function scalarError(lines, entry) {
+  const at = `line ${entry.line + 1}`;
+  const continuation = lines.slice(entry.line + 1, entry.end).filter(line => !isSkippable(line));
+  if (continuation.length > 0) {
+    const key = /^[^"'[{]/.test(entry.value) && continuation.find(line => KEY_LIKE.test(line.trim()));
+    return key ? `line ${lines.indexOf(key, entry.line) + 1}: \`${key.trim()}\` is indented under a plain value` : null;
+  }
+
+  // The raw text, since comment stripping cannot tell a # inside quotes
+  const raw = lines[entry.line].replace(/^[^:]*:\s+/, '');
+  if (raw.startsWith('"') && !/^"(?:[^"\\]|\\.)*"(?:\s+#.*)?\s*$/.test(raw)) return `${at}: unterminated double-quoted value`;
+  if (raw.startsWith("'") && !/^'(?:[^']|'')*'(?:\s+#.*)?\s*$/.test(raw)) return `${at}: unterminated single-quoted value`;
+  if (entry.value.startsWith('[') && !entry.value.endsWith(']')) return `${at}: unterminated flow sequence`;
+  if (entry.value.startsWith('{') && !entry.value.endsWith('}')) return `${at}: unterminated flow mapping`;
+  return null;
+}
+
+/**
+ * Join flow collections spread over several lines onto their first line, so
+ * the block structure around them parses. Unclosed ones are left for
+ * `scalarError` to report.
+ */
+function foldFlowCollections(lines) {
+  const depthOf = line => {
+    const text = line.replace(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'/g, '').replace(/(^|\s)#.*$/, '');
+    return (text.match(/[[{]/g) || []).length - (text.match(/[\]}]/g) || []).length;
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    if (!/:\s+[[{]/.test(lines[index]) && !/^\s*-\s+[[{]/.test(lines[index])) continue;
+
+    let depth = depthOf(lines[index]);
+    let end = index;
+    while (depth > 0 && end + 1 < lines.length) {
+      end++;
+      depth += depthOf(lines[end]);
+    }
+    if (depth > 0 || end === index) continue;
+
+    lines[index] += ` ${lines.slice(index + 1, end + 1).map(line => line.trim()).join(' ')}`;
+    lines.fill('', index + 1, end + 1);
+    index = end;
+  }
+}
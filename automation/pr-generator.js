@@ -11,111 +11,418 @@
  */
 
 import { Octokit } from '@octokit/rest';
+import { CONSTELLATION_REGISTRY, repositoryKey, resolveConstellation } from '../shared/constellation.js';
+import { GitHubAppAuth } from '../shared/github-app-auth.js';
+import { GitHubClient } from '../shared/github-client.js';
+import { BRANCH_PREFIX, INTELLIGENCE_LABEL, OPPORTUNITY_TYPES, REVERT_BRANCH_PREFIX, REVERT_TYPE, ROLLBACK_WINDOW_HOURS, WITHDRAWN_LABEL, intelligencePRType, isWithdrawn } from '../shared/pr-outcomes.js';
+import { createPlanFile, validatePlanFile } from './pr-plan.js';
+import { unifiedDiff } from './unified-diff.js';
+import { mergeGeneratedFile } from './file-merge.js';
+import { buildCIWorkflow } from './ci-templates.js';
+import { failedChecks, formatCIResults, formatChecks, replaceCIResults, verifyFiles } from './pr-checks.js';
+import { PR_POLICY, checkDailyBudget, checkPullRequest, checkQuietHours, formatViolations, normalizePolicy, requiredReviewers } from './pr-policy.js';
+import { MAX_PRS_PER_REPOSITORY, formatScore, isRejected, rankOpportunities, scoreOpportunity, sharedFindings } from './opportunity-scoring.js';
+import { assignCanonicalRepositories, optimizeWorkflow, sharedWorkflowPath, toCallerWorkflow, toReusableWorkflow } from './optimization-files.js';
+
+const MAX_REBASED_COMMITS = 50;
+const MAX_SUMMARIZED_JOBS = 5;
+const LOG_EXCERPT_LINES = 15;
+
+/**
+ * Octokit `owner` and `repo` parameters of an `owner/name` repository
+ */
+function repoParams(fullName) {
+  const [owner, repo] = fullName.split('/');
+  return { owner, repo };
+}
+
+/**
+ * UTF-8 text of the base64 content GitHub returns, line-wrapped as it is,
+ * with Web APIs only so it runs in the worker as well as in Node
+ */
+function decodeBase64(content) {
+  const bytes = Uint8Array.from(atob(content.replace(/\s/g, '')), char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Reference to an open PR as recorded in plan files
+ */
+function pullRequestRef(pull) {
+  return { number: pull.number, url: pull.html_url, branch: pull.head.ref };
+}
+
+/**
+ * Open intelligence PRs to close: every PR of a type that no longer applies,
+ * and older duplicates of a type that is still open under a newer PR
+ */
+function stalePullRequests(openPRs, activeTypes) {
+  return [...openPRs].flatMap(([type, pulls]) => {
+    const active = activeTypes.includes(type);
+    const reason = active
+      ? `superseded by #${pulls[0].number}`
+      : 'the opportunity no longer applies to the latest analysis';
+    return (active ? pulls.slice(1) : pulls).map(pull => ({ ...pullRequestRef(pull), type, reason }));
+  });
+}
+
+/**
+ * Commit message describing the opportunity a PR commit implements
+ */
+function commitMessage(spec, files, verb) {
+  let message = `🧠 ${verb} ${spec.type}: ${spec.title.replace(/^\p{Extended_Pictographic}\s*/u, '')}\n\n`;
+  message += `Priority: ${spec.priority}\n`;
+  if (spec.impact) message += `Expected impact: ${spec.impact}\n`;
+  message += `\nFiles:\n${files.map(file => `- ${file.path}`).join('\n')}\n`;
+  return message;
+}
+
+/**
+ * Whether a commit message is one `commitMessage` wrote
+ */
+function isGeneratedCommit(message) {
+  return /^🧠 (Add|Update) [\w-]+: /u.test(message || '');
+}
+
+/**
+ * The lines of a job log that explain a failure: error lines when there are
+ * any, else the end of the log, without the timestamps Actions prefixes
+ */
+function logExcerpt(log) {
+  const lines = log.split('\n')
+    .map(line => line.replace(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z\s?/, '').trimEnd())
+    .filter(line => line.trim() && !line.startsWith('##[group]') && !line.startsWith('##[endgroup]'));
+  const errors = lines.filter(line => /##\[error\]|\berror\b|\bfailed\b|\bfatal\b/i.test(line));
+  return (errors.length > 0 ? errors : lines)
+    .slice(-LOG_EXCERPT_LINES)
+    .map(line => (line.length > 200 ? `${line.slice(0, 200)}…` : line).replace(/```/g, "'''"))
+    .join('\n');
+}
+
+/**
+ * Package manager whose cache setup-node should use, by root lockfile
+ */
+const NODE_LOCKFILES = [
+  { path: 'package-lock.json', manager: 'npm' },
+  { path: 'npm-shrinkwrap.json', manager: 'npm' },
+  { path: 'yarn.lock', manager: 'yarn' },
+  { path: 'pnpm-lock.yaml', manager: 'pnpm' }
+];
+
+/**
+ * Analysis sections whose model output failed validation carry no data and
+ * must not drive PRs
+ */
+function reliable(section) {
+  return section && section.status !== 'failed' ? section : null;
+}
 
 /**
- * Repository constellation with their specific optimization contexts
+ * Rule-based scanner findings stay trustworthy even when the model failed
  */
-const REPOSITORY_CONSTELLATION = {
-  'complete-homelab-orchestrator': {
-    type: 'service-mesh',
-    language: 'TypeScript',
-    focus: 'Pangolin/Newt/Gerbil/Badger optimization',
-    visibility: 'public'
-  },
-  'homelab-production': {
-    type: 'infrastructure',
-    language: 'TypeScript', 
-    focus: 'Pulumi stack consolidation',
-    visibility: 'private'
-  },
-  'r240-homelab-orchestrator': {
-    type: 'hardware-automation',
-    language: 'Shell',
-    focus: 'Dell R240 Redfish optimization', 
-    visibility: 'private'
-  },
-  'protohome': {
-    type: 'ai-native',
-    language: 'Shell',
-    focus: 'Zero-touch patterns',
-    visibility: 'public'
-  },
-  'homelab-deploy': {
-    type: 'deployment',
-    language: 'TypeScript',
-    focus: 'Deployment tooling consolidation',
-    visibility: 'public'
-  },
-  'homeops': {
-    type: 'operations',
-    language: 'TypeScript',
-    focus: 'Multi-cloud orchestration',
-    visibility: 'private'
-  },
-  'homelab-gitops': {
-    type: 'gitops',
-    language: 'Shell',
-    focus: 'GitOps workflow optimization',
-    visibility: 'private'
-  },
-  'homelab-zenith-86': {
-    type: 'infrastructure-advanced',
-    language: 'TypeScript',
-    focus: 'Advanced pattern consolidation',
-    visibility: 'private'
-  }
-};
+function reliableVulnerabilities(security) {
+  const vulnerabilities = security?.vulnerabilities || [];
+  return reliable(security) ? vulnerabilities : vulnerabilities.filter(v => v?.source === 'scanner');
+}
 
 /**
  * AI-powered PR generation based on analysis results
  */
 export class AutonomousPRGenerator {
-  constructor(githubToken, aiServices) {
-    this.octokit = new Octokit({ auth: githubToken });
+  /**
+   * `githubAuth` is a token or a `GitHubAppAuth`, which authenticates each
+   * request with a token for the repository it targets, scoped to `operation`.
+   * Only generators that open, update or close PRs need 'pull_requests';
+   * dry runs read with 'analysis'. `clientOptions` override `CLIENT_DEFAULTS`
+   * of its GitHub clients.
+   */
+  constructor(githubAuth, aiServices, registry = CONSTELLATION_REGISTRY, policy = PR_POLICY, operation = 'pull_requests', clientOptions = {}) {
+    const app = githubAuth instanceof GitHubAppAuth ? githubAuth : null;
+
+    // Every GitHub call goes through one client, see `usage()` for what a run spent
+    this.github = new GitHubClient({ ...clientOptions, authenticate: app?.authenticator(operation) });
+    // Discovery searches whole accounts, which never needs more than read access
+    this.discovery = app && operation !== 'analysis'
+      ? new GitHubClient({ ...clientOptions, authenticate: app.authenticator('analysis') })
+      : this.github;
+    this.octokit = new Octokit({
+      ...(app ? {} : { auth: githubAuth }),
+      request: { fetch: this.github.fetch }
+    });
+    this.discoveryOctokit = this.discovery === this.github
+      ? null
+      : new Octokit({ request: { fetch: this.discovery.fetch } });
     this.ai = aiServices;
-    this.owner = 'edcet';
+    this.githubToken = app ? null : githubAuth;
+    this.registry = registry;
+    this.policy = normalizePolicy(policy);
+    this.repositories = null;
   }
 
   /**
-   * Generate optimization PRs across entire constellation
+   * Repositories enabled for PR generation, resolved once per generator
    */
-  async generateConstellationOptimizations(analysisResults) {
-    const prResults = [];
-    
-    for (const [repoName, repoConfig] of Object.entries(REPOSITORY_CONSTELLATION)) {
+  async getConstellation() {
+    if (!this.repositories) {
+      this.repositories = await resolveConstellation(this.registry, {
+        token: this.githubToken,
+        purpose: 'pull_requests',
+        fetchImpl: this.discovery.fetch
+      });
+    }
+    return this.repositories;
+  }
+
+  /**
+   * GitHub request budget this generator has used so far
+   */
+  usage() {
+    return this.github.usage();
+  }
+
+  /**
+   * Generate optimization PRs across entire constellation by planning and
+   * then applying that plan
+   */
+  async generateConstellationOptimizations(analysisResults, options = {}) {
+    const plan = await this.planConstellationOptimizations(analysisResults, options);
+    return [
+      ...plan.errors.map(({ repository, error }) => ({ repository, error })),
+      ...await this.applyPlan(plan)
+    ];
+  }
+
+  /**
+   * Dry run: plan every PR across the constellation as a plan file. Reads the
+   * default branches and open PRs for diffs, but writes nothing to GitHub.
+   * `outcomes` are the tracker's statistics by repository and type; without
+   * them the history of each repository's closed PRs is read from GitHub.
+   */
+  async planConstellationOptimizations(analysisResults, { outcomes = null } = {}) {
+    const repositories = [];
+    const errors = [];
+    const constellation = await this.getConstellation();
+    const clusters = assignCanonicalRepositories(
+      analysisResults.consolidation_plan?.duplications || [],
+      constellation.map(r => r.full_name)
+    );
+
+    for (const repoConfig of constellation) {
+      const fullName = repoConfig.full_name;
+      const repoAnalysis = analysisResults.repositories.find(r => repositoryKey(r) === fullName);
+      if (!repoAnalysis) continue;
+
+      try {
+        repositories.push(await this.planRepository(repoConfig, repoAnalysis, {
+          clusters,
+          analyses: analysisResults.repositories,
+          history: outcomes ? outcomes[fullName] || {} : null
+        }));
+      } catch (error) {
+        console.error(`Failed to plan PRs for ${fullName}:`, error);
+        errors.push({ repository: fullName, error: error.message });
+      }
+    }
+
+    return {
+      ...await createPlanFile(repositories, { analysisTimestamp: analysisResults.timestamp }),
+      errors
+    };
+  }
+
+  /**
+   * Plan one repository: each PR with its files diffed against the default
+   * branch, whether it creates, updates or skips a PR, and which PRs to close.
+   * Opportunities are ranked by score and only the best
+   * `MAX_PRS_PER_REPOSITORY` are opened or updated.
+   */
+  async planRepository(repoConfig, repoAnalysis, { clusters = [], analyses = [], history = null } = {}) {
+    const fullName = repoConfig.full_name;
+    const prTypes = await this.identifyPROpportunities(repoAnalysis, repoConfig, { clusters });
+    const base = await this.getDefaultBranch(fullName);
+    const openPRs = await this.getOpenIntelligencePRs(fullName);
+    history ??= await this.getPRHistory(fullName);
+    const shared = sharedFindings(fullName, reliableVulnerabilities(repoAnalysis.security), analyses, clusters);
+    const opportunities = [];
+
+    for (const prType of prTypes) {
+      const spec = await this.buildPRSpec(fullName, prType, repoAnalysis, {
+        branch: base.name,
+        scoring: { shared, history: history[prType.type] }
+      });
+      const [existing] = openPRs.get(prType.type) || [];
+
+      const files = spec.files;
+      let branchOutdated = false;
+      for (const file of existing ? files : []) {
+        if (await this.getFileContent(fullName, existing.head.ref, file.path) !== file.content) {
+          branchOutdated = true;
+        }
+      }
+
+      const violations = checkPullRequest(this.policy, repoConfig, { type: spec.type, files });
+      const conflicted = files.filter(file => file.conflicts?.length > 0);
+      const invalid = conflicted.length > 0 ? [] : failedChecks(spec.checks);
+
+      let action = 'create';
+      let reason;
+      if (violations.length > 0) {
+        action = 'skip';
+        reason = `blocked by policy: ${formatViolations(violations)}`;
+      } else if (isRejected(history[prType.type])) {
+        action = 'skip';
+        reason = `${history[prType.type].closed} earlier ${prType.type} PRs were closed and none was merged`;
+      } else if (conflicted.length > 0) {
+        action = 'skip';
+        reason = `cannot merge into existing files: ${conflicted.map(file => `${file.path} (${file.conflicts.join('; ')})`).join(', ')}`;
+      } else if (invalid.length > 0) {
+        action = 'skip';
+        reason = `generated files failed verification: ${invalid.join('; ')}`;
+      } else if (existing) {
+        action = branchOutdated ? 'update' : 'skip';
+        if (!branchOutdated) reason = `#${existing.number} already has these files`;
+      } else if (files.length === 0) {
+        action = 'skip';
+        reason = 'no file changes generated';
+      } else if (files.every(file => file.status === 'unchanged')) {
+        action = 'skip';
+        reason = `${base.name} already has these files`;
+      }
+
+      opportunities.push({
+        ...spec,
+        action,
+        ...(reason ? { reason } : {}),
+        ...(violations.length > 0 ? { policy_violations: violations } : {}),
+        pull_request: existing ? pullRequestRef(existing) : null,
+        files
+      });
+    }
+
+    const ranked = rankOpportunities(opportunities);
+    let slots = MAX_PRS_PER_REPOSITORY;
+    for (const opportunity of ranked.filter(o => o.action !== 'skip')) {
+      if (slots > 0) {
+        slots--;
+        continue;
+      }
+      opportunity.action = 'skip';
+      opportunity.reason = `ranked below the top ${MAX_PRS_PER_REPOSITORY} PRs for ${fullName} (score ${opportunity.score.total})`;
+    }
+
+    return {
+      repository: repoConfig.name,
+      owner: repoConfig.owner,
+      base,
+      opportunities: ranked,
+      close: stalePullRequests(openPRs, prTypes.map(prType => prType.type))
+    };
+  }
+
+  /**
+   * Carry out a plan file exactly as written. Repositories outside the
+   * constellation are refused before any policy check, as are repositories
+   * whose default branch moved since planning, because their diffs are stale.
+   */
+  async applyPlan(plan) {
+    const errors = validatePlanFile(plan);
+    if (errors.length > 0) {
+      throw new Error(`Invalid plan file:\n- ${errors.join('\n- ')}`);
+    }
+
+    await this.getConstellation();
+    const results = [];
+    const quietHours = checkQuietHours(this.policy);
+    const budget = { opened: quietHours ? 0 : await this.countPRsOpenedToday() };
+
+    for (const entry of plan.repositories) {
+      const fullName = `${entry.owner}/${entry.repository}`;
       try {
-        const repoAnalysis = analysisResults.repositories.find(r => r.name === repoName);
-        if (!repoAnalysis) continue;
+        if (!this.repositories.some(r => r.full_name.toLowerCase() === fullName.toLowerCase())) {
+          throw new Error(`${fullName} is not in the constellation, refusing to apply its plan`);
+        }
 
-        // Generate multiple PR types for each repository
-        const prTypes = await this.identifyPROpportunities(repoAnalysis, repoConfig);
-        
-        for (const prType of prTypes) {
-          const pr = await this.generateOptimizationPR(repoName, prType, repoAnalysis);
-          if (pr) {
-            prResults.push({ repository: repoName, pr });
+        const base = await this.getDefaultBranch(fullName);
+        if (base.name !== entry.base.name || base.sha !== entry.base.sha) {
+          throw new Error(`${entry.base.name} moved from ${entry.base.sha.slice(0, 7)} to ${base.sha.slice(0, 7)} since the plan was generated, re-run the dry run`);
+        }
+
+        const openPRs = await this.getOpenIntelligencePRs(fullName);
+        for (const opportunity of entry.opportunities) {
+          results.push({ repository: fullName, type: opportunity.type, ...await this.applyOpportunity(fullName, opportunity, base, openPRs, budget) });
+        }
+
+        for (const pullRequest of entry.close) {
+          if (quietHours) {
+            results.push({ repository: fullName, type: pullRequest.type, error: `Blocked by policy: ${formatViolations([quietHours])}`, violations: [quietHours] });
+            continue;
+          }
+          try {
+            await this.closePullRequest(fullName, pullRequest);
+            results.push({ repository: fullName, type: pullRequest.type, closed: pullRequest });
+          } catch (error) {
+            console.error(`Failed to close stale PR #${pullRequest.number} in ${fullName}:`, error);
+            results.push({ repository: fullName, type: pullRequest.type, error: `Closing #${pullRequest.number} failed: ${error.message}` });
           }
         }
       } catch (error) {
-        console.error(`Failed to generate PRs for ${repoName}:`, error);
-        prResults.push({ 
-          repository: repoName, 
-          error: error.message 
-        });
+        console.error(`Failed to apply plan for ${fullName}:`, error);
+        results.push({ repository: fullName, error: error.message });
       }
     }
 
-    return prResults;
+    return results;
+  }
+
+  /**
+   * Apply one planned PR as `{ pr }`, `{ skipped }` or `{ error }`. Open PRs
+   * that changed since planning (e.g. the plan was already applied) are left
+   * alone, and the policy is checked again because the plan file may be stale
+   * or edited. `budget.opened` counts the PRs opened today.
+   */
+  async applyOpportunity(fullName, opportunity, base, openPRs, budget) {
+    if (opportunity.action === 'skip') {
+      return { skipped: opportunity.reason || 'nothing to change' };
+    }
+
+    const [existing] = openPRs.get(opportunity.type) || [];
+    if (opportunity.action === 'create' && existing) {
+      return { error: `#${existing.number} was opened for ${opportunity.type} since the plan was generated, re-run the dry run` };
+    }
+    if (opportunity.action === 'update' && existing?.number !== opportunity.pull_request.number) {
+      return { error: `#${opportunity.pull_request.number} is no longer the open ${opportunity.type} PR, re-run the dry run` };
+    }
+
+    const violations = await this.policyViolations(fullName, opportunity, base, opportunity.action === 'create' ? budget.opened : null);
+    if (violations.length > 0) {
+      return { error: `Blocked by policy: ${formatViolations(violations)}`, violations };
+    }
+
+    const invalid = failedChecks(await this.verifyPRFiles(fullName, base.name, opportunity.files));
+    if (invalid.length > 0) {
+      return { error: `Verification failed: ${invalid.join('; ')}` };
+    }
+
+    const pr = opportunity.action === 'update'
+      ? await this.updateOptimizationPR(fullName, opportunity.pull_request, opportunity)
+      : await this.createOptimizationPR(fullName, opportunity, base);
+    if (pr?.conflict) return { skipped: pr.conflict, conflict: true };
+    if (pr?.action === 'created') budget.opened++;
+
+    return pr ? { pr } : { error: `PR ${opportunity.action === 'update' ? 'update' : 'creation'} failed` };
   }
 
   /**
-   * Identify PR opportunities using AI analysis
+   * Identify PR opportunities using AI analysis. `clusters` are the workflow
+   * duplication clusters with their canonical repository assigned.
    */
-  async identifyPROpportunities(repoAnalysis, repoConfig) {
+  async identifyPROpportunities(repoAnalysis, repoConfig, { clusters = [] } = {}) {
     const opportunities = [];
+    const vulnerabilities = reliableVulnerabilities(repoAnalysis.security);
+    const architecture = reliable(repoAnalysis.architecture);
     
     // Security optimization opportunities
-    if (repoAnalysis.security?.vulnerabilities?.length > 0) {
+    if (vulnerabilities.length > 0) {
       opportunities.push({
         type: 'security-hardening',
         priority: 'high',
@@ -123,17 +430,19 @@ export class AutonomousPRGenerator {
       });
     }
 
-    // Architecture consolidation opportunities
-    if (repoAnalysis.architecture?.duplication_risk === 'high') {
+    // Workflows duplicated across the constellation become one shared workflow
+    const duplicated = clusters.filter(cluster => cluster.repositories.includes(repositoryKey(repoAnalysis)));
+    if (duplicated.length > 0) {
       opportunities.push({
         type: 'duplication-removal',
         priority: 'medium', 
-        impact: 'code consolidation'
+        impact: 'code consolidation',
+        clusters: duplicated
       });
     }
 
     // Performance optimization opportunities
-    if (repoAnalysis.architecture?.optimizations?.length > 0) {
+    if (architecture?.optimizations?.length > 0) {
       opportunities.push({
         type: 'performance-optimization',
         priority: 'medium',
@@ -155,63 +464,609 @@ export class AutonomousPRGenerator {
       impact: 'AI-native capabilities'
     });
 
-    return opportunities.slice(0, 2); // Limit to 2 PRs per repository to avoid spam
+    return opportunities;
   }
 
   /**
-   * Generate specific optimization PR
+   * Everything needed to open the PR for an opportunity: branch, title, body,
+   * labels, score and generated files diffed against `branch`. `scoring` adds
+   * the cross-repository and history inputs of the score.
    */
-  async generateOptimizationPR(repoName, opportunity, repoAnalysis) {
-    const branchName = `intelligence/optimize-${opportunity.type}-${Date.now()}`;
-    const prTitle = this.generatePRTitle(opportunity, repoName);
-    const prBody = await this.generatePRBody(opportunity, repoAnalysis, repoName);
-    const files = await this.generateOptimizationFiles(opportunity, repoAnalysis, repoName);
+  async buildPRSpec(fullName, opportunity, repoAnalysis, { branch, scoring = {} } = {}) {
+    const generated = await this.generateOptimizationFiles(opportunity, repoAnalysis, fullName);
+    const files = await this.diffAgainstBranch(fullName, branch, generated);
+    const score = scoreOpportunity(opportunity, {
+      files,
+      vulnerabilities: reliableVulnerabilities(repoAnalysis.security),
+      ...scoring
+    });
+    const checks = await this.verifyPRFiles(fullName, branch, files);
 
+    return {
+      ...opportunity,
+      score,
+      checks,
+      branch: `${BRANCH_PREFIX}${opportunity.type}`,
+      title: this.generatePRTitle(opportunity, fullName),
+      body: await this.generatePRBody({ ...opportunity, score, checks }, repoAnalysis, fullName, files),
+      labels: [INTELLIGENCE_LABEL, 'automation', opportunity.type, `priority-${opportunity.priority}`],
+      files
+    };
+  }
+
+  /**
+   * Generate specific optimization PR, or update the open one of the same type
+   */
+  async generateOptimizationPR(fullName, opportunity, repoAnalysis) {
     try {
-      // Create branch
-      const defaultBranch = await this.getDefaultBranch(repoName);
-      await this.createBranch(repoName, branchName, defaultBranch.sha);
+      await this.getConstellation();
+      const base = await this.getDefaultBranch(fullName);
+      const spec = await this.buildPRSpec(fullName, opportunity, repoAnalysis, {
+        branch: base.name,
+        scoring: { history: (await this.getPRHistory(fullName))[opportunity.type] }
+      });
+
+      const conflicted = spec.files.filter(file => file.conflicts?.length > 0);
+      if (conflicted.length > 0) {
+        console.error(`Not opening ${spec.type} PR for ${fullName}, existing files conflict:`, conflicted.map(file => `${file.path}: ${file.conflicts.join('; ')}`));
+        return null;
+      }
+
+      const [existing] = (await this.getOpenIntelligencePRs(fullName)).get(spec.type) || [];
+
+      const violations = await this.policyViolations(fullName, spec, base, existing ? null : await this.countPRsOpenedToday());
+      if (violations.length > 0) {
+        console.error(`Not opening ${spec.type} PR for ${fullName}, blocked by policy: ${formatViolations(violations)}`);
+        return null;
+      }
+
+      const invalid = failedChecks(spec.checks);
+      if (invalid.length > 0) {
+        console.error(`Not opening ${spec.type} PR for ${fullName}, generated files failed verification:`, invalid);
+        return null;
+      }
+
+      if (existing) {
+        return await this.updateOptimizationPR(fullName, pullRequestRef(existing), spec);
+      }
+      return await this.createOptimizationPR(fullName, spec, base);
+    } catch (error) {
+      console.error(`Failed to create PR for ${fullName}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Open a new PR from a spec on top of the default branch. All files land in
+   * one commit, and the branch is removed again if the PR cannot be opened.
+   * An existing branch the generator does not own is reported as a conflict.
+   */
+  async createOptimizationPR(fullName, spec, defaultBranch) {
+    let branchCreated = false;
 
-      // Create/update files
-      for (const file of files) {
-        await this.createOrUpdateFile(repoName, branchName, file);
+    try {
+      // Commit first, so the branch never points at a half-written tree
+      const commitSha = await this.commitFiles(fullName, defaultBranch.sha, spec.files, commitMessage(spec, spec.files, 'Add'));
+      const branch = await this.createBranch(fullName, spec.branch, commitSha);
+      if (branch.conflict) {
+        console.error(`Not opening ${spec.type} PR for ${fullName}: ${branch.conflict}`);
+        return { type: spec.type, action: 'conflict', conflict: branch.conflict };
       }
+      branchCreated = true;
 
       // Create pull request
       const pr = await this.octokit.pulls.create({
-        owner: this.owner,
-        repo: repoName,
-        title: prTitle,
-        body: prBody,
-        head: branchName,
+        ...repoParams(fullName),
+        title: spec.title,
+        body: spec.body,
+        head: spec.branch,
         base: defaultBranch.name,
         draft: false
       });
 
-      // Add labels
-      await this.octokit.issues.addLabels({
-        owner: this.owner,
-        repo: repoName,
-        issue_number: pr.data.number,
-        labels: ['intelligence', 'automation', opportunity.type, `priority-${opportunity.priority}`]
-      });
+      // Add labels; the PR exists now, so a failure is reported rather than rolled back
+      let labelsError = null;
+      try {
+        await this.octokit.issues.addLabels({
+          ...repoParams(fullName),
+          issue_number: pr.data.number,
+          labels: spec.labels
+        });
+      } catch (error) {
+        console.error(`Failed to label PR #${pr.data.number} in ${fullName}:`, error);
+        labelsError = error.message;
+      }
+
+      // Required reviewers are policy: a PR that cannot get them does not stay open
+      const required = requiredReviewers(this.policy, this.repositories.find(r => r.full_name === fullName));
+      const reviewers = required.reviewers.filter(login => login.toLowerCase() !== pr.data.user?.login?.toLowerCase());
+      if (reviewers.length + required.team_reviewers.length > 0) {
+        try {
+          await this.octokit.pulls.requestReviewers({
+            ...repoParams(fullName),
+            pull_number: pr.data.number,
+            reviewers,
+            team_reviewers: required.team_reviewers
+          });
+        } catch (error) {
+          await this.closePullRequest(fullName, {
+            number: pr.data.number,
+            branch: spec.branch,
+            reason: `the reviewers required by \`${required.rule}\` could not be requested (${error.message})`
+          });
+          branchCreated = false;
+          throw error;
+        }
+      }
 
       return {
         number: pr.data.number,
         url: pr.data.html_url,
-        title: prTitle,
-        type: opportunity.type
+        title: spec.title,
+        type: spec.type,
+        action: 'created',
+        ...(labelsError ? { labels_error: labelsError } : {})
       };
     } catch (error) {
-      console.error(`Failed to create PR for ${repoName}:`, error);
+      console.error(`Failed to create PR for ${fullName}:`, error);
+      if (branchCreated) {
+        await this.deleteBranch(fullName, spec.branch).catch(cleanupError => {
+          console.error(`Failed to clean up ${spec.branch} in ${fullName}:`, cleanupError);
+        });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Push changed files to an open intelligence PR as one commit and refresh
+   * its body. PRs whose branch already has the generated files are skipped.
+   */
+  async updateOptimizationPR(fullName, pullRequest, spec) {
+    const result = {
+      number: pullRequest.number,
+      url: pullRequest.url,
+      title: spec.title,
+      type: spec.type
+    };
+
+    try {
+      const changed = [];
+      for (const file of spec.files) {
+        if (await this.getFileContent(fullName, pullRequest.branch, file.path) !== file.content) {
+          changed.push(file);
+        }
+      }
+
+      if (changed.length === 0) {
+        return { ...result, action: 'skipped' };
+      }
+
+      const headSha = await this.getBranchSha(fullName, pullRequest.branch);
+      const commitSha = await this.commitFiles(fullName, headSha, changed, commitMessage(spec, changed, 'Update'));
+      await this.octokit.git.updateRef({
+        ...repoParams(fullName),
+        ref: `heads/${pullRequest.branch}`,
+        sha: commitSha
+      });
+
+      await this.octokit.pulls.update({
+        ...repoParams(fullName),
+        pull_number: pullRequest.number,
+        title: spec.title,
+        body: spec.body
+      });
+
+      return { ...result, action: 'updated', files: changed.map(file => file.path) };
+    } catch (error) {
+      console.error(`Failed to update PR #${pullRequest.number} for ${fullName}:`, error);
       return null;
     }
   }
 
+  /**
+   * Open intelligence PRs of a repository grouped by opportunity type, newest
+   * first. Revert PRs are left out, planning must never close them.
+   */
+  async getOpenIntelligencePRs(fullName) {
+    const pulls = await this.octokit.paginate(this.octokit.pulls.list, {
+      ...repoParams(fullName),
+      state: 'open',
+      per_page: 100
+    });
+
+    const byType = new Map();
+    for (const pull of pulls.sort((a, b) => b.number - a.number)) {
+      const type = intelligencePRType(pull);
+      if (!OPPORTUNITY_TYPES.includes(type)) continue;
+      if (!byType.has(type)) byType.set(type, []);
+      byType.get(type).push(pull);
+    }
+    return byType;
+  }
+
+  /**
+   * Outcomes of the last 100 closed intelligence PRs by opportunity type, as
+   * `{ merged, closed }` where closed means rejected: closed without merging
+   * by someone other than the generator
+   */
+  async getPRHistory(fullName) {
+    const { data: pulls } = await this.octokit.pulls.list({
+      ...repoParams(fullName),
+      state: 'closed',
+      sort: 'updated',
+      direction: 'desc',
+      per_page: 100
+    });
+
+    const history = {};
+    for (const pull of pulls) {
+      const type = intelligencePRType(pull);
+      if (!type || isWithdrawn(pull)) continue;
+      history[type] ??= { merged: 0, closed: 0 };
+      history[type][pull.merged_at ? 'merged' : 'closed']++;
+    }
+    return history;
+  }
+
+  /**
+   * Close a stale intelligence PR with an explanation and delete its branch.
+   * The withdrawn label keeps it out of the rejections.
+   */
+  async closePullRequest(fullName, { number, branch, reason }) {
+    await this.octokit.issues.createComment({
+      ...repoParams(fullName),
+      issue_number: number,
+      body: `🧠 Closed automatically: ${reason}.`
+    });
+    await this.octokit.issues.addLabels({
+      ...repoParams(fullName),
+      issue_number: number,
+      labels: [WITHDRAWN_LABEL]
+    });
+    await this.octokit.pulls.update({
+      ...repoParams(fullName),
+      pull_number: number,
+      state: 'closed'
+    });
+    await this.deleteBranch(fullName, branch);
+  }
+
+  /**
+   * Verification results for writing `files` to `branch`: parsing, workflow
+   * syntax, action refs and added secrets (see `verifyFiles`). Files identical
+   * to the branch are not checked, and action refs it already uses are allowed.
+   */
+  async verifyPRFiles(fullName, branch, files) {
+    const withBaselines = [];
+    for (const file of files) {
+      withBaselines.push({ ...file, baseline: await this.getFileContent(fullName, branch, file.path) });
+    }
+    return await verifyFiles(withBaselines, { resolveAction: ref => this.resolveActionRef(ref) });
+  }
+
+  /**
+   * Why an action or reusable workflow ref does not resolve, or null when its
+   * repository has that tag, branch or commit. Each ref is looked up once.
+   */
+  resolveActionRef(ref) {
+    this.resolvedActionRefs ??= new Map();
+    if (!this.resolvedActionRefs.has(ref)) {
+      this.resolvedActionRefs.set(ref, (async () => {
+        const match = /^([\w.-]+)\/([\w.-]+)(?:\/[^@]*)?@(.+)$/.exec(ref);
+        if (!match) return `\`${ref}\` is not an owner/repository@ref reference`;
+
+        const [, owner, repo, version] = match;
+        try {
+          await this.octokit.repos.getCommit({ owner, repo, ref: version });
+          return null;
+        } catch (error) {
+          if (error.status === 404 || error.status === 422) {
+            return `\`${ref}\` does not resolve, ${owner}/${repo} has no \`${version}\` or is not accessible`;
+          }
+          throw error;
+        }
+      })());
+    }
+    return this.resolvedActionRefs.get(ref);
+  }
+
+  /**
+   * Rewrite the CI block of an intelligence PR's body with the check runs of
+   * its head commit. Returns whether the body changed; PRs without the block
+   * are left alone.
+   */
+  async refreshCIResults(fullName, number) {
+    await this.getConstellation();
+    const { owner, repo } = repoParams(fullName);
+    const { data: pull } = await this.octokit.pulls.get({ owner, repo, pull_number: number });
+    const checkRuns = await this.octokit.paginate(this.octokit.checks.listForRef, {
+      owner,
+      repo,
+      ref: pull.head.sha,
+      filter: 'latest',
+      per_page: 100
+    });
+
+    const body = replaceCIResults(pull.body, formatCIResults(checkRuns, pull.head.sha));
+    if (body === null || body === pull.body) return false;
+
+    await this.octokit.pulls.update({ owner, repo, pull_number: number, body });
+    return true;
+  }
+
+  /**
+   * `files` with their `status` and unified `diff` against `branch`
+   */
+  async diffAgainstBranch(fullName, branch, files) {
+    const result = [];
+    for (const file of files) {
+      const current = await this.getFileContent(fullName, branch, file.path);
+      result.push({
+        ...file,
+        status: current === file.content ? 'unchanged' : current === null ? 'added' : file.content === null ? 'removed' : 'modified',
+        diff: unifiedDiff(file.path, current, file.content)
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Policy violations for writing `spec` to `fullName` right now. Pass the
+   * number of PRs opened today when the PR would be new, so the daily budget
+   * applies; updates to open PRs pass null.
+   */
+  async policyViolations(fullName, spec, base, openedToday) {
+    const repoConfig = this.repositories.find(r => r.full_name === fullName);
+    const files = await this.diffAgainstBranch(fullName, base.name, spec.files);
+    const violations = checkPullRequest(this.policy, repoConfig, { type: spec.type, files });
+
+    const quietHours = checkQuietHours(this.policy);
+    if (quietHours) violations.push(quietHours);
+
+    const budget = openedToday === null ? null : checkDailyBudget(this.policy, openedToday);
+    if (budget) violations.push(budget);
+
+    return violations;
+  }
+
+  /**
+   * Intelligence PRs opened in the constellation since midnight UTC, open or
+   * not, for the daily budget. Searched with the read-only discovery client.
+   */
+  async countPRsOpenedToday() {
+    if (this.policy.daily_pr_budget === null) return 0;
+
+    const today = new Date().toISOString().slice(0, 10);
+    const repositories = new Set(this.repositories.map(r => `${r.owner}/${r.name}`.toLowerCase()));
+    const octokit = this.discoveryOctokit || this.octokit;
+    let count = 0;
+    for (const owner of new Set(this.repositories.map(r => r.owner))) {
+      const items = await octokit.paginate(octokit.search.issuesAndPullRequests, {
+        q: `is:pr label:${INTELLIGENCE_LABEL} created:>=${today} user:${owner}`,
+        per_page: 100
+      });
+      count += items.filter(item => repositories.has(item.repository_url.split('/repos/')[1].toLowerCase())).length;
+    }
+    return count;
+  }
+
+  /**
+   * Open a revert PR for an intelligence PR whose merge broke the default
+   * branch: a workflow run failed on the merge commit within
+   * `ROLLBACK_WINDOW_HOURS` while the previous run of that workflow passed.
+   * `record` is the tracker record of the merged PR and `run` the failed run
+   * when a webhook reported it. Returns `{ pr }`, `{ skipped }` or `{ error }`;
+   * a merge never gets more than one revert branch.
+   */
+  async rollbackBrokenMerge(fullName, record, { run = null } = {}) {
+    if (record.state !== 'merged' || !record.merge_commit_sha) {
+      return { skipped: `#${record.number} is not merged` };
+    }
+    if (Date.now() - Date.parse(record.merged_at) > ROLLBACK_WINDOW_HOURS * 60 * 60 * 1000) {
+      return { skipped: `#${record.number} was merged more than ${ROLLBACK_WINDOW_HOURS}h ago` };
+    }
+
+    try {
+      await this.getConstellation();
+      const base = await this.getDefaultBranch(fullName);
+      const failed = run || await this.findFailedRun(fullName, base.name, record.merge_commit_sha);
+      if (!failed || failed.head_sha !== record.merge_commit_sha || failed.head_branch !== base.name) {
+        return { skipped: `no failed workflow run on ${base.name} for the merge commit of #${record.number}` };
+      }
+      if (await this.previousRunConclusion(fullName, failed) === 'failure') {
+        return { skipped: `${failed.name} was already failing on ${base.name} before #${record.number} was merged` };
+      }
+
+      // Each merged PR gets at most one revert branch
+      const branch = `${REVERT_BRANCH_PREFIX}${record.number}`;
+      if (await this.revertExists(fullName, branch)) {
+        return { skipped: `#${record.number} already has a revert branch \`${branch}\`` };
+      }
+
+      const { files, conflicts } = await this.revertFiles(fullName, record, base);
+      if (conflicts.length > 0) {
+        return { skipped: `cannot revert #${record.number} automatically, changed since the merge: ${conflicts.join(', ')}` };
+      }
+
+      const spec = {
+        type: REVERT_TYPE,
+        priority: 'high',
+        impact: `restores a passing ${base.name}`,
+        branch,
+        title: `⏪ Revert #${record.number}${record.title ? `: ${record.title}` : ''}`,
+        labels: [INTELLIGENCE_LABEL, 'automation', 'rollback'],
+        files
+      };
+      spec.body = await this.generateRollbackBody(fullName, record, failed, base, files);
+
+      const violations = await this.policyViolations(fullName, spec, base, await this.countPRsOpenedToday());
+      if (violations.length > 0) {
+        return { error: `Blocked by policy: ${formatViolations(violations)}`, violations };
+      }
+
+      const pr = await this.createOptimizationPR(fullName, spec, base);
+      if (pr?.conflict) return { skipped: pr.conflict };
+      return pr ? { pr } : { error: 'Revert PR creation failed' };
+    } catch (error) {
+      console.error(`Failed to roll back #${record.number} in ${fullName}:`, error);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Most recent failed run of a push to `branch` at `headSha`
+   */
+  async findFailedRun(fullName, branch, headSha) {
+    const { data } = await this.octokit.actions.listWorkflowRunsForRepo({
+      ...repoParams(fullName),
+      branch,
+      head_sha: headSha,
+      event: 'push',
+      status: 'failure',
+      per_page: 10
+    });
+    return data.workflow_runs[0] || null;
+  }
+
+  /**
+   * Conclusion of the last completed run of the same workflow on the same
+   * branch before `run`, or null when the workflow never ran before
+   */
+  async previousRunConclusion(fullName, run) {
+    const { data } = await this.octokit.actions.listWorkflowRuns({
+      ...repoParams(fullName),
+      workflow_id: run.workflow_id,
+      branch: run.head_branch,
+      event: 'push',
+      status: 'completed',
+      per_page: 20
+    });
+    const previous = data.workflow_runs.find(other =>
+      other.head_sha !== run.head_sha && Date.parse(other.created_at) < Date.parse(run.created_at));
+    return previous?.conclusion || null;
+  }
+
+  /**
+   * Whether a revert branch or PR (open or closed) already exists
+   */
+  async revertExists(fullName, branch) {
+    const { owner, repo } = repoParams(fullName);
+    const { data: pulls } = await this.octokit.pulls.list({ owner, repo, head: `${owner}:${branch}`, state: 'all', per_page: 1 });
+    if (pulls.length > 0) return true;
+
+    try {
+      await this.getBranchSha(fullName, branch);
+      return true;
+    } catch (error) {
+      if (error.status === 404) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Files restoring every path the merged PR changed to its state before the
+   * merge (content null deletes a file the PR added). Paths changed again on
+   * `base` since the merge are returned as conflicts.
+   */
+  async revertFiles(fullName, record, base) {
+    const before = await this.findPreMergeCommit(fullName, record.merge_commit_sha, record.number);
+    const { data: comparison } = await this.octokit.repos.compareCommits({
+      ...repoParams(fullName),
+      base: before,
+      head: record.merge_commit_sha
+    });
+
+    const files = [];
+    const conflicts = [];
+    for (const changed of comparison.files || []) {
+      const paths = changed.status === 'renamed' ? [changed.filename, changed.previous_filename] : [changed.filename];
+      for (const path of paths) {
+        const merged = await this.getFileContent(fullName, record.merge_commit_sha, path);
+        const current = await this.getFileContent(fullName, base.name, path);
+        if (current !== merged) {
+          conflicts.push(`\`${path}\``);
+          continue;
+        }
+        files.push({ path, content: await this.getFileContent(fullName, before, path) });
+      }
+    }
+    return { files, conflicts };
+  }
+
+  /**
+   * Commit the default branch had before the PR landed: the first parent of a
+   * merge commit, or the parent of the earliest squashed or rebased commit
+   */
+  async findPreMergeCommit(fullName, mergeSha, number) {
+    const { owner, repo } = repoParams(fullName);
+    let sha = mergeSha;
+
+    for (let depth = 0; depth < MAX_REBASED_COMMITS; depth++) {
+      const { data: commit } = await this.octokit.git.getCommit({ owner, repo, commit_sha: sha });
+      const parent = commit.parents[0].sha;
+      if (commit.parents.length > 1) return parent;
+
+      const { data: pulls } = await this.octokit.repos.listPullRequestsAssociatedWithCommit({ owner, repo, commit_sha: parent });
+      if (!pulls.some(pull => pull.number === number)) return parent;
+      sha = parent;
+    }
+    throw new Error(`#${number} has more than ${MAX_REBASED_COMMITS} rebased commits`);
+  }
+
+  /**
+   * Revert PR body with the failed jobs, the failing steps and the end of their logs
+   */
+  async generateRollbackBody(fullName, record, run, base, files) {
+    let body = `## ⏪ Automated Rollback\n\n`;
+    body += `Reverts #${record.number} (\`${record.type}\`), merged as \`${record.merge_commit_sha.slice(0, 7)}\`. `;
+    body += `[${run.name} #${run.run_number}](${run.html_url}) failed on \`${base.name}\` for that commit, `;
+    body += `while the previous run of the workflow did not fail.\n\n`;
+
+    body += `### ❌ Failure\n\n`;
+    body += await this.summarizeFailedRun(fullName, run);
+
+    body += `### ↩️ Reverted Files\n\n`;
+    files.forEach(file => {
+      body += `- \`${file.path}\` ${file.content === null ? 'deleted, the PR added it' : 'restored'}\n`;
+    });
+
+    body += `\nMerge this PR to get \`${base.name}\` passing again. The original change can be proposed again once the failure is understood.\n\n`;
+    body += `---\n\n`;
+    body += `*This rollback was opened automatically by the Homelab Intelligence Platform.*`;
+    return body;
+  }
+
+  /**
+   * Markdown summary of the failed jobs of a run. Logs are best effort, a run
+   * whose logs expired is still summarized by its failed steps.
+   */
+  async summarizeFailedRun(fullName, run) {
+    const { owner, repo } = repoParams(fullName);
+    const { data } = await this.octokit.actions.listJobsForWorkflowRun({ owner, repo, run_id: run.id, filter: 'latest' });
+    const failedJobs = data.jobs.filter(job => job.conclusion === 'failure').slice(0, MAX_SUMMARIZED_JOBS);
+    if (failedJobs.length === 0) return `No failed job was reported, see the [run](${run.html_url}).\n\n`;
+
+    let summary = '';
+    for (const job of failedJobs) {
+      const steps = (job.steps || []).filter(step => step.conclusion === 'failure').map(step => `\`${step.name}\``);
+      summary += `**${job.name}**${steps.length > 0 ? ` failed at ${steps.join(', ')}` : ''} ([log](${job.html_url}))\n\n`;
+
+      try {
+        const { data: log } = await this.octokit.actions.downloadJobLogsForWorkflowRun({ owner, repo, job_id: job.id });
+        const excerpt = logExcerpt(String(log));
+        if (excerpt) summary += `\`\`\`\n${excerpt}\n\`\`\`\n\n`;
+      } catch (error) {
+        console.error(`Failed to download logs of job ${job.id} in ${fullName}:`, error);
+      }
+    }
+    return summary;
+  }
+
   /**
    * Generate PR title based on optimization type
    */
-  generatePRTitle(opportunity, repoName) {
+  generatePRTitle(opportunity, fullName) {
     const titles = {
       'security-hardening': `🔒 Autonomous Security Hardening`,
       'duplication-removal': `🧠 AI-Detected Duplication Consolidation`,
@@ -226,10 +1081,10 @@ export class AutonomousPRGenerator {
   /**
    * Generate comprehensive PR body with AI analysis context
    */
-  async generatePRBody(opportunity, repoAnalysis, repoName) {
-    const analysis = repoAnalysis.architecture || {};
-    const security = repoAnalysis.security || {};
-    const community = repoAnalysis.community_context || {};
+  async generatePRBody(opportunity, repoAnalysis, fullName, files = []) {
+    const analysis = reliable(repoAnalysis.architecture) || {};
+    const security = reliable(repoAnalysis.security) || {};
+    const community = reliable(repoAnalysis.community_context) || {};
 
     let body = `## 🧠 AI-Generated Optimization\n\n`;
     body += `**Generated by**: [Homelab Intelligence Core](https://github.com/edcet/homelab-intelligence-core)\n`;
@@ -242,8 +1097,15 @@ export class AutonomousPRGenerator {
     switch (opportunity.type) {
       case 'security-hardening':
         body += `### 🔒 Security Improvements\n\n`;
-        body += `**Detected Issues**: ${security.vulnerabilities?.length || 0}\n`;
+        body += `**Detected Issues**: ${reliableVulnerabilities(repoAnalysis.security).length}\n`;
         body += `**Current Compliance Score**: ${security.compliance_score || 'Unknown'}\n`;
+        const ruleFindings = reliableVulnerabilities(repoAnalysis.security).filter(v => v?.source === 'scanner');
+        if (ruleFindings.length > 0) {
+          body += `\n**Scanner Findings**:\n`;
+          ruleFindings.slice(0, 10).forEach(finding => {
+            body += `- \`${finding.severity}\` ${finding.message} (\`${finding.file}:${finding.line}\`, rule \`${finding.rule_id}\`)\n`;
+          });
+        }
         if (security.recommendations?.length > 0) {
           body += `\n**Recommendations**:\n`;
           security.recommendations.forEach(rec => {
@@ -254,14 +1116,28 @@ export class AutonomousPRGenerator {
 
       case 'duplication-removal':
         body += `### 🧠 Duplication Analysis\n\n`;
-        body += `**Duplication Risk**: ${analysis.duplication_risk}\n`;
-        body += `**Detected Patterns**: ${analysis.patterns?.join(', ') || 'Various'}\n`;
+        body += `**Duplication Risk**: ${analysis.duplication_risk || 'Unknown'}\n`;
+        body += `\n**Duplicated Workflows**:\n`;
+        (opportunity.clusters || []).forEach(cluster => {
+          const similarity = cluster.type === 'identical' ? 'identical' : `${Math.round(cluster.similarity.min * 100)}%+ similar`;
+          body += `- \`${cluster.id}\` (${similarity}): ${cluster.members.map(m => `\`${m.repository}/${m.path}\``).join(', ')}, `;
+          body += `shared from **${cluster.canonical.repository}**\n`;
+        });
+        body += `\nThe shared workflows live in their canonical repository and the copies call them as reusable workflows. `;
+        body += `Merge the canonical repository's PR first, the callers reference its default branch. `;
+        body += `Private canonical repositories must allow access from the other repositories (Settings → Actions → Access). `;
+        body += `Near-identical copies now run the canonical version, check that their differences were not needed.\n`;
+        break;
+
+      case 'performance-optimization':
+        body += `### ⚡ Performance Analysis\n\n`;
         if (analysis.optimizations?.length > 0) {
-          body += `\n**Consolidation Opportunities**:\n`;
+          body += `**Recommended Optimizations**:\n`;
           analysis.optimizations.forEach(opt => {
             body += `- ${opt}\n`;
           });
         }
+        body += `\nThis PR applies the workflow changes that can be made safely without running the code: dependency caching, duplicate jobs and superseded pull request runs.\n`;
         break;
 
       case 'intelligence-integration':
@@ -275,6 +1151,23 @@ export class AutonomousPRGenerator {
         break;
     }
 
+    if (opportunity.score) {
+      body += `\n### 🏆 Why This PR\n\n`;
+      body += formatScore(opportunity.score);
+    }
+
+    const changed = files.filter(file => file.changes?.length > 0);
+    if (changed.length > 0) {
+      body += `\n### 📝 Changes\n\n`;
+      changed.forEach(file => {
+        body += `- \`${file.path}\`\n`;
+        file.changes.forEach(change => {
+          body += `  - ${change}\n`;
+        });
+      });
+      body += `\n`;
+    }
+
     // Add community context if available
     if (community.trends?.length > 0) {
       body += `### 🌍 Community Insights\n\n`;
@@ -287,12 +1180,12 @@ export class AutonomousPRGenerator {
     body += `### 📈 Rollback Plan\n\n`;
     body += `This PR can be safely reverted using: \`git revert <commit-sha>\`\n\n`;
     
-    body += `### ✅ Testing\n\n`;
-    body += `- [ ] CI passes\n`;
-    body += `- [ ] No breaking changes\n`;
-    body += `- [ ] Documentation updated\n`;
-    body += `- [ ] Intelligence integration verified\n\n`;
-    
+    if (opportunity.checks) {
+      body += `### ✅ Verification\n\n`;
+      body += formatChecks(opportunity.checks);
+      body += `\n`;
+    }
+
     body += `---\n\n`;
     body += `*This PR was autonomously generated by the Homelab Intelligence Platform. Review carefully before merging.*`;
 
@@ -302,23 +1195,23 @@ export class AutonomousPRGenerator {
   /**
    * Generate optimization files based on opportunity type
    */
-  async generateOptimizationFiles(opportunity, repoAnalysis, repoName) {
+  async generateOptimizationFiles(opportunity, repoAnalysis, fullName) {
     const files = [];
-    const repoConfig = REPOSITORY_CONSTELLATION[repoName];
+    const repoConfig = (await this.getConstellation()).find(r => r.full_name === fullName);
 
     switch (opportunity.type) {
       case 'intelligence-integration':
         // Add intelligence webhook integration
         files.push({
           path: '.github/workflows/intelligence.yml',
-          content: this.generateIntelligenceWorkflow(repoName, repoConfig)
+          content: this.generateIntelligenceWorkflow(fullName, repoConfig)
         });
         
         // Add intelligence configuration
         files.push({
           path: '.intelligence/config.json',
           content: JSON.stringify({
-            repository: repoName,
+            repository: fullName,
             type: repoConfig.type,
             analysis_enabled: true,
             optimization_enabled: true,
@@ -331,19 +1224,127 @@ export class AutonomousPRGenerator {
 
       case 'ci-enhancement':
         // Enhanced CI workflow with intelligence integration
-        files.push({
-          path: '.github/workflows/ci-enhanced.yml', 
-          content: this.generateEnhancedCIWorkflow(repoName, repoConfig)
-        });
+        const workflow = this.generateEnhancedCIWorkflow(fullName, repoAnalysis);
+        if (workflow) {
+          files.push({
+            path: '.github/workflows/ci-enhanced.yml', 
+            content: workflow
+          });
+        }
         break;
 
       case 'security-hardening':
         // Security policy and workflow
         files.push({
           path: '.github/workflows/security.yml',
-          content: this.generateSecurityWorkflow(repoName)
+          content: this.generateSecurityWorkflow(fullName)
         });
         break;
+
+      // Both rewrite the repository's own files, there is nothing to merge
+      case 'duplication-removal':
+        return await this.generateDuplicationFiles(opportunity.clusters || [], fullName);
+
+      case 'performance-optimization':
+        return await this.generatePerformanceFiles(repoAnalysis, fullName);
+    }
+
+    return await this.mergeWithExistingFiles(fullName, files);
+  }
+
+  /**
+   * Merge template output into files that already exist on the default
+   * branch, carrying the merge's changes and conflicts on each file
+   */
+  async mergeWithExistingFiles(fullName, files) {
+    const { name: branch } = await this.getDefaultBranch(fullName);
+    const merged = [];
+
+    for (const file of files) {
+      const existing = await this.getFileContent(fullName, branch, file.path);
+      const { content, changes, conflicts } = mergeGeneratedFile(file.path, existing, file.content);
+      merged.push({
+        ...file,
+        content,
+        ...(changes.length > 0 ? { changes } : {}),
+        ...(conflicts.length > 0 ? { conflicts } : {})
+      });
+    }
+
+    return merged;
+  }
+
+  /**
+   * Extract each duplicated workflow into a reusable workflow in its canonical
+   * repository and rewrite this repository's copies to call it
+   */
+  async generateDuplicationFiles(clusters, fullName) {
+    const files = [];
+    const { name: branch } = await this.getDefaultBranch(fullName);
+
+    for (const cluster of clusters) {
+      const { canonical } = cluster;
+      const sharedPath = sharedWorkflowPath(canonical.path);
+      const isCanonical = canonical.repository === fullName;
+      const others = cluster.members
+        .filter(m => m.repository !== canonical.repository)
+        .map(m => `\`${m.repository}/${m.path}\``);
+
+      let uses = `./${sharedPath}`;
+      if (isCanonical) {
+        const reusable = toReusableWorkflow(await this.getFileContent(fullName, branch, canonical.path) || '');
+        if (!reusable) continue;
+        files.push({
+          path: sharedPath,
+          content: reusable,
+          changes: [`Reusable workflow extracted from \`${canonical.path}\`, shared with ${others.join(', ')}`]
+        });
+      } else {
+        const { name: canonicalBranch } = await this.getDefaultBranch(canonical.repository);
+        uses = `${canonical.repository}/${sharedPath}@${canonicalBranch}`;
+      }
+
+      for (const member of cluster.members.filter(m => m.repository === fullName && m.path !== sharedPath)) {
+        const caller = toCallerWorkflow(await this.getFileContent(fullName, branch, member.path) || '', uses);
+        if (!caller) continue;
+        files.push({
+          path: member.path,
+          content: caller,
+          changes: [`Jobs replaced by a call to \`${uses}\` (${cluster.type === 'identical' ? 'identical copy' : 'near-identical copy'})`]
+        });
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Apply concrete performance changes to the repository's workflows, keeping
+   * only the files that actually changed
+   */
+  async generatePerformanceFiles(repoAnalysis, fullName) {
+    const files = [];
+    const { name: branch } = await this.getDefaultBranch(fullName);
+    const fileExists = async path => await this.getFileContent(fullName, branch, path) !== null;
+
+    let packageManager = null;
+    for (const lockfile of NODE_LOCKFILES) {
+      if (await fileExists(lockfile.path)) {
+        packageManager = lockfile.manager;
+        break;
+      }
+    }
+    const pip = await fileExists('requirements.txt');
+
+    const workflows = (repoAnalysis.file_inventory?.key_files || []).filter(file => file.kind === 'workflow');
+    for (const workflow of workflows) {
+      const content = await this.getFileContent(fullName, branch, workflow.path);
+      if (content === null) continue;
+
+      const optimized = optimizeWorkflow(content, { packageManager, pip });
+      if (optimized.changes.length > 0) {
+        files.push({ path: workflow.path, content: optimized.content, changes: optimized.changes });
+      }
     }
 
     return files;
@@ -352,7 +1353,7 @@ export class AutonomousPRGenerator {
   /**
    * Generate intelligence integration workflow
    */
-  generateIntelligenceWorkflow(repoName, repoConfig) {
+  generateIntelligenceWorkflow(fullName, repoConfig) {
     return `name: 🧠 Homelab Intelligence Integration
 
 on:
@@ -377,17 +1378,17 @@ jobs:
           curl -X POST "$INTELLIGENCE_WEBHOOK/analyze" \
             -H "Content-Type: application/json" \
             -d '{
-              "repository": "${repoName}",
+              "repository": "${fullName}",
               "type": "${repoConfig.type}",
               "trigger": "github-action",
-              "commit": "${{ github.sha }}",
-              "branch": "${{ github.ref_name }}"
+              "commit": "\${{ github.sha }}",
+              "branch": "\${{ github.ref_name }}"
             }'
             
       - name: 📋 Generate Intelligence Report
         run: |
           echo "## 🧠 Intelligence Analysis Complete" >> $GITHUB_STEP_SUMMARY
-          echo "Repository: ${repoName}" >> $GITHUB_STEP_SUMMARY
+          echo "Repository: ${fullName}" >> $GITHUB_STEP_SUMMARY
           echo "Type: ${repoConfig.type}" >> $GITHUB_STEP_SUMMARY
           echo "Analysis triggered at: $(date)" >> $GITHUB_STEP_SUMMARY
           echo "View full results: [Intelligence Dashboard](https://homelab-intelligence.edcet.workers.dev)" >> $GITHUB_STEP_SUMMARY
@@ -401,82 +1402,24 @@ jobs:
           curl -X POST "$INTELLIGENCE_WEBHOOK/community" \
             -H "Content-Type: application/json" \
             -d '{
-              "repository": "${repoName}",
+              "repository": "${fullName}",
               "check_type": "pattern_mining"
             }'
 `;
   }
 
   /**
-   * Generate enhanced CI workflow
+   * Generate enhanced CI workflow with one job per stack detected in the
+   * repository, or null when no supported stack was found
    */
-  generateEnhancedCIWorkflow(repoName, repoConfig) {
-    const language = repoConfig.language.toLowerCase();
-    
-    let workflow = `name: 📈 Enhanced CI with Intelligence
-
-on:
-  push:
-    branches: [ main, master ]
-  pull_request:
-    branches: [ main, master ]
-
-jobs:
-`;
-
-    if (language === 'typescript') {
-      workflow += `  typescript-analysis:
-    runs-on: ubuntu-latest
-    steps:
-      - uses: actions/checkout@v4
-      - uses: actions/setup-node@v4
-        with:
-          node-version: '20'
-          cache: 'npm'
-      
-      - run: npm ci
-      - run: npm run lint --if-present
-      - run: npm run test --if-present
-      - run: npm run build --if-present
-      
-      - name: 🧠 Intelligence Analysis
-        run: |
-          curl -X POST "https://homelab-intelligence.edcet.workers.dev/analyze" \
-            -H "Content-Type: application/json" \
-            -d '{
-              "repository": "${repoName}", 
-              "language": "typescript",
-              "context": "ci-run"
-            }'
-`;
-    } else if (language === 'shell') {
-      workflow += `  shell-analysis:
-    runs-on: ubuntu-latest
-    steps:
-      - uses: actions/checkout@v4
-      
-      - name: ShellCheck
-        uses: ludeeus/action-shellcheck@master
-        
-      - name: 🧠 Intelligence Analysis
-        run: |
-          curl -X POST "https://homelab-intelligence.edcet.workers.dev/analyze" \
-            -H "Content-Type: application/json" \
-            -d '{
-              "repository": "${repoName}",
-              "language": "shell", 
-              "context": "ci-run"
-            }'
-`;
-    }
-
-    return workflow;
+  generateEnhancedCIWorkflow(fullName, repoAnalysis) {
+    return buildCIWorkflow(fullName, repoAnalysis);
   }
 
   /**
    * Generate security workflow
    */
-  generateSecurityWorkflow(repoName) {
+  generateSecurityWorkflow(fullName) {
     return `name: 🔒 Security Analysis
 
 on:
@@ -490,11 +1433,14 @@ on:
 jobs:
   security-scan:
     runs-on: ubuntu-latest
+    permissions:
+      contents: read
+      security-events: write
     steps:
       - uses: actions/checkout@v4
       
       - name: Run Trivy vulnerability scanner
-        uses: aquasecurity/trivy-action@master
+        uses: aquasecurity/trivy-action@0.28.0
         with:
           scan-type: 'fs'
           scan-ref: '.'
@@ -502,35 +1448,51 @@ jobs:
           output: 'trivy-results.sarif'
           
       - name: Upload Trivy scan results to GitHub Security tab
-        uses: github/codeql-action/upload-sarif@v2
+        uses: github/codeql-action/upload-sarif@v3
         if: always()
         with:
           sarif_file: 'trivy-results.sarif'
+          category: trivy
           
       - name: 🧠 Intelligence Security Analysis
         run: |
           curl -X POST "https://homelab-intelligence.edcet.workers.dev/analyze" \
             -H "Content-Type: application/json" \
             -d '{
-              "repository": "${repoName}",
+              "repository": "${fullName}",
               "analysis_type": "security",
               "context": "security-scan"
             }'
+
+      - name: 🧠 Export intelligence findings as SARIF
+        id: intelligence-sarif
+        continue-on-error: true
+        env:
+          OPTIMIZE_API_TOKEN: \${{ secrets.OPTIMIZE_API_TOKEN }}
+        run: |
+          curl -fsS "https://homelab-intelligence.edcet.workers.dev/analyses/latest/sarif?repo=${fullName}" \
+            -H "Authorization: Bearer $OPTIMIZE_API_TOKEN" \
+            -o intelligence-results.sarif
+
+      - name: Upload intelligence findings to GitHub Security tab
+        uses: github/codeql-action/upload-sarif@v3
+        if: always() && steps.intelligence-sarif.outcome == 'success'
+        with:
+          sarif_file: 'intelligence-results.sarif'
+          category: homelab-intelligence
 `;
   }
 
   /**
    * Helper methods for GitHub API operations
    */
-  async getDefaultBranch(repoName) {
+  async getDefaultBranch(fullName) {
     const { data: repo } = await this.octokit.repos.get({
-      owner: this.owner,
-      repo: repoName
+      ...repoParams(fullName)
     });
     
     const { data: branch } = await this.octokit.repos.getBranch({
-      owner: this.owner,
-      repo: repoName,
+      ...repoParams(fullName),
       branch: repo.default_branch
     });
     
@@ -540,50 +1502,206 @@ jobs:
     };
   }
 
-  async createBranch(repoName, branchName, baseSha) {
-    return await this.octokit.git.createRef({
-      owner: this.owner,
-      repo: repoName,
-      ref: `refs/heads/${branchName}`,
-      sha: baseSha
+  /**
+   * Point a new branch at `baseSha` as `{ created }`. An existing branch is
+   * only reset when it holds nothing but the generator's own work, otherwise
+   * it is left alone and `{ conflict }` says why.
+   */
+  async createBranch(fullName, branchName, baseSha) {
+    try {
+      await this.octokit.git.createRef({
+        ...repoParams(fullName),
+        ref: `refs/heads/${branchName}`,
+        sha: baseSha
+      });
+      return { created: true };
+    } catch (error) {
+      if (error.status !== 422) throw error;
+    }
+
+    const conflict = await this.branchConflict(fullName, branchName);
+    if (conflict) return { conflict };
+
+    // A branch left behind by a closed intelligence PR starts over from the base
+    await this.octokit.git.updateRef({
+      ...repoParams(fullName),
+      ref: `heads/${branchName}`,
+      sha: baseSha,
+      force: true
     });
+    return { created: true };
   }
 
-  async createOrUpdateFile(repoName, branch, file) {
+  /**
+   * Why an existing branch must not be reset, or null when the generator owns
+   * it: its last PR is a closed intelligence PR and the branch still points at
+   * that PR's head, a commit the generator made
+   */
+  async branchConflict(fullName, branchName) {
+    const { owner, repo } = repoParams(fullName);
+    const { data: pulls } = await this.octokit.pulls.list({
+      owner,
+      repo,
+      head: `${owner}:${branchName}`,
+      state: 'all',
+      sort: 'created',
+      direction: 'desc',
+      per_page: 1
+    });
+
+    const [last] = pulls;
+    if (!last || !intelligencePRType(last)) {
+      return `\`${branchName}\` already exists and was not left behind by an intelligence PR`;
+    }
+    if (last.state !== 'closed') {
+      return `\`${branchName}\` already has the open PR #${last.number}`;
+    }
+
+    const head = await this.getBranchSha(fullName, branchName);
+    if (head !== last.head.sha) {
+      return `\`${branchName}\` has commits that were pushed after #${last.number} was closed`;
+    }
+    const { data: commit } = await this.octokit.git.getCommit({ owner, repo, commit_sha: head });
+    if (!isGeneratedCommit(commit.message)) {
+      return `the head of \`${branchName}\` was not committed by the generator`;
+    }
+    return null;
+  }
+
+  async deleteBranch(fullName, branchName) {
     try {
-      // Try to get existing file
-      const { data: existingFile } = await this.octokit.repos.getContent({
-        owner: this.owner,
-        repo: repoName,
-        path: file.path,
+      await this.octokit.git.deleteRef({
+        ...repoParams(fullName),
+        ref: `heads/${branchName}`
+      });
+    } catch (error) {
+      if (error.status !== 422 && error.status !== 404) throw error;
+    }
+  }
+
+  /**
+   * Decoded file content on a branch, or null when there is no file at `path`
+   * (missing, a directory, a symlink or a submodule)
+   */
+  async getFileContent(fullName, branch, path) {
+    try {
+      const { data } = await this.octokit.repos.getContent({
+        ...repoParams(fullName),
+        path,
         ref: branch
       });
-      
-      // Update existing file
-      return await this.octokit.repos.createOrUpdateFileContents({
-        owner: this.owner,
-        repo: repoName,
-        path: file.path,
-        message: `🧠 Update ${file.path} via intelligence automation`,
-        content: Buffer.from(file.content).toString('base64'),
-        sha: existingFile.sha,
-        branch
+      if (Array.isArray(data) || data.type !== 'file') return null;
+      if (data.encoding === 'base64') return decodeBase64(data.content);
+
+      // Files over 1 MB come without content, the blob API still serves them
+      const { data: blob } = await this.octokit.git.getBlob({
+        ...repoParams(fullName),
+        file_sha: data.sha
       });
+      return decodeBase64(blob.content);
     } catch (error) {
-      if (error.status === 404) {
-        // Create new file
-        return await this.octokit.repos.createOrUpdateFileContents({
-          owner: this.owner,
-          repo: repoName,
-          path: file.path,
-          message: `🧠 Create ${file.path} via intelligence automation`,
-          content: Buffer.from(file.content).toString('base64'),
-          branch
-        });
-      }
+      if (error.status === 404) return null;
       throw error;
     }
   }
+
+  async getBranchSha(fullName, branchName) {
+    const { data: ref } = await this.octokit.git.getRef({
+      ...repoParams(fullName),
+      ref: `heads/${branchName}`
+    });
+    return ref.object.sha;
+  }
+
+  /**
+   * Write files as a single commit on top of `parentSha` through the Git Data
+   * API (blobs, tree, commit). Files with null content are deleted. Returns
+   * the new commit sha without moving any ref.
+   */
+  async commitFiles(fullName, parentSha, files, message) {
+    const { owner, repo } = repoParams(fullName);
+
+    const { data: parent } = await this.octokit.git.getCommit({
+      owner,
+      repo,
+      commit_sha: parentSha
+    });
+
+    // Rewritten files keep their mode, e.g. the executable bit of a script
+    const modes = await this.treeModes(fullName, parent.tree.sha, files.map(file => file.path));
+
+    const tree = [];
+    for (const file of files) {
+      // A null sha removes the path from the tree
+      if (file.content === null) {
+        tree.push({ path: file.path, mode: modes.get(file.path) || '100644', type: 'blob', sha: null });
+        continue;
+      }
+
+      const { data: blob } = await this.octokit.git.createBlob({
+        owner,
+        repo,
+        content: file.content,
+        encoding: 'utf-8'
+      });
+      tree.push({
+        path: file.path,
+        mode: modes.get(file.path) || '100644',
+        type: 'blob',
+        sha: blob.sha
+      });
+    }
+
+    const { data: newTree } = await this.octokit.git.createTree({
+      owner,
+      repo,
+      base_tree: parent.tree.sha,
+      tree
+    });
+
+    const { data: commit } = await this.octokit.git.createCommit({
+      owner,
+      repo,
+      message,
+      tree: newTree.sha,
+      parents: [parentSha]
+    });
+
+    return commit.sha;
+  }
+
+  /**
+   * Modes of the blobs at `paths` in a tree; paths that don't exist yet are
+   * left out
+   */
+  async treeModes(fullName, treeSha, paths) {
+    const { owner, repo } = repoParams(fullName);
+    const { data } = await this.octokit.git.getTree({ owner, repo, tree_sha: treeSha, recursive: 'true' });
+    const modes = new Map(data.tree
+      .filter(entry => entry.type === 'blob' && paths.includes(entry.path))
+      .map(entry => [entry.path, entry.mode]));
+    if (!data.truncated) return modes;
+
+    // Truncated listings may miss a path, walk down to it one directory at a time
+    const levels = new Map();
+    for (const path of paths.filter(path => !modes.has(path))) {
+      const parts = path.split('/');
+      let sha = treeSha;
+      for (const [index, part] of parts.entries()) {
+        if (!levels.has(sha)) {
+          levels.set(sha, (await this.octokit.git.getTree({ owner, repo, tree_sha: sha })).data.tree);
+        }
+        const entry = levels.get(sha).find(candidate => candidate.path === part);
+        if (!entry) break;
+        if (index === parts.length - 1) {
+          if (entry.type === 'blob') modes.set(path, entry.mode);
+        } else {
+          sha = entry.sha;
+        }
+      }
+    }
+    return modes;
+  }
 }
 
 /**
@@ -0,0 +1,171 @@
+/**
+ * 📋 Optimization Plan Files
+ *
+ * A plan file is the reviewable output of a dry run: every target repository,
+ * the default branch commit it was planned against, and for each PR its
+ * branch, title, body, labels and file contents with unified diffs. Applying
+ * a plan carries out exactly what the file says, nothing is regenerated.
+ */
+
+import { sha256 } from '../shared/hash.js';
+import { BRANCH_PREFIX, OPPORTUNITY_TYPES } from '../shared/pr-outcomes.js';
+import { validateSchema } from '../shared/schema.js';
+
+export const PLAN_VERSION = 1;
+
+const fileSchema = {
+  type: 'object',
+  required: ['path', 'content', 'status', 'diff'],
+  properties: {
+    path: { type: 'string', minLength: 1 },
+    content: { type: 'string' },
+    status: { type: 'string', enum: ['added', 'modified', 'unchanged'] },
+    diff: { type: 'string' }
+  }
+};
+
+const pullRequestRefSchema = {
+  type: 'object',
+  required: ['number', 'url', 'branch'],
+  properties: {
+    number: { type: 'integer', minimum: 1 },
+    url: { type: 'string' },
+    branch: { type: 'string', minLength: 1 }
+  }
+};
+
+export const PLAN_SCHEMA = {
+  type: 'object',
+  required: ['version', 'id', 'repositories'],
+  properties: {
+    version: { type: 'integer', enum: [PLAN_VERSION] },
+    id: { type: 'string', pattern: '^plan-[0-9a-f]{16}$' },
+    repositories: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['repository', 'owner', 'base', 'opportunities', 'close'],
+        properties: {
+          repository: { type: 'string', minLength: 1 },
+          owner: { type: 'string', minLength: 1 },
+          base: {
+            type: 'object',
+            required: ['name', 'sha'],
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              sha: { type: 'string', minLength: 1 }
+            }
+          },
+          opportunities: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['type', 'priority', 'action', 'branch', 'title', 'body', 'labels', 'files'],
+              properties: {
+                type: { type: 'string', minLength: 1 },
+                priority: { type: 'string', minLength: 1 },
+                action: { type: 'string', enum: ['create', 'update', 'skip'] },
+                branch: { type: 'string', minLength: 1 },
+                title: { type: 'string', minLength: 1 },
+                body: { type: 'string' },
+                labels: { type: 'array', items: { type: 'string' } },
+                score: {
+                  type: 'object',
+                  required: ['total', 'breakdown', 'rationale'],
+                  properties: {
+                    total: { type: 'number' },
+                    breakdown: { type: 'array', items: { type: 'object', required: ['factor', 'points', 'detail'] } },
+                    rationale: { type: 'string' }
+                  }
+                },
+                checks: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['name', 'status', 'details'],
+                    properties: {
+                      name: { type: 'string' },
+                      status: { type: 'string', enum: ['passed', 'failed', 'skipped'] },
+                      details: { type: 'array', items: { type: 'string' } }
+                    }
+                  }
+                },
+                pull_request: { type: ['object', 'null'] },
+                files: { type: 'array', items: fileSchema }
+              }
+            }
+          },
+          close: {
+            type: 'array',
+            items: {
+              ...pullRequestRefSchema,
+              required: [...pullRequestRefSchema.required, 'reason'],
+              properties: { ...pullRequestRefSchema.properties, type: { type: 'string' }, reason: { type: 'string' } }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Wrap planned repositories in a plan file. The id only depends on what would
+ * be written, so the same analysis against the same commits yields the same id.
+ */
+export async function createPlanFile(repositories, { analysisTimestamp = null } = {}) {
+  const opportunities = repositories.flatMap(r => r.opportunities);
+  const actionable = opportunities.filter(o => o.action !== 'skip');
+
+  return {
+    version: PLAN_VERSION,
+    id: `plan-${(await sha256(JSON.stringify(repositories))).slice(0, 16)}`,
+    analysis_timestamp: analysisTimestamp,
+    generated_at: new Date().toISOString(),
+    summary: {
+      repositories: repositories.length,
+      pull_requests: actionable.length,
+      skipped: opportunities.length - actionable.length,
+      files: actionable.reduce((total, o) => total + o.files.filter(f => f.status !== 'unchanged').length, 0),
+      closures: repositories.reduce((total, r) => total + r.close.length, 0)
+    },
+    repositories
+  };
+}
+
+/**
+ * Validate a plan file before applying it, returning a list of readable errors.
+ * Applying pushes to, resets and deletes the branches a plan names, so every
+ * branch must be one the generator owns: `${BRANCH_PREFIX}<type>` for new
+ * PRs, and an intelligence branch for PRs that are updated or closed.
+ */
+export function validatePlanFile(plan) {
+  const errors = validateSchema(PLAN_SCHEMA, plan);
+
+  for (const entry of (errors.length === 0 ? plan.repositories : [])) {
+    for (const opportunity of entry.opportunities) {
+      const path = `$.${entry.repository}.${opportunity.type}`;
+      if (!OPPORTUNITY_TYPES.includes(opportunity.type)) {
+        errors.push(`${path}.type: must be one of ${OPPORTUNITY_TYPES.join(', ')}`);
+      } else if (opportunity.branch !== `${BRANCH_PREFIX}${opportunity.type}`) {
+        errors.push(`${path}.branch: must be ${BRANCH_PREFIX}${opportunity.type}`);
+      }
+
+      if (opportunity.action === 'update') {
+        const pullRequestErrors = validateSchema(pullRequestRefSchema, opportunity.pull_request, `${path}.pull_request`);
+        if (pullRequestErrors.length === 0 && !opportunity.pull_request.branch.startsWith(BRANCH_PREFIX)) {
+          pullRequestErrors.push(`${path}.pull_request.branch: must start with ${BRANCH_PREFIX}`);
+        }
+        errors.push(...pullRequestErrors);
+      }
+    }
+
+    for (const [index, pullRequest] of entry.close.entries()) {
+      if (!pullRequest.branch.startsWith(BRANCH_PREFIX)) {
+        errors.push(`$.${entry.repository}.close[${index}].branch: must start with ${BRANCH_PREFIX}`);
+      }
+    }
+  }
+
+  return errors;
+}
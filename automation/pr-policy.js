@@ -0,0 +1,232 @@
+/**
+ * 🚦 PR Policy Guardrails
+ *
+ * Declarative limits every intelligence PR is checked against, both when it
+ * is planned and again right before it is written to GitHub. Rules come from
+ * `defaults`, overridden per repository by name or `owner/name`. Every
+ * violation names the rule that blocked it, e.g.
+ * `repositories.homelab-production.deny_types` or `daily_pr_budget`.
+ */
+
+import { validateSchema } from '../shared/schema.js';
+
+const TIME_PATTERN = '^([01][0-9]|2[0-3]):[0-5][0-9]$';
+
+const rulesSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    allow_types: { type: ['array', 'null'], items: { type: 'string' } },
+    deny_types: { type: 'array', items: { type: 'string' } },
+    protected_paths: { type: 'array', items: { type: 'string', minLength: 1 } },
+    max_files: { type: 'integer', minimum: 1 },
+    max_changed_lines: { type: 'integer', minimum: 1 },
+    allow_private: { type: 'boolean' },
+    required_reviewers: { type: 'array', items: { type: 'string', pattern: '^[A-Za-z0-9-]+(/[A-Za-z0-9_.-]+)?$' } }
+  }
+};
+
+export const PR_POLICY_SCHEMA = {
+  type: 'object',
+  required: ['defaults'],
+  additionalProperties: false,
+  properties: {
+    defaults: rulesSchema,
+    repositories: { type: 'object', additionalProperties: rulesSchema },
+    quiet_hours: {
+      type: ['object', 'null'],
+      required: ['start', 'end'],
+      additionalProperties: false,
+      properties: {
+        start: { type: 'string', pattern: TIME_PATTERN },
+        end: { type: 'string', pattern: TIME_PATTERN },
+        timezone: { type: 'string', minLength: 1 }
+      }
+    },
+    daily_pr_budget: { type: ['integer', 'null'], minimum: 0 }
+  }
+};
+
+/**
+ * The homelab policy. Repository overrides look like
+ * `'homelab-production': { deny_types: ['performance-optimization'], required_reviewers: ['edcet'] }`;
+ * reviewers are users or `org/team` slugs. Protected paths are globs and
+ * overrides add to the defaults instead of replacing them.
+ */
+export const PR_POLICY = {
+  defaults: {
+    allow_types: null,
+    deny_types: [],
+    protected_paths: [
+      'CODEOWNERS',
+      '.github/CODEOWNERS',
+      'LICENSE*',
+      '**/*.tfstate',
+      '**/*.tfstate.*',
+      '**/.env',
+      '**/.env.*',
+      '**/*.pem',
+      '**/*.key',
+      '**/secrets/**'
+    ],
+    max_files: 10,
+    max_changed_lines: 600,
+    allow_private: true,
+    required_reviewers: []
+  },
+  repositories: {},
+  quiet_hours: null,
+  daily_pr_budget: 10
+};
+
+/**
+ * Validate a policy and fill in defaults
+ */
+export function normalizePolicy(policy = PR_POLICY) {
+  const errors = validateSchema(PR_POLICY_SCHEMA, policy);
+  if (errors.length > 0) {
+    throw new Error(`Invalid PR policy:\n- ${errors.join('\n- ')}`);
+  }
+
+  return {
+    defaults: { ...PR_POLICY.defaults, ...policy.defaults },
+    repositories: policy.repositories || {},
+    quiet_hours: policy.quiet_hours ? { timezone: 'UTC', ...policy.quiet_hours } : null,
+    daily_pr_budget: policy.daily_pr_budget ?? null
+  };
+}
+
+/**
+ * Effective rules for a repository, with the policy path each rule came from
+ */
+export function repositoryRules(policy, repo) {
+  const key = [`${repo.owner}/${repo.name}`, repo.name].find(candidate => policy.repositories[candidate]);
+  const override = key ? policy.repositories[key] : {};
+
+  const rules = { ...policy.defaults, ...override };
+  const source = rule => (rule in override ? `repositories.${key}.${rule}` : `defaults.${rule}`);
+
+  rules.protected_paths = [
+    ...policy.defaults.protected_paths.map(pattern => ({ pattern, rule: 'defaults.protected_paths' })),
+    ...(override.protected_paths || []).map(pattern => ({ pattern, rule: `repositories.${key}.protected_paths` }))
+  ];
+  return { rules, source };
+}
+
+/**
+ * Violations of the per-repository rules by one PR. `files` carry the
+ * `status` and `diff` against the default branch.
+ */
+export function checkPullRequest(policy, repo, { type, files }) {
+  const { rules, source } = repositoryRules(policy, repo);
+  const violations = [];
+  const violate = (rule, message) => violations.push({ rule, message });
+
+  if (!rules.allow_private && repo.visibility === 'private') {
+    violate(source('allow_private'), `${repo.name} is private and private repositories are not allowed`);
+  }
+  if (rules.allow_types && !rules.allow_types.includes(type)) {
+    violate(source('allow_types'), `${type} is not an allowed PR type for ${repo.name}`);
+  }
+  if (rules.deny_types.includes(type)) {
+    violate(source('deny_types'), `${type} PRs are denied for ${repo.name}`);
+  }
+
+  const changed = files.filter(file => file.status !== 'unchanged');
+  if (changed.length > rules.max_files) {
+    violate(source('max_files'), `changes ${changed.length} files, the limit is ${rules.max_files}`);
+  }
+
+  const lines = changed.reduce((total, file) => total + countChangedLines(file.diff), 0);
+  if (lines > rules.max_changed_lines) {
+    violate(source('max_changed_lines'), `changes ${lines} lines, the limit is ${rules.max_changed_lines}`);
+  }
+
+  for (const file of changed) {
+    const match = rules.protected_paths.find(({ pattern }) => globToRegExp(pattern).test(file.path));
+    if (match) violate(match.rule, `${file.path} is protected by \`${match.pattern}\``);
+  }
+
+  return violations;
+}
+
+/**
+ * Violation when `now` falls inside the quiet hours, which may span midnight
+ */
+export function checkQuietHours(policy, now = new Date()) {
+  const quiet = policy.quiet_hours;
+  if (!quiet) return null;
+
+  const local = new Intl.DateTimeFormat('en-GB', {
+    timeZone: quiet.timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(now);
+
+  const inside = quiet.start <= quiet.end
+    ? local >= quiet.start && local < quiet.end
+    : local >= quiet.start || local < quiet.end;
+
+  return inside
+    ? { rule: 'quiet_hours', message: `no PRs between ${quiet.start} and ${quiet.end} ${quiet.timezone} (now ${local})` }
+    : null;
+}
+
+/**
+ * Violation when opening another PR would exceed the daily budget
+ */
+export function checkDailyBudget(policy, openedToday) {
+  if (policy.daily_pr_budget === null || openedToday < policy.daily_pr_budget) return null;
+  return { rule: 'daily_pr_budget', message: `${openedToday} of ${policy.daily_pr_budget} PRs already opened today (UTC)` };
+}
+
+/**
+ * Reviewers to request on a new PR, split into users and team slugs
+ */
+export function requiredReviewers(policy, repo) {
+  const { rules, source } = repositoryRules(policy, repo);
+  return {
+    rule: source('required_reviewers'),
+    reviewers: rules.required_reviewers.filter(reviewer => !reviewer.includes('/')),
+    team_reviewers: rules.required_reviewers.filter(reviewer => reviewer.includes('/')).map(team => team.split('/')[1])
+  };
+}
+
+/**
+ * Added plus removed lines of a unified diff
+ */
+export function countChangedLines(diff = '') {
+  // Skip the ---/+++ header, every other +/- line is a change
+  const hunks = diff.split('\n').slice(2);
+  return hunks.filter(line => line.startsWith('+') || line.startsWith('-')).length;
+}
+
+/**
+ * Policy violations as one readable line
+ */
+export function formatViolations(violations) {
+  return violations.map(({ rule, message }) => `${rule}: ${message}`).join('; ');
+}
+
+/**
+ * `**` matches across directories, `*` and `?` within one path segment
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '*' && pattern[index + 1] === '*') {
+      const slash = pattern[index + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      index += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
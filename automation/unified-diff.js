@@ -0,0 +1,161 @@
+/**
+ * 📝 Unified Diff
+ *
+ * Line-based unified diffs for reviewing generated files against the version
+ * currently on a branch. Dependency-free so it runs in Workers and Node.
+ */
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Largest line-count product diffed line by line. Bigger files are shown as a
+ * full replacement instead of spending seconds on the LCS table.
+ */
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Unified diff from `before` (null when the file does not exist) to `after`.
+ * Returns an empty string when the contents are identical.
+ */
+export function unifiedDiff(path, before, after) {
+  if (before === after) return '';
+
+  const oldLines = splitLines(before);
+  const newLines = splitLines(after);
+  const header = [
+    `--- ${before === null ? '/dev/null' : `a/${path}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${path}`}`
+  ];
+
+  const hunks = buildHunks(diffLines(oldLines.lines, newLines.lines), oldLines, newLines);
+  return [...header, ...hunks].join('\n') + '\n';
+}
+
+/**
+ * Split content into lines, remembering whether it ended with a newline
+ */
+function splitLines(content) {
+  if (content === null || content === '') return { lines: [], trailingNewline: true };
+  const lines = content.split('\n');
+  const trailingNewline = lines[lines.length - 1] === '';
+  if (trailingNewline) lines.pop();
+  return { lines, trailingNewline };
+}
+
+/**
+ * Edit script of { op: ' ' | '-' | '+', line, oldIndex, newIndex } entries
+ */
+function diffLines(oldLines, newLines) {
+  // Common prefix and suffix never need the LCS table
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const edits = [];
+  for (let i = 0; i < start; i++) edits.push({ op: ' ', line: oldLines[i], oldIndex: i, newIndex: i });
+  edits.push(...diffMiddle(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd), start));
+  for (let i = oldEnd, j = newEnd; i < oldLines.length; i++, j++) {
+    edits.push({ op: ' ', line: oldLines[i], oldIndex: i, newIndex: j });
+  }
+  return edits;
+}
+
+function diffMiddle(oldLines, newLines, offset) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  const removeAll = () => oldLines.map((line, i) => ({ op: '-', line, oldIndex: offset + i, newIndex: null }));
+  const addAll = () => newLines.map((line, j) => ({ op: '+', line, oldIndex: null, newIndex: offset + j }));
+
+  if (n === 0 || m === 0 || n * m > MAX_LCS_CELLS) return [...removeAll(), ...addAll()];
+
+  // lcs[i][j] = LCS length of oldLines[i..] and newLines[j..]
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = oldLines[i] === newLines[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      edits.push({ op: ' ', line: oldLines[i], oldIndex: offset + i++, newIndex: offset + j++ });
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      edits.push({ op: '-', line: oldLines[i], oldIndex: offset + i++, newIndex: null });
+    } else {
+      edits.push({ op: '+', line: newLines[j], oldIndex: null, newIndex: offset + j++ });
+    }
+  }
+  while (i < n) edits.push({ op: '-', line: oldLines[i], oldIndex: offset + i++, newIndex: null });
+  while (j < m) edits.push({ op: '+', line: newLines[j], oldIndex: null, newIndex: offset + j++ });
+  return edits;
+}
+
+/**
+ * Group edits into hunks with surrounding context
+ */
+function buildHunks(edits, oldFile, newFile) {
+  // A shared last line whose trailing newline changed is itself a change
+  const last = edits[edits.length - 1];
+  if (last?.op === ' ' && oldFile.trailingNewline !== newFile.trailingNewline) {
+    edits.splice(edits.length - 1, 1,
+      { op: '-', line: last.line, oldIndex: last.oldIndex, newIndex: null },
+      { op: '+', line: last.line, oldIndex: null, newIndex: last.newIndex });
+  }
+
+  const changed = edits.map((edit, index) => (edit.op === ' ' ? -1 : index)).filter(index => index !== -1);
+
+  const ranges = [];
+  for (const index of changed) {
+    const from = Math.max(0, index - CONTEXT_LINES);
+    const to = Math.min(edits.length - 1, index + CONTEXT_LINES);
+    const previous = ranges[ranges.length - 1];
+    if (previous && from <= previous.to + 1) {
+      previous.to = Math.max(previous.to, to);
+    } else {
+      ranges.push({ from, to });
+    }
+  }
+
+  const lines = [];
+  for (const { from, to } of ranges) {
+    const slice = edits.slice(from, to + 1);
+    const oldCount = slice.filter(edit => edit.op !== '+').length;
+    const newCount = slice.filter(edit => edit.op !== '-').length;
+    const oldStart = oldCount === 0 ? startBefore(edits, from, 'oldIndex') : slice.find(edit => edit.op !== '+').oldIndex + 1;
+    const newStart = newCount === 0 ? startBefore(edits, from, 'newIndex') : slice.find(edit => edit.op !== '-').newIndex + 1;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const edit of slice) {
+      lines.push(`${edit.op}${edit.line}`);
+      if (isLastLine(edit, oldFile, newFile)) lines.push('\\ No newline at end of file');
+    }
+  }
+  return lines;
+}
+
+/**
+ * Line number preceding an empty side of a hunk, as `diff -u` reports it
+ */
+function startBefore(edits, from, key) {
+  for (let index = from - 1; index >= 0; index--) {
+    if (edits[index][key] !== null) return edits[index][key] + 1;
+  }
+  return 0;
+}
+
+function isLastLine(edit, oldFile, newFile) {
+  const oldLast = edit.op !== '+' && !oldFile.trailingNewline && edit.oldIndex === oldFile.lines.length - 1;
+  const newLast = edit.op !== '-' && !newFile.trailingNewline && edit.newIndex === newFile.lines.length - 1;
+  return oldLast || newLast;
+}
@@ -0,0 +1,117 @@
+/**
+ * ✅ Workflow Validation
+ *
+ * Structural checks run on every GitHub Actions workflow before it is
+ * committed: block-style YAML, triggers, jobs with steps or a reusable
+ * workflow call, well-formed steps, `needs` that exist, closed expressions
+ * and actions pinned to a release instead of a moving branch. Shared reusable
+ * workflows may follow their repository's default branch.
+ */
+
+import { SEQUENCE_ITEM, entryKind, parseMapping, parseSequence, unquote } from './yaml-blocks.js';
+
+const MOVING_REFS = ['master', 'main', 'HEAD', 'latest', 'develop', 'dev'];
+
+/**
+ * Whether `path` is a workflow GitHub Actions would run
+ */
+export function isWorkflowPath(path) {
+  return /^\.github\/workflows\/[^/]+\.ya?ml$/.test(path);
+}
+
+/**
+ * Readable validation errors for a workflow, empty when it is valid. Action
+ * refs already used by `baseline` (the file as it is today) are not reported.
+ */
+export function validateWorkflow(content, { baseline = null } = {}) {
+  const lines = content.split('\n');
+  const errors = [];
+
+  if (lines.some(line => /^ *\t/.test(line))) {
+    errors.push('indentation uses tabs');
+  }
+
+  const root = parseMapping(lines, 0, lines.length);
+  if (!root) return [...errors, 'not a block-style YAML mapping'];
+
+  const field = (mapping, key) => mapping.entries.find(entry => entry.key === key || (key === 'on' && entry.key === 'true'));
+  if (!field(root, 'on')) errors.push('no `on` triggers');
+
+  const jobsEntry = field(root, 'jobs');
+  const jobs = jobsEntry && entryKind(lines, jobsEntry) === 'mapping' ? parseMapping(lines, jobsEntry.line + 1, jobsEntry.end) : null;
+  if (!jobs) {
+    errors.push('no jobs');
+  } else {
+    const ids = jobs.entries.map(job => job.key);
+    for (const job of jobs.entries) {
+      errors.push(...validateJob(lines, job, ids, field));
+    }
+  }
+
+  const allowed = new Set(actionRefs(baseline));
+  for (const ref of new Set(actionRefs(content))) {
+    if (allowed.has(ref) || ref.startsWith('./') || ref.startsWith('docker://')) continue;
+
+    const match = /^[\w.-]+\/[\w./-]+@(.+)$/.exec(ref);
+    if (!match) {
+      errors.push(`\`${ref}\` has no version ref`);
+    } else if (MOVING_REFS.includes(match[1]) && !ref.includes('/.github/workflows/')) {
+      errors.push(`\`${ref}\` follows a moving branch, pin a release tag or commit SHA`);
+    }
+  }
+
+  lines.forEach((line, index) => {
+    if (/\$\{\{(?![^\n]*\}\})/.test(line)) errors.push(`line ${index + 1} has an unclosed \`\${{\` expression`);
+  });
+
+  return errors;
+}
+
+function validateJob(lines, job, ids, field) {
+  const errors = [];
+  const name = `job \`${job.key}\``;
+
+  if (!/^[A-Za-z_][\w-]*$/.test(job.key)) {
+    errors.push(`${name} must start with a letter or _ and contain only letters, digits, - and _`);
+  }
+
+  const body = entryKind(lines, job) === 'mapping' ? parseMapping(lines, job.line + 1, job.end) : null;
+  if (!body) return [...errors, `${name} is not a mapping`];
+
+  if (field(body, 'uses')) {
+    if (field(body, 'steps')) errors.push(`${name} calls a reusable workflow and cannot have steps`);
+  } else {
+    if (!field(body, 'runs-on')) errors.push(`${name} has no \`runs-on\``);
+
+    const steps = field(body, 'steps');
+    if (!steps || entryKind(lines, steps) !== 'sequence') {
+      errors.push(`${name} has no steps`);
+    } else {
+      parseSequence(lines, steps.line + 1, steps.end).entries.forEach((step, index) => {
+        if (('uses' in step.fields) === ('run' in step.fields)) {
+          errors.push(`step ${index + 1} of ${name} needs exactly one of \`uses\` or \`run\``);
+        }
+      });
+    }
+  }
+
+  const needs = field(body, 'needs');
+  if (needs) {
+    const names = needs.value
+      ? needs.value.replace(/^\[|\]$/g, '').split(',')
+      : parseSequence(lines, needs.line + 1, needs.end).entries.map(item => lines[item.line].replace(SEQUENCE_ITEM, ''));
+    for (const needed of names.map(value => unquote(value.trim())).filter(Boolean)) {
+      if (!ids.includes(needed)) errors.push(`${name} needs \`${needed}\`, which does not exist`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Every `uses:` reference in a workflow
+ */
+export function actionRefs(content) {
+  if (!content) return [];
+  return [...content.matchAll(/^\s*(?:-\s+)?uses:\s*["']?([^\s"'#]+)/gm)].map(match => match[1]);
+}
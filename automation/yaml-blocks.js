@@ -0,0 +1,194 @@
+/**
+ * 🧱 YAML Block Structure
+ *
+ * Just enough of YAML's block syntax to find keys, sequence items and their
+ * line ranges in workflow files without a parser dependency. Everything works
+ * on line indices so callers can edit the original text in place.
+ */
+
+const KEY_LINE = /^(\s*)(?!-\s|-$)("[^"]*"|'[^']*'|[^\s#'"][^:#]*?):(?:\s+(.*))?$/;
+
+export const SEQUENCE_ITEM = /^(\s*)-(\s+|$)/;
+
+const BLOCK_SCALAR = /(?:^-|:)\s+[|>][-+0-9]*$/;
+
+/**
+ * Parse the block mapping in lines [from, to) into its keys, or null when the
+ * range is not a block mapping
+ */
+export function parseMapping(lines, from, to) {
+  const first = firstContentLine(lines, from, to);
+  if (first === -1) return null;
+
+  const indent = indentOf(lines[first]);
+  const entries = [];
+  for (let index = first; index < to; index++) {
+    const line = lines[index];
+    if (isSkippable(line)) continue;
+
+    const lineIndent = indentOf(line);
+    if (lineIndent < indent) return null;
+    // Deeper lines and compact sequences (`steps:` followed by `- ...` at the same indent) belong to the previous key
+    if (lineIndent > indent || SEQUENCE_ITEM.test(line)) {
+      if (entries.length === 0) return null;
+      continue;
+    }
+
+    const match = KEY_LINE.exec(line);
+    if (!match) return null;
+    entries.push({ key: unquote(match[2]), line: index, value: stripComment(match[3] || '') });
+  }
+
+  entries.forEach((entry, position) => {
+    const next = position + 1 < entries.length ? entries[position + 1].line : to;
+    entry.end = contentEnd(lines, entry.line + 1, next, indent);
+  });
+  return { indent, entries };
+}
+
+/**
+ * Parse the block sequence in lines [from, to) into its items and the keys
+ * each item's mapping starts with
+ */
+export function parseSequence(lines, from, to) {
+  const first = firstContentLine(lines, from, to);
+  const indent = indentOf(lines[first]);
+  const entries = [];
+
+  for (let index = first; index < to; index++) {
+    if (indentOf(lines[index]) === indent && SEQUENCE_ITEM.test(lines[index])) {
+      entries.push({ line: index });
+    }
+  }
+
+  entries.forEach((entry, position) => {
+    const next = position + 1 < entries.length ? entries[position + 1].line : to;
+    entry.end = contentEnd(lines, entry.line + 1, next, indent);
+
+    // Keys of the item's mapping line up with the text after the dash
+    const keyIndent = SEQUENCE_ITEM.exec(lines[entry.line])[0].length;
+    entry.fields = {};
+    for (let index = entry.line; index < entry.end; index++) {
+      const line = index === entry.line ? ' '.repeat(keyIndent) + lines[index].slice(keyIndent) : lines[index];
+      const match = indentOf(line) === keyIndent && KEY_LINE.exec(line);
+      if (match) entry.fields[unquote(match[2])] = unquote(stripComment(match[3] || ''));
+    }
+  });
+  return { indent, entries };
+}
+
+/**
+ * Split a document into top-level blocks, each a key's line and everything up
+ * to the next top-level key; leading comments form a block with a null key.
+ * Unlike `parseMapping` this never fails, so documents whose nested structure
+ * is not understood can still be rewritten block by block.
+ */
+export function topLevelBlocks(content) {
+  const blocks = [{ key: null, lines: [] }];
+  for (const line of content.split('\n')) {
+    const match = indentOf(line) === 0 && KEY_LINE.exec(line);
+    if (match) {
+      blocks.push({ key: unquote(match[2]), lines: [line] });
+    } else {
+      blocks[blocks.length - 1].lines.push(line);
+    }
+  }
+  return blocks;
+}
+
+export function entryKind(lines, entry) {
+  if (/^[|>]/.test(entry.value)) return 'text block';
+  if (entry.value.startsWith('[')) return 'list';
+  if (entry.value.startsWith('{')) return 'inline mapping';
+  if (entry.value) return 'value';
+
+  const first = firstContentLine(lines, entry.line + 1, entry.end);
+  if (first === -1) return 'empty value';
+  return SEQUENCE_ITEM.test(lines[first]) ? 'sequence' : 'mapping';
+}
+
+/**
+ * Text of an entry for comparison, ignoring indentation, comments and blank
+ * lines. A `#` inside quotes or a block scalar (`run: |`) is content.
+ */
+export function nodeText(lines, entry) {
+  const base = indentOf(lines[entry.line]);
+  const text = [];
+  let scalarIndent = null;
+
+  for (const line of lines.slice(entry.line, entry.end)) {
+    const relative = line.slice(Math.min(base, indentOf(line))).trimEnd();
+    if (scalarIndent !== null && (line.trim() === '' || indentOf(line) > scalarIndent)) {
+      if (line.trim()) text.push(relative);
+      continue;
+    }
+
+    scalarIndent = null;
+    if (isSkippable(line)) continue;
+
+    const content = withoutComment(relative);
+    // Block scalar content is indented past the key that starts it
+    if (BLOCK_SCALAR.test(content)) scalarIndent = SEQUENCE_ITEM.exec(line)?.[0].length ?? indentOf(line);
+    text.push(content);
+  }
+  return text.join('\n');
+}
+
+function firstContentLine(lines, from, to) {
+  for (let index = from; index < to; index++) {
+    if (!isSkippable(lines[index])) return index;
+  }
+  return -1;
+}
+
+/**
+ * End of an entry's content: trailing blank lines and comments at or above the
+ * entry's own indentation belong to whatever follows
+ */
+function contentEnd(lines, from, to, indent) {
+  let end = from;
+  for (let index = from; index < to; index++) {
+    const line = lines[index];
+    if (line.trim() === '' || (isComment(line) && indentOf(line) <= indent)) continue;
+    end = index + 1;
+  }
+  return end;
+}
+
+/**
+ * A line without its trailing comment: `#` after whitespace and outside quotes
+ */
+function withoutComment(line) {
+  let quote = null;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (index === 0 || /\s/.test(line[index - 1]))) {
+      return line.slice(0, index).trimEnd();
+    }
+  }
+  return line;
+}
+
+export function isSkippable(line) {
+  return line.trim() === '' || isComment(line) || /^(---|\.\.\.)\s*$/.test(line);
+}
+
+export function isComment(line) {
+  return line.trim().startsWith('#');
+}
+
+export function indentOf(line) {
+  return /^ */.exec(line)[0].length;
+}
+
+export function stripComment(value) {
+  return value.replace(/(^|\s+)#.*$/, '').trim();
+}
+
+export function unquote(value) {
+  return value.replace(/^(["'])(.*)\1$/, '$2');
+}
@@ -0,0 +1,219 @@
+/**
+ * 🔀 Analysis Run Diff
+ *
+ * Compares two stored constellation analyses and reports per-repository changes
+ * as JSON or as a Markdown summary suitable for $GITHUB_STEP_SUMMARY.
+ */
+
+import { repositoryKey } from '../../shared/constellation.js';
+
+/**
+ * Diff two stored analysis runs
+ */
+export function diffAnalyses(fromRun, toRun) {
+  const fromRepos = new Map((fromRun.repositories || []).map(r => [repositoryKey(r), r]));
+  const toRepos = new Map((toRun.repositories || []).map(r => [repositoryKey(r), r]));
+  const fromFailed = new Map((fromRun.failed || []).map(f => [failureKey(f), f]));
+  const toFailed = new Map((toRun.failed || []).map(f => [failureKey(f), f]));
+
+  const repositories = [];
+  const names = [...new Set([...fromRepos.keys(), ...toRepos.keys()])].sort();
+
+  for (const name of names) {
+    const before = fromRepos.get(name);
+    const after = toRepos.get(name);
+
+    // A repository that is only missing because it failed is reported below
+    if (!before && !fromFailed.has(name)) {
+      repositories.push({ repository: name, status: 'added', ...diffRepository({}, after) });
+    } else if (!after && !toFailed.has(name)) {
+      repositories.push({ repository: name, status: 'removed', ...diffRepository(before, {}) });
+    } else if (before && after) {
+      const changes = diffRepository(before, after);
+      if (hasChanges(changes)) {
+        repositories.push({ repository: name, status: 'changed', ...changes });
+      }
+    }
+  }
+
+  const startedFailing = [...toFailed.entries()]
+    .filter(([key]) => !fromFailed.has(key))
+    .map(([, f]) => f);
+  const stoppedFailing = [...fromFailed.entries()]
+    .filter(([key]) => !toFailed.has(key))
+    .map(([key, f]) => ({ repository: key, previous_error: f.error }));
+
+  return {
+    from: { id: fromRun.id, timestamp: fromRun.timestamp },
+    to: { id: toRun.id, timestamp: toRun.timestamp },
+    summary: {
+      repositories_changed: repositories.length,
+      new_vulnerabilities: repositories.reduce((total, r) => total + r.vulnerabilities.added.length, 0),
+      resolved_vulnerabilities: repositories.reduce((total, r) => total + r.vulnerabilities.resolved.length, 0),
+      started_failing: startedFailing.length,
+      stopped_failing: stoppedFailing.length
+    },
+    repositories,
+    started_failing: startedFailing,
+    stopped_failing: stoppedFailing
+  };
+}
+
+/**
+ * Compare the analyzed fields of one repository. Sections whose model output
+ * failed validation on either side are skipped rather than reported as
+ * everything added or resolved.
+ */
+function diffRepository(before, after) {
+  const security = comparable(before.security, after.security);
+  const architecture = comparable(before.architecture, after.architecture);
+
+  // Scanner findings are deterministic, so they are compared even when a model failed
+  const vulnerabilities = security.before || security.after
+    ? diffLists(security.before?.vulnerabilities, security.after?.vulnerabilities)
+    : diffLists(scannerFindings(before.security), scannerFindings(after.security));
+  const patterns = diffLists(architecture.before?.patterns, architecture.after?.patterns);
+  const optimizations = diffLists(architecture.before?.optimizations, architecture.after?.optimizations);
+
+  const fromScore = security.before?.compliance_score ?? null;
+  const toScore = security.after?.compliance_score ?? null;
+  const fromRisk = architecture.before?.duplication_risk ?? null;
+  const toRisk = architecture.after?.duplication_risk ?? null;
+
+  return {
+    vulnerabilities: { added: vulnerabilities.added, resolved: vulnerabilities.removed },
+    compliance_score: fromScore !== toScore
+      ? { from: fromScore, to: toScore, delta: typeof fromScore === 'number' && typeof toScore === 'number' ? toScore - fromScore : null }
+      : null,
+    duplication_risk: fromRisk !== toRisk ? { from: fromRisk, to: toRisk } : null,
+    patterns,
+    optimizations
+  };
+}
+
+function scannerFindings(security) {
+  return (security?.vulnerabilities || []).filter(v => v?.source === 'scanner');
+}
+
+function comparable(before, after) {
+  if (before?.status === 'failed' || after?.status === 'failed') return {};
+  return { before, after };
+}
+
+function hasChanges(changes) {
+  return changes.vulnerabilities.added.length > 0 ||
+    changes.vulnerabilities.resolved.length > 0 ||
+    changes.compliance_score !== null ||
+    changes.duplication_risk !== null ||
+    changes.patterns.added.length > 0 ||
+    changes.patterns.removed.length > 0 ||
+    changes.optimizations.added.length > 0 ||
+    changes.optimizations.removed.length > 0;
+}
+
+/**
+ * Set difference of two lists of strings or finding objects
+ */
+function diffLists(before = [], after = []) {
+  const beforeKeys = new Map((Array.isArray(before) ? before : []).map(item => [itemKey(item), item]));
+  const afterKeys = new Map((Array.isArray(after) ? after : []).map(item => [itemKey(item), item]));
+
+  return {
+    added: [...afterKeys].filter(([key]) => !beforeKeys.has(key)).map(([, item]) => item),
+    removed: [...beforeKeys].filter(([key]) => !afterKeys.has(key)).map(([, item]) => item)
+  };
+}
+
+function itemKey(item) {
+  if (typeof item === 'string') return item.trim().toLowerCase();
+  if (item && typeof item === 'object') {
+    if (item.rule_id) return `${item.rule_id}@${item.file || ''}:${item.line || ''}`;
+    const label = item.id || item.title || item.name || item.description;
+    if (label) return String(label).trim().toLowerCase();
+  }
+  return JSON.stringify(item);
+}
+
+function itemLabel(item) {
+  if (typeof item === 'string') return item;
+  if (item?.rule_id) return `${item.rule_id} in \`${item.file}${item.line ? `:${item.line}` : ''}\``;
+  return item?.title || item?.name || item?.description || JSON.stringify(item);
+}
+
+/**
+ * Render a diff as Markdown for GitHub step summaries
+ */
+export function renderDiffMarkdown(diff) {
+  const { summary } = diff;
+  let markdown = `## 🔀 Intelligence Analysis Diff\n\n`;
+  markdown += `**From**: \`${diff.from.id}\` (${diff.from.timestamp})\n`;
+  markdown += `**To**: \`${diff.to.id}\` (${diff.to.timestamp})\n\n`;
+
+  markdown += `| Metric | Count |\n|--------|-------|\n`;
+  markdown += `| Repositories changed | ${summary.repositories_changed} |\n`;
+  markdown += `| New vulnerabilities | ${summary.new_vulnerabilities} |\n`;
+  markdown += `| Resolved vulnerabilities | ${summary.resolved_vulnerabilities} |\n`;
+  markdown += `| Started failing | ${summary.started_failing} |\n`;
+  markdown += `| Stopped failing | ${summary.stopped_failing} |\n\n`;
+
+  if (diff.started_failing.length > 0) {
+    markdown += `### ❌ Started Failing\n\n`;
+    diff.started_failing.forEach(f => {
+      markdown += `- **${f.repository}**: ${f.error}\n`;
+    });
+    markdown += `\n`;
+  }
+
+  if (diff.stopped_failing.length > 0) {
+    markdown += `### ✅ Recovered\n\n`;
+    diff.stopped_failing.forEach(f => {
+      markdown += `- **${f.repository}**\n`;
+    });
+    markdown += `\n`;
+  }
+
+  for (const repo of diff.repositories) {
+    const badge = { added: '🆕', removed: '🗑️', changed: '📝' }[repo.status];
+    markdown += `### ${badge} ${repo.repository}\n\n`;
+
+    repo.vulnerabilities.added.forEach(v => {
+      markdown += `- 🔴 New vulnerability: ${itemLabel(v)}\n`;
+    });
+    repo.vulnerabilities.resolved.forEach(v => {
+      markdown += `- 🟢 Resolved vulnerability: ${itemLabel(v)}\n`;
+    });
+    if (repo.compliance_score) {
+      const { from, to, delta } = repo.compliance_score;
+      markdown += `- Compliance score: ${from ?? 'unknown'} → ${to ?? 'unknown'}${delta !== null ? ` (${delta > 0 ? '+' : ''}${delta})` : ''}\n`;
+    }
+    if (repo.duplication_risk) {
+      markdown += `- Duplication risk: ${repo.duplication_risk.from ?? 'unknown'} → ${repo.duplication_risk.to ?? 'unknown'}\n`;
+    }
+    repo.patterns.added.forEach(p => {
+      markdown += `- ➕ Pattern: ${itemLabel(p)}\n`;
+    });
+    repo.patterns.removed.forEach(p => {
+      markdown += `- ➖ Pattern: ${itemLabel(p)}\n`;
+    });
+    repo.optimizations.added.forEach(o => {
+      markdown += `- ➕ Optimization: ${itemLabel(o)}\n`;
+    });
+    repo.optimizations.removed.forEach(o => {
+      markdown += `- ➖ Optimization: ${itemLabel(o)}\n`;
+    });
+    markdown += `\n`;
+  }
+
+  if (diff.repositories.length === 0 && diff.started_failing.length === 0 && diff.stopped_failing.length === 0) {
+    markdown += `No changes between these runs.\n`;
+  }
+
+  return markdown;
+}
+
+/**
+ * Failures name repositories as `owner/name`, older runs by bare name
+ */
+function failureKey(failure) {
+  return failure.repository.includes('/') ? failure.repository : repositoryKey({ name: failure.repository });
+}
@@ -0,0 +1,415 @@
+/**
+ * 🗄️ Analysis Store Durable Object
+ *
+ * Keeps a timestamped history of constellation analyses with retention limits,
+ * the webhook delivery ids used for replay protection, the lifecycle of every
+ * intelligence PR, and the rollbacks its alarm still has to run.
+ *
+ * Storage layout:
+ * - `latest`                 id of the most recent run
+ * - `run:<id>`               run record without repository analyses
+ * - `repo:<id>:<repository>` one repository analysis per key, keeping values small
+ * - `delivery:<id>`          timestamp a webhook delivery was first seen
+ * - `pr:<owner>/<repository>#<number>` intelligence PR record (see shared/pr-outcomes.js)
+ * - `rollback:<owner>/<repository>#<run id>` failed default branch run awaiting a rollback
+ */
+
+import { repositoryKey } from '../../shared/constellation.js';
+import { applyCheckSuite } from '../../shared/pr-outcomes.js';
+
+const DEFAULT_RETENTION_RUNS = 100;
+const DEFAULT_RETENTION_DAYS = 30;
+const DELIVERY_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const PR_RETENTION_DAYS = 365;
+const DEFAULT_RUNS_LIMIT = 20;
+const MAX_RUNS_LIMIT = 100;
+const ROLLBACK_RETRY_MS = 5 * 60 * 1000;
+const ROLLBACK_MAX_ATTEMPTS = 5;
+
+/**
+ * Fields of a `workflow_run` a rollback needs, the rest of the payload is not kept
+ */
+const ROLLBACK_RUN_FIELDS = ['id', 'name', 'run_number', 'html_url', 'workflow_id', 'event', 'head_branch', 'head_sha', 'conclusion', 'created_at'];
+
+export class AnalysisStore {
+  constructor(state, env) {
+    this.state = state;
+    this.storage = state.storage;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const runMatch = /^\/runs\/([\w-]+)$/.exec(url.pathname);
+
+    try {
+      if (request.method === 'POST' && url.pathname === '/store') {
+        return Response.json(await this.storeRun(await request.json()), { status: 201 });
+      }
+
+      if (request.method === 'POST' && url.pathname === '/deliveries') {
+        const { id } = await request.json();
+        return Response.json({ id, duplicate: await this.recordDelivery(id) });
+      }
+
+      if (request.method === 'POST' && url.pathname === '/pull-requests') {
+        const { records = [] } = await request.json();
+        return Response.json({ stored: await this.recordPullRequests(records) });
+      }
+
+      if (request.method === 'POST' && url.pathname === '/pull-requests/check-suites') {
+        return Response.json({ updated: await this.recordCheckSuite(await request.json()) });
+      }
+
+      if (request.method === 'POST' && url.pathname === '/rollbacks') {
+        return Response.json({ queued: await this.queueRollback(await request.json()) }, { status: 202 });
+      }
+
+      if (request.method === 'POST' && url.pathname === '/pull-requests/rollbacks') {
+        return Response.json({ updated: await this.recordRollback(await request.json()) });
+      }
+
+      if (request.method === 'GET' && url.pathname === '/pull-requests') {
+        return Response.json({
+          pull_requests: await this.listPullRequests({
+            repository: url.searchParams.get('repository'),
+            type: url.searchParams.get('type'),
+            state: url.searchParams.get('state')
+          })
+        });
+      }
+
+      if (request.method === 'GET' && url.pathname === '/latest') {
+        const latestId = await this.storage.get('latest');
+        const run = latestId ? await this.loadRun(latestId) : null;
+        return run ? Response.json(run) : Response.json({ error: 'No analyses stored' }, { status: 404 });
+      }
+
+      if (request.method === 'GET' && url.pathname === '/runs') {
+        const limit = runsLimit(url.searchParams.get('limit'));
+        return Response.json({ runs: await this.listRuns(limit, url.searchParams.get('before')) });
+      }
+
+      if (request.method === 'GET' && runMatch) {
+        const run = await this.loadRun(runMatch[1]);
+        return run ? Response.json(run) : Response.json({ error: `Analysis ${runMatch[1]} not found` }, { status: 404 });
+      }
+
+      return Response.json({ error: 'Route not found' }, { status: 404 });
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 500 });
+    }
+  }
+
+  /**
+   * Persist a run and apply retention limits
+   */
+  async storeRun(results) {
+    const timestamp = results.timestamp || new Date().toISOString();
+    const id = createRunId(timestamp);
+    const { repositories = [], ...record } = results;
+
+    const entries = {
+      [`run:${id}`]: {
+        ...record,
+        id,
+        timestamp,
+        repository_names: repositories.map(repositoryKey)
+      },
+      latest: id
+    };
+    for (const repository of repositories) {
+      entries[`repo:${id}:${repositoryKey(repository)}`] = repository;
+    }
+
+    // put() accepts at most 128 keys per call
+    const keys = Object.keys(entries);
+    for (let i = 0; i < keys.length; i += 128) {
+      await this.storage.put(Object.fromEntries(keys.slice(i, i + 128).map(key => [key, entries[key]])));
+    }
+
+    const pruned = await this.applyRetention(id);
+    await this.scheduleAlarm();
+
+    return { id, timestamp, pruned };
+  }
+
+  /**
+   * Load a run with its repository analyses reassembled
+   */
+  async loadRun(id) {
+    const record = await this.storage.get(`run:${id}`);
+    if (!record) return null;
+
+    const repositories = await this.storage.list({ prefix: `repo:${id}:` });
+
+    const { repository_names: names = [], ...run } = record;
+    return {
+      ...run,
+      repositories: names.map(name => repositories.get(`repo:${id}:${name}`)).filter(Boolean)
+    };
+  }
+
+  /**
+   * List run summaries, newest first
+   */
+  async listRuns(limit = DEFAULT_RUNS_LIMIT, before = null) {
+    const runs = await this.storage.list({
+      prefix: 'run:',
+      reverse: true,
+      limit: runsLimit(limit),
+      ...(before ? { end: `run:${before}` } : {})
+    });
+
+    return [...runs.values()].map(run => ({
+      id: run.id,
+      timestamp: run.timestamp,
+      trigger: run.trigger || null,
+      successful_analyses: run.successful_analyses,
+      failed_analyses: run.failed_analyses,
+      repositories: run.repository_names
+    }));
+  }
+
+  /**
+   * Record a webhook delivery id, returning true if it was already seen
+   */
+  async recordDelivery(id) {
+    if (!id) throw new Error('Delivery id is required');
+
+    const key = `delivery:${id}`;
+    if (await this.storage.get(key)) return true;
+
+    await this.storage.put(key, Date.now());
+    await this.scheduleAlarm();
+    return false;
+  }
+
+  /**
+   * Insert or update PR records, keeping check suites of the same head commit.
+   * Records older than the stored one (out-of-order deliveries) are ignored.
+   */
+  async recordPullRequests(records) {
+    const entries = {};
+    for (const record of records) {
+      const key = pullRequestKey(record);
+      const existing = entries[key] || await this.storage.get(key);
+      if (existing && Date.parse(existing.updated_at) > Date.parse(record.updated_at)) continue;
+
+      entries[key] = {
+        ...existing,
+        ...record,
+        check_suites: existing?.head_sha === record.head_sha ? existing.check_suites || {} : {}
+      };
+    }
+
+    const keys = Object.keys(entries);
+    for (let i = 0; i < keys.length; i += 128) {
+      await this.storage.put(Object.fromEntries(keys.slice(i, i + 128).map(key => [key, entries[key]])));
+    }
+    if (keys.length > 0) await this.scheduleAlarm();
+    return keys.length;
+  }
+
+  /**
+   * Attach a check suite to the tracked PRs it ran for, returning how many were updated
+   */
+  async recordCheckSuite({ owner, repository, numbers = [], suite }) {
+    let updated = 0;
+    for (const number of numbers) {
+      const key = pullRequestKey({ owner, repository, number });
+      const record = await this.storage.get(key);
+      if (!record) continue;
+
+      const next = applyCheckSuite(record, suite);
+      if (next === record) continue;
+      await this.storage.put(key, next);
+      updated++;
+    }
+    return updated;
+  }
+
+  /**
+   * Mark a merged PR as rolled back by the revert PR `rollback`
+   */
+  async recordRollback({ owner, repository, number, rollback }) {
+    const key = pullRequestKey({ owner, repository, number });
+    const record = await this.storage.get(key);
+    if (!record) return false;
+
+    await this.storage.put(key, { ...record, rollback });
+    return true;
+  }
+
+  /**
+   * Queue a failed default branch run for the alarm to roll back, returning
+   * false when that run is already queued
+   */
+  async queueRollback({ owner, repository, run }) {
+    if (!owner || !repository || !run?.id) throw new Error('Rollbacks need an owner, a repository and a workflow run');
+
+    const key = `rollback:${owner}/${repository}#${run.id}`.toLowerCase();
+    if (await this.storage.get(key)) return false;
+
+    await this.storage.put(key, {
+      owner,
+      repository,
+      run: Object.fromEntries(ROLLBACK_RUN_FIELDS.map(field => [field, run[field] ?? null])),
+      attempts: 0,
+      next_attempt_at: Date.now(),
+      queued_at: new Date().toISOString()
+    });
+    await this.scheduleAlarm(Date.now());
+    return true;
+  }
+
+  /**
+   * Run the queued rollbacks that are due. A rollback that fails is retried
+   * with exponential backoff and dropped after `ROLLBACK_MAX_ATTEMPTS`.
+   */
+  async runPendingRollbacks() {
+    const pending = await this.storage.list({ prefix: 'rollback:' });
+    for (const [key, entry] of pending) {
+      if (entry.next_attempt_at > Date.now()) continue;
+
+      let error = null;
+      try {
+        error = await this.rollBack(entry);
+      } catch (thrown) {
+        error = thrown.message;
+      }
+
+      const attempts = entry.attempts + 1;
+      if (!error) {
+        await this.storage.delete(key);
+      } else if (attempts >= ROLLBACK_MAX_ATTEMPTS) {
+        console.error(`Giving up on the rollback for run ${entry.run.id} in ${entry.owner}/${entry.repository} after ${attempts} attempts: ${error}`);
+        await this.storage.delete(key);
+      } else {
+        await this.storage.put(key, {
+          ...entry,
+          attempts,
+          last_error: error,
+          next_attempt_at: Date.now() + ROLLBACK_RETRY_MS * 2 ** entry.attempts
+        });
+      }
+    }
+  }
+
+  /**
+   * Roll back the merges a queued `{ owner, repository, run }` broke. Resolves
+   * to an error message to retry later, or null when done. The worker's
+   * subclass opens the revert PRs, this store only keeps the queue.
+   */
+  async rollBack() {
+    return 'rollbacks are not configured for this store';
+  }
+
+  /**
+   * Tracked PR records, optionally filtered by repository, type and state
+   */
+  async listPullRequests({ repository = null, type = null, state = null } = {}) {
+    const records = await this.storage.list({ prefix: 'pr:' });
+    return [...records.values()].filter(record =>
+      (!repository || record.repository === repository) &&
+      (!type || record.type === type) &&
+      (!state || record.state === state)
+    );
+  }
+
+  /**
+   * Drop runs beyond the configured count or age, never the latest one
+   */
+  async applyRetention(latestId) {
+    const maxRuns = parseInt(this.env?.ANALYSIS_RETENTION_RUNS || DEFAULT_RETENTION_RUNS, 10);
+    const maxAgeMs = parseInt(this.env?.ANALYSIS_RETENTION_DAYS || DEFAULT_RETENTION_DAYS, 10) * 24 * 60 * 60 * 1000;
+    const cutoff = Date.now() - maxAgeMs;
+
+    const runs = [...(await this.storage.list({ prefix: 'run:', reverse: true })).values()];
+    const expired = runs.filter((run, index) =>
+      run.id !== latestId && (index >= maxRuns || Date.parse(run.timestamp) < cutoff)
+    );
+
+    for (const run of expired) {
+      const repositoryKeys = [...(await this.storage.list({ prefix: `repo:${run.id}:` })).keys()];
+      const keys = [`run:${run.id}`, ...repositoryKeys];
+      for (let i = 0; i < keys.length; i += 128) {
+        await this.storage.delete(keys.slice(i, i + 128));
+      }
+    }
+
+    return expired.map(run => run.id);
+  }
+
+  /**
+   * Queued rollbacks, then periodic cleanup of expired deliveries, runs and
+   * PR records. Runs again while any of them are left.
+   */
+  async alarm() {
+    await this.runPendingRollbacks();
+
+    const cutoff = Date.now() - DELIVERY_TTL_MS;
+    const deliveries = await this.storage.list({ prefix: 'delivery:' });
+    const expired = [...deliveries].filter(([, seenAt]) => seenAt < cutoff).map(([key]) => key);
+
+    for (let i = 0; i < expired.length; i += 128) {
+      await this.storage.delete(expired.slice(i, i + 128));
+    }
+
+    const latestId = await this.storage.get('latest');
+    if (latestId) await this.applyRetention(latestId);
+
+    // Open PRs are kept however old, they still have an outcome to record
+    const prCutoff = Date.now() - PR_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const pullRequests = await this.storage.list({ prefix: 'pr:' });
+    const closedPRs = [...pullRequests].filter(([, record]) => record.state !== 'open');
+    const expiredPRs = closedPRs
+      .filter(([, record]) => Date.parse(record.updated_at) < prCutoff)
+      .map(([key]) => key);
+    for (let i = 0; i < expiredPRs.length; i += 128) {
+      await this.storage.delete(expiredPRs.slice(i, i + 128));
+    }
+
+    const rollbacks = [...(await this.storage.list({ prefix: 'rollback:' })).values()];
+    if (rollbacks.length > 0) {
+      await this.scheduleAlarm(Math.min(...rollbacks.map(entry => entry.next_attempt_at)));
+    }
+    if (deliveries.size > expired.length || latestId || closedPRs.length > expiredPRs.length) {
+      await this.scheduleAlarm();
+    }
+  }
+
+  /**
+   * Make sure the alarm fires by `at`; an earlier alarm is kept
+   */
+  async scheduleAlarm(at = Date.now() + PRUNE_INTERVAL_MS) {
+    const scheduled = await this.storage.getAlarm();
+    if (scheduled === null || scheduled > at) {
+      await this.storage.setAlarm(at);
+    }
+  }
+}
+
+function pullRequestKey({ owner, repository, number }) {
+  return `pr:${owner}/${repository}#${number}`.toLowerCase();
+}
+
+/**
+ * Sortable run id derived from the run timestamp, e.g. 20241031T060000123Z-4f2a
+ */
+function createRunId(timestamp) {
+  const compact = new Date(timestamp).toISOString().replace(/[-:.]/g, '');
+  const suffix = crypto.getRandomValues(new Uint8Array(2)).reduce((hex, byte) => hex + byte.toString(16).padStart(2, '0'), '');
+  return `${compact}-${suffix}`;
+}
+
+/**
+ * Page size for run listings: positive integers are clamped to the maximum,
+ * anything else falls back to the default
+ */
+function runsLimit(value) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) return DEFAULT_RUNS_LIMIT;
+  return Math.min(limit, MAX_RUNS_LIMIT);
+}
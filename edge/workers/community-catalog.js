@@ -0,0 +1,220 @@
+/**
+ * 🌍 Community Pattern Catalog
+ *
+ * Parses awesome-list READMEs (awesome-selfhosted, awesome-sysadmin, ...) into a
+ * normalized catalog and cross-references it with each repository's detected stack.
+ */
+
+/**
+ * Awesome lists mined by default
+ */
+export const COMMUNITY_SOURCES = [
+  {
+    name: 'awesome-selfhosted',
+    url: 'https://raw.githubusercontent.com/awesome-selfhosted/awesome-selfhosted/master/README.md'
+  },
+  {
+    name: 'awesome-sysadmin',
+    url: 'https://raw.githubusercontent.com/awesome-foss/awesome-sysadmin/master/README.md'
+  }
+];
+
+/**
+ * README sections that list metadata rather than software
+ */
+const IGNORED_SECTIONS = [
+  'table of contents',
+  'contents',
+  'license',
+  'licenses',
+  'list of licenses',
+  'contributing',
+  'external links',
+  'anti-features',
+  'related lists',
+  'see also'
+];
+
+/**
+ * Catalog categories worth suggesting for each stack keyword
+ */
+const STACK_CATEGORY_HINTS = {
+  docker: ['containers', 'orchestration'],
+  kubernetes: ['containers', 'orchestration', 'cluster'],
+  helm: ['containers', 'orchestration'],
+  pulumi: ['configuration management', 'automation', 'infrastructure'],
+  terraform: ['configuration management', 'automation', 'infrastructure'],
+  ansible: ['configuration management', 'automation'],
+  shell: ['automation', 'configuration management'],
+  gitops: ['continuous integration', 'continuous deployment', 'automation'],
+  monitoring: ['monitoring', 'metrics', 'log management'],
+  backup: ['backup'],
+  secrets: ['password managers', 'secret'],
+  tailscale: ['vpn', 'network'],
+  wireguard: ['vpn', 'network'],
+  cloudflare: ['dns', 'proxy', 'network'],
+  proxmox: ['virtualization', 'cloud computing'],
+  redfish: ['monitoring', 'it asset management'],
+  dns: ['dns']
+};
+
+/**
+ * Fetch and parse every source into one catalog. `fetchReadme` can be swapped
+ * for a fixture loader so parsing runs without network access.
+ */
+export async function buildCommunityCatalog(sources = COMMUNITY_SOURCES, fetchReadme = fetchSourceReadme) {
+  const results = await Promise.allSettled(
+    sources.map(async source => parseAwesomeList(await fetchReadme(source), source.name))
+  );
+
+  const entries = [];
+  const sourceSummaries = results.map((result, index) => {
+    const source = sources[index];
+    if (result.status === 'rejected') {
+      return { name: source.name, url: source.url, entries: 0, error: result.reason.message };
+    }
+
+    entries.push(...result.value);
+    return { name: source.name, url: source.url, entries: result.value.length };
+  });
+
+  return {
+    built_at: new Date().toISOString(),
+    sources: sourceSummaries,
+    categories: [...new Set(entries.map(entry => entry.category))].sort(),
+    entries
+  };
+}
+
+/**
+ * Parse awesome-list markdown into normalized catalog entries
+ */
+export function parseAwesomeList(markdown, sourceName) {
+  const entries = [];
+  let category = null;
+
+  for (const line of markdown.split('\n')) {
+    const heading = /^#{2,4}\s+(.+?)\s*$/.exec(line);
+    if (heading) {
+      const title = heading[1].replace(/\[([^\]]+)\]\([^)]*\)/g, '$1').trim();
+      category = IGNORED_SECTIONS.includes(title.toLowerCase()) ? null : title;
+      continue;
+    }
+
+    if (!category) continue;
+
+    const entry = parseEntryLine(line);
+    if (entry) {
+      entries.push({ ...entry, category, source: sourceName });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Parse a single `- [Name](link) - Description. ([Source Code](...)) `License` `Platform`` line
+ */
+function parseEntryLine(line) {
+  const match = /^\s*[-*]\s+\[([^\]]+)\]\(([^)\s]+)\)(.*)$/.exec(line);
+  if (!match) return null;
+
+  const [, name, link, remainder] = match;
+  if (link.startsWith('#')) return null;
+
+  // Trailing `code` spans carry the license first, then languages/platforms
+  const tags = [];
+  let rest = remainder.replace(/`⚠`/g, '').trimEnd();
+  let tag;
+  while ((tag = /\s*`([^`]+)`$/.exec(rest))) {
+    tags.unshift(tag[1].trim());
+    rest = rest.slice(0, tag.index).trimEnd();
+  }
+
+  const sourceCode = /\[Source Code\]\(([^)\s]+)\)/i.exec(rest);
+  rest = rest.replace(/\s*\((\[[^\]]+\]\([^)]*\),?\s*)+\)\s*$/, '');
+
+  const description = rest.replace(/^\s*[-–—:]\s*/, '').trim();
+
+  return {
+    name: name.trim(),
+    link,
+    license: tags[0] || null,
+    description,
+    source_code: sourceCode ? sourceCode[1] : null,
+    platforms: tags.slice(1).flatMap(t => t.split('/')).map(t => t.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Derive lowercase stack keywords from a stored repository analysis
+ */
+export function detectRepositoryStack(repoAnalysis) {
+  const github = repoAnalysis.github_data || {};
+  const architecture = repoAnalysis.architecture || {};
+
+  const text = [
+    github.language,
+    github.description,
+    ...(github.topics || []),
+    ...(repoAnalysis.tech_stack?.technologies || []),
+    architecture.iac_approach,
+    ...(architecture.patterns || [])
+  ].filter(value => typeof value === 'string').join(' ').toLowerCase();
+
+  const stack = new Set();
+  if (github.language) stack.add(github.language.toLowerCase());
+
+  for (const keyword of Object.keys(STACK_CATEGORY_HINTS)) {
+    if (text.includes(keyword)) stack.add(keyword);
+  }
+  if (/\bk3s\b|\bk8s\b/.test(text)) stack.add('kubernetes');
+  if (/compose/.test(text)) stack.add('docker');
+  if (/\besc\b|vault|sops/.test(text)) stack.add('secrets');
+
+  return [...stack].sort();
+}
+
+/**
+ * Rank catalog entries that complement a repository's stack
+ */
+export function suggestCatalogEntries(stack, catalog, limit = 10) {
+  const categories = new Set(stack.flatMap(keyword => STACK_CATEGORY_HINTS[keyword] || []));
+  const suggestions = [];
+
+  for (const entry of catalog.entries) {
+    // Skip tools the repository already uses
+    if (stack.includes(entry.name.toLowerCase())) continue;
+
+    const category = entry.category.toLowerCase();
+    const haystack = `${entry.description} ${entry.platforms.join(' ')}`.toLowerCase();
+
+    const matched = [
+      ...[...categories].filter(hint => category.includes(hint)).map(hint => `category:${hint}`),
+      ...stack.filter(keyword => haystack.includes(keyword)).map(keyword => `stack:${keyword}`)
+    ];
+    if (matched.length === 0) continue;
+
+    const score = matched.reduce((total, m) => total + (m.startsWith('category:') ? 2 : 1), 0);
+    suggestions.push({ ...entry, score, matched });
+  }
+
+  return suggestions
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Fetch a raw README over HTTP
+ */
+async function fetchSourceReadme(source) {
+  const response = await fetch(source.url, {
+    headers: { 'User-Agent': 'Homelab-Intelligence-Core/1.0' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${source.name}: ${response.status} ${response.statusText}`);
+  }
+
+  return await response.text();
+}
@@ -0,0 +1,153 @@
+/**
+ * 🧬 Cross-Repository Duplication Engine
+ *
+ * Fingerprints key files across the constellation with content hashes for
+ * exact copies and token shingles for near-duplicates, then clusters
+ * identical or near-identical Pulumi stacks, compose files, scripts and
+ * workflows. Clusters are the input to the consolidation plan.
+ */
+
+import { sha256 } from '../../shared/hash.js';
+
+export const DUPLICATION_KINDS = ['pulumi', 'compose', 'shell', 'workflow', 'terraform', 'helm'];
+
+export const DUPLICATION_DEFAULTS = {
+  shingle_size: 3,
+  similarity_threshold: 0.75,
+  min_tokens: 20
+};
+
+/**
+ * Cluster duplicated files across repositories.
+ * `repositories` is a list of { repository, files: [{ path, kind, content }] }.
+ */
+export async function detectDuplication(repositories, options = {}) {
+  const { shingle_size, similarity_threshold, min_tokens } = { ...DUPLICATION_DEFAULTS, ...options };
+
+  const fingerprints = [];
+  for (const { repository, files } of repositories) {
+    for (const file of files) {
+      if (!DUPLICATION_KINDS.includes(file.kind)) continue;
+
+      const tokens = tokenize(normalizeContent(file.content, file.kind));
+      if (tokens.length < min_tokens) continue;
+
+      fingerprints.push({
+        repository,
+        path: file.path,
+        kind: file.kind,
+        sha256: await sha256(tokens.join(' ')),
+        shingles: shingle(tokens, shingle_size)
+      });
+    }
+  }
+
+  // Only compare files of the same kind that live in different repositories
+  const pairs = [];
+  for (let i = 0; i < fingerprints.length; i++) {
+    for (let j = i + 1; j < fingerprints.length; j++) {
+      const a = fingerprints[i];
+      const b = fingerprints[j];
+      if (a.kind !== b.kind || a.repository === b.repository) continue;
+
+      const similarity = a.sha256 === b.sha256 ? 1 : jaccard(a.shingles, b.shingles);
+      if (similarity >= similarity_threshold) {
+        pairs.push({ a: i, b: j, similarity });
+      }
+    }
+  }
+
+  return buildClusters(fingerprints, pairs);
+}
+
+/**
+ * Group matching pairs into connected components
+ */
+function buildClusters(fingerprints, pairs) {
+  const parent = fingerprints.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  for (const { a, b } of pairs) {
+    parent[find(a)] = find(b);
+  }
+
+  const groups = new Map();
+  for (const pair of pairs) {
+    const root = find(pair.a);
+    if (!groups.has(root)) groups.set(root, { members: new Set(), pairs: [] });
+    const group = groups.get(root);
+    group.members.add(pair.a).add(pair.b);
+    group.pairs.push(pair);
+  }
+
+  const clusters = [...groups.values()].map(group => {
+    const members = [...group.members].map(index => fingerprints[index]);
+    const similarities = group.pairs.map(p => p.similarity);
+    const identical = similarities.every(similarity => similarity === 1);
+
+    return {
+      id: `${members[0].kind}-${members[0].sha256.slice(0, 12)}`,
+      kind: members[0].kind,
+      type: identical ? 'identical' : 'near-identical',
+      repositories: [...new Set(members.map(m => m.repository))].sort(),
+      members: members
+        .map(m => ({ repository: m.repository, path: m.path, sha256: m.sha256 }))
+        .sort((a, b) => a.repository.localeCompare(b.repository) || a.path.localeCompare(b.path)),
+      similarity: {
+        min: round(Math.min(...similarities)),
+        max: round(Math.max(...similarities)),
+        mean: round(similarities.reduce((total, s) => total + s, 0) / similarities.length)
+      },
+      pairs: group.pairs.map(p => ({
+        a: `${fingerprints[p.a].repository}:${fingerprints[p.a].path}`,
+        b: `${fingerprints[p.b].repository}:${fingerprints[p.b].path}`,
+        similarity: round(p.similarity)
+      }))
+    };
+  });
+
+  // Widest clusters first: they offer the biggest consolidation win
+  return clusters.sort((a, b) =>
+    b.repositories.length - a.repositories.length ||
+    b.similarity.mean - a.similarity.mean ||
+    a.id.localeCompare(b.id)
+  );
+}
+
+/**
+ * Strip comments and formatting so cosmetic edits don't hide duplication
+ */
+export function normalizeContent(content, kind) {
+  const commentPrefix = kind === 'terraform' ? /^\s*(#|\/\/)/ : /^\s*#(?!!)/;
+  return content
+    .split('\n')
+    .filter(line => !commentPrefix.test(line))
+    .map(line => line.replace(/\s+#\s.*$/, '').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+function tokenize(content) {
+  return content.split(/[\s"'`,:;=(){}[\]]+/).filter(Boolean);
+}
+
+function shingle(tokens, size) {
+  const shingles = new Set();
+  for (let i = 0; i + size <= tokens.length; i++) {
+    shingles.add(tokens.slice(i, i + size).join(' '));
+  }
+  if (shingles.size === 0) shingles.add(tokens.join(' '));
+  return shingles;
+}
+
+function jaccard(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let intersection = 0;
+  for (const value of small) {
+    if (large.has(value)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
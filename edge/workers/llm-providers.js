@@ -0,0 +1,243 @@
+/**
+ * 🤖 LLM Provider Layer
+ *
+ * Every provider exposes the same interface:
+ *
+ *   complete({ system, prompt, signal }) -> { text, provider, model }
+ *
+ * Analysis steps declare an ordered fallback chain with per-provider timeouts.
+ * Providers that are not configured in the environment are skipped, so a chain
+ * degrades gracefully from hosted models to Workers AI.
+ */
+
+/**
+ * Default fallback chains per analysis step. Override with the LLM_CHAINS
+ * env var, e.g. {"architecture":[{"provider":"workers-ai","timeout_ms":10000}]}
+ */
+export const DEFAULT_CHAINS = {
+  architecture: [
+    { provider: 'g4f', timeout_ms: 20000 },
+    { provider: 'custom', timeout_ms: 20000 },
+    { provider: 'workers-ai', timeout_ms: 15000 }
+  ],
+  security: [
+    { provider: 'g4f', timeout_ms: 20000 },
+    { provider: 'custom', timeout_ms: 20000 },
+    { provider: 'workers-ai', timeout_ms: 15000 }
+  ],
+  consolidation: [
+    { provider: 'g4f', timeout_ms: 30000 },
+    { provider: 'custom', timeout_ms: 30000 },
+    { provider: 'workers-ai', timeout_ms: 20000 }
+  ],
+  community: [
+    { provider: 'perplexity', timeout_ms: 20000 },
+    { provider: 'g4f', timeout_ms: 20000 },
+    { provider: 'workers-ai', timeout_ms: 15000 }
+  ]
+};
+
+const DEFAULT_TIMEOUT_MS = 20000;
+
+/**
+ * Adapter for any endpoint that speaks the OpenAI chat completions API
+ */
+export function createOpenAICompatibleProvider({ name, baseUrl, apiKey, model }) {
+  return {
+    name,
+    model,
+    async complete({ system, prompt, signal }) {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({
+          model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt }
+          ]
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`${name} API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const text = data.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error(`${name} returned no completion`);
+      }
+
+      return { text, provider: name, model };
+    }
+  };
+}
+
+/**
+ * Adapter for a Cloudflare Workers AI binding
+ */
+export function createWorkersAIProvider({ binding, model = '@cf/meta/llama-3.1-8b-instruct' }) {
+  return {
+    name: 'workers-ai',
+    model,
+    async complete({ system, prompt, signal }) {
+      const run = binding.run(model, {
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ]
+      });
+
+      // The binding takes no AbortSignal, so race it against the abort
+      const result = await Promise.race([run, rejectOnAbort(signal)]);
+      if (typeof result?.response !== 'string') {
+        throw new Error('workers-ai returned no completion');
+      }
+
+      return { text: result.response, provider: 'workers-ai', model };
+    }
+  };
+}
+
+/**
+ * Schema-conformant "nothing found" replies used when no mock response is set
+ */
+const MOCK_DEFAULTS = {
+  architecture: { patterns: [], iac_approach: 'unknown', integrations: [], optimizations: [], duplication_risk: 'low' },
+  security: { secrets_management: 'unknown', access_control: 'unknown', vulnerabilities: [], compliance_score: 0, recommendations: [] },
+  community: { trends: [], discussions: [], similar_projects: [], recommendations: [] },
+  consolidation: { consolidations: [], migrations: [], risks: [], priorities: [], optimizations: [] }
+};
+
+/**
+ * Deterministic local provider for development and tests. Responses are keyed
+ * by analysis step and fall back to MOCK_DEFAULTS.
+ */
+export function createMockProvider({ responses = {} } = {}) {
+  return {
+    name: 'mock',
+    model: 'mock',
+    async complete({ step }) {
+      const response = responses[step] ?? MOCK_DEFAULTS[step] ?? {};
+      return {
+        text: typeof response === 'string' ? response : JSON.stringify(response),
+        provider: 'mock',
+        model: 'mock'
+      };
+    }
+  };
+}
+
+/**
+ * Build every provider the environment has credentials or bindings for
+ */
+export function createProviders(env) {
+  const providers = {};
+
+  if (env.G4F_API_KEY) {
+    providers.g4f = createOpenAICompatibleProvider({
+      name: 'g4f',
+      baseUrl: env.G4F_BASE_URL || 'https://api.g4f.icu/v1',
+      apiKey: env.G4F_API_KEY,
+      model: env.G4F_MODEL || 'gpt-3.5-turbo'
+    });
+  }
+
+  if (env.PERPLEXITY_API_KEY) {
+    providers.perplexity = createOpenAICompatibleProvider({
+      name: 'perplexity',
+      baseUrl: 'https://api.perplexity.ai',
+      apiKey: env.PERPLEXITY_API_KEY,
+      model: env.PERPLEXITY_MODEL || 'llama-3.1-sonar-small-128k-online'
+    });
+  }
+
+  // Any other OpenAI-compatible endpoint (Claude, Amazon Q gateways, Ollama, ...)
+  if (env.LLM_BASE_URL && env.LLM_MODEL) {
+    providers.custom = createOpenAICompatibleProvider({
+      name: 'custom',
+      baseUrl: env.LLM_BASE_URL,
+      apiKey: env.LLM_API_KEY || '',
+      model: env.LLM_MODEL
+    });
+  }
+
+  if (env.AI) {
+    providers['workers-ai'] = createWorkersAIProvider({
+      binding: env.AI,
+      model: env.WORKERS_AI_MODEL
+    });
+  }
+
+  providers.mock = createMockProvider({
+    responses: env.LLM_MOCK_RESPONSES ? JSON.parse(env.LLM_MOCK_RESPONSES) : {}
+  });
+
+  return providers;
+}
+
+/**
+ * Resolve the fallback chain for a step. LLM_MOCK=true routes every step to
+ * the mock provider.
+ */
+export function resolveChain(step, env) {
+  if (env.LLM_MOCK === 'true') {
+    return [{ provider: 'mock', timeout_ms: DEFAULT_TIMEOUT_MS }];
+  }
+
+  const overrides = env.LLM_CHAINS ? JSON.parse(env.LLM_CHAINS) : {};
+  const chain = overrides[step] || DEFAULT_CHAINS[step];
+  if (!chain) {
+    throw new Error(`No provider chain configured for step "${step}"`);
+  }
+  return chain;
+}
+
+/**
+ * Run a completion through the step's fallback chain. Each attempt is
+ * recorded, and the error thrown when every provider fails carries them.
+ */
+export async function completeWithFallback(step, { system, prompt }, env, providers = createProviders(env)) {
+  const attempts = [];
+
+  for (const link of resolveChain(step, env)) {
+    const provider = providers[link.provider];
+    if (!provider) {
+      attempts.push({ provider: link.provider, status: 'skipped', error: 'not configured' });
+      continue;
+    }
+
+    const started = Date.now();
+    const controller = new AbortController();
+    const timeoutMs = link.timeout_ms || DEFAULT_TIMEOUT_MS;
+    const timer = setTimeout(() => controller.abort(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+
+    try {
+      const result = await provider.complete({ step, system, prompt, signal: controller.signal });
+      attempts.push({ provider: provider.name, status: 'ok', duration_ms: Date.now() - started });
+      return { ...result, attempts };
+    } catch (error) {
+      const reason = controller.signal.aborted ? controller.signal.reason : error;
+      attempts.push({ provider: provider.name, status: 'failed', error: reason.message, duration_ms: Date.now() - started });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  const error = new Error(`All providers failed for ${step}: ${attempts.map(a => `${a.provider} (${a.error})`).join(', ')}`);
+  error.attempts = attempts;
+  throw error;
+}
+
+function rejectOnAbort(signal) {
+  return new Promise((_, reject) => {
+    if (!signal) return;
+    if (signal.aborted) reject(signal.reason);
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
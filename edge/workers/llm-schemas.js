@@ -0,0 +1,184 @@
+/**
+ * 📐 Structured LLM Output
+ *
+ * JSON schemas for every analysis type, extraction of JSON from fenced or
+ * prose-wrapped replies, and a repair loop that sends validation errors back
+ * to the model. Every result is marked `valid`, `repaired` or `failed`.
+ */
+
+import { validateSchema } from '../../shared/schema.js';
+import { completeWithFallback } from './llm-providers.js';
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const findingList = { type: 'array', items: { type: ['string', 'object'] } };
+
+/**
+ * Schemas for each analysis step
+ */
+export const ANALYSIS_SCHEMAS = {
+  architecture: {
+    type: 'object',
+    required: ['patterns', 'iac_approach', 'integrations', 'optimizations', 'duplication_risk'],
+    properties: {
+      patterns: stringList,
+      iac_approach: { type: 'string', minLength: 1 },
+      integrations: stringList,
+      optimizations: stringList,
+      duplication_risk: { type: 'string', enum: ['low', 'medium', 'high'] }
+    }
+  },
+  security: {
+    type: 'object',
+    required: ['secrets_management', 'access_control', 'vulnerabilities', 'compliance_score', 'recommendations'],
+    properties: {
+      secrets_management: { type: 'string', minLength: 1 },
+      access_control: { type: 'string', minLength: 1 },
+      vulnerabilities: findingList,
+      compliance_score: { type: 'number', minimum: 0, maximum: 100 },
+      recommendations: stringList
+    }
+  },
+  community: {
+    type: 'object',
+    required: ['trends', 'recommendations'],
+    properties: {
+      trends: stringList,
+      discussions: stringList,
+      similar_projects: stringList,
+      recommendations: stringList
+    }
+  },
+  consolidation: {
+    type: 'object',
+    required: ['consolidations', 'migrations', 'risks', 'priorities', 'optimizations'],
+    properties: {
+      consolidations: findingList,
+      migrations: findingList,
+      risks: findingList,
+      priorities: findingList,
+      optimizations: findingList
+    }
+  }
+};
+
+const DEFAULT_MAX_REPAIRS = 1;
+
+/**
+ * Ask the step's provider chain for JSON matching the step schema, retrying
+ * with the validation errors until it conforms or repairs run out.
+ *
+ * Resolves to { status, data, provider, errors }, never rejects.
+ */
+export async function requestStructured(step, { system, prompt }, env, { maxRepairs = DEFAULT_MAX_REPAIRS } = {}) {
+  const schema = ANALYSIS_SCHEMAS[step];
+  if (!schema) {
+    throw new Error(`No schema defined for step "${step}"`);
+  }
+
+  const basePrompt = `${prompt}
+
+Respond with a single JSON object matching this JSON schema and nothing else:
+${JSON.stringify(schema)}`;
+
+  let currentPrompt = basePrompt;
+  let errors = [];
+  let provider = null;
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    let completion;
+    try {
+      completion = await completeWithFallback(step, { system, prompt: currentPrompt }, env);
+    } catch (error) {
+      return { status: 'failed', data: null, provider, errors: [...errors, error.message] };
+    }
+    provider = completion.provider;
+
+    const extracted = extractJSON(completion.text);
+    errors = extracted.found
+      ? validateSchema(schema, extracted.value)
+      : ['$: reply contained no parseable JSON object'];
+
+    if (errors.length === 0) {
+      const clean = attempt === 0 && extracted.direct;
+      return { status: clean ? 'valid' : 'repaired', data: extracted.value, provider, errors: [] };
+    }
+
+    currentPrompt = `${basePrompt}
+
+Your previous reply did not validate:
+- ${errors.join('\n- ')}
+
+Previous reply:
+${completion.text.slice(0, 4000)}
+
+Return the corrected JSON object only.`;
+  }
+
+  return { status: 'failed', data: null, provider, errors };
+}
+
+/**
+ * Pull a JSON object out of a raw reply, a ```json fence or surrounding prose.
+ * `direct` is true only when the whole reply parsed as-is.
+ */
+export function extractJSON(text) {
+  if (typeof text !== 'string') return { found: false };
+
+  try {
+    return { found: true, direct: true, value: JSON.parse(text) };
+  } catch {
+    // fall through to extraction
+  }
+
+  const candidates = [];
+  for (const fence of text.matchAll(/```(?:json)?\s*\n?([\s\S]*?)```/gi)) {
+    candidates.push(fence[1]);
+  }
+  candidates.push(...balancedObjects(text));
+
+  for (const candidate of candidates) {
+    try {
+      const value = JSON.parse(candidate.trim());
+      if (value && typeof value === 'object') {
+        return { found: true, direct: false, value };
+      }
+    } catch {
+      // try the next candidate
+    }
+  }
+
+  return { found: false };
+}
+
+/**
+ * Top-level {...} spans in prose, respecting strings and escapes
+ */
+function balancedObjects(text) {
+  const spans = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"' && depth > 0) inString = true;
+    else if (char === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) spans.push(text.slice(start, i + 1));
+    }
+  }
+
+  return spans;
+}
@@ -0,0 +1,110 @@
+/**
+ * 📬 Intelligence PR Tracker
+ *
+ * Follows the PRs the generator opened after it returns: `pull_request` and
+ * `check_suite` webhook deliveries become updates for the PR records in the
+ * analysis store, and polling produces the same updates for repositories
+ * whose deliveries were missed or that have no webhook configured.
+ * `workflow_run` deliveries report default branch failures that may call for
+ * rolling a merged PR back.
+ */
+
+import { REVERT_TYPE, intelligencePRType, pullRequestRecord } from '../../shared/pr-outcomes.js';
+
+/**
+ * Webhook events that update tracked PRs
+ */
+export const LIFECYCLE_EVENTS = ['pull_request', 'check_suite', 'workflow_run'];
+
+/**
+ * Store update for a webhook delivery, `{ records }` or `{ check_suites }`,
+ * or null when it does not concern an intelligence PR. The generator labels
+ * PRs after opening them, so a PR is first recognised by its `labeled` event.
+ */
+export function lifecycleUpdate(event, payload) {
+  if (event === 'pull_request' && payload.pull_request) {
+    const record = pullRequestRecord(payload.pull_request);
+    return record ? { records: [record] } : null;
+  }
+
+  if (event === 'check_suite' && payload.check_suite) {
+    const numbers = (payload.check_suite.pull_requests || []).map(pull => pull.number);
+    if (numbers.length === 0) return null;
+    return {
+      check_suites: [{
+        owner: payload.repository.owner.login,
+        repository: payload.repository.name,
+        numbers,
+        suite: payload.check_suite
+      }]
+    };
+  }
+
+  return null;
+}
+
+/**
+ * The run of a `workflow_run` delivery when a push to the default branch
+ * failed, otherwise null
+ */
+export function failedDefaultBranchRun(event, payload) {
+  const run = payload.workflow_run;
+  if (event !== 'workflow_run' || payload.action !== 'completed' || !run) return null;
+  if (run.conclusion !== 'failure' || run.event !== 'push') return null;
+  return run.head_branch === payload.repository?.default_branch ? run : null;
+}
+
+/**
+ * Merged PRs that may need a rollback: merged within `windowHours`, not
+ * rolled back yet and not themselves a revert
+ */
+export function rollbackCandidates(records, windowHours, now = Date.now()) {
+  return records.filter(record =>
+    record.state === 'merged' &&
+    record.type !== REVERT_TYPE &&
+    record.merge_commit_sha &&
+    !record.rollback &&
+    now - Date.parse(record.merged_at) <= windowHours * 60 * 60 * 1000);
+}
+
+/**
+ * Poll one repository's 100 most recently updated PRs. Records that did not
+ * change since `known` are left out, and the check suites of every open
+ * intelligence PR are read again since CI runs don't touch the PR itself.
+ */
+export async function pollRepository(repo, token, known = [], { fetchImpl = fetch } = {}) {
+  const base = `https://api.github.com/repos/${repo.owner}/${repo.name}`;
+  const pulls = await githubJSON(`${base}/pulls?state=all&sort=updated&direction=desc&per_page=100`, token, fetchImpl);
+
+  const records = [];
+  const checkSuites = [];
+  for (const pull of pulls.filter(intelligencePRType)) {
+    const previous = known.find(record => record.number === pull.number);
+    if (!previous || previous.updated_at !== pull.updated_at) {
+      records.push(pullRequestRecord(pull));
+    }
+
+    if (pull.state === 'open') {
+      const { check_suites: suites = [] } = await githubJSON(`${base}/commits/${pull.head.sha}/check-suites?per_page=100`, token, fetchImpl);
+      checkSuites.push(...suites.map(suite => ({ owner: repo.owner, repository: repo.name, numbers: [pull.number], suite })));
+    }
+  }
+
+  return { records, check_suites: checkSuites };
+}
+
+async function githubJSON(url, token, fetchImpl) {
+  const response = await fetchImpl(url, {
+    headers: {
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'Homelab-Intelligence-Core/1.0'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  }
+
+  return await response.json();
+}
@@ -5,11 +5,33 @@
  * - Amazon Q Developer API for architecture analysis
  * - Perplexity API for community research
  * - GPT4Free for cost-efficient bulk processing
+ * - Cloudflare Workers AI as the edge fallback
  * - GitHub API for repository data
+ *
+ * Every model call goes through the provider fallback chains in llm-providers.js
+ * and is validated against the schemas in llm-schemas.js.
  * 
  * Deployed at: https://homelab-intelligence.edcet.workers.dev
  */
 
+import { AutonomousPRGenerator } from '../../automation/pr-generator.js';
+import { validatePlanFile } from '../../automation/pr-plan.js';
+import { PR_POLICY } from '../../automation/pr-policy.js';
+import { CONSTELLATION_REGISTRY, findRepository, matchesRepository, repositoryKey, resolveConstellation } from '../../shared/constellation.js';
+import { ROLLBACK_WINDOW_HOURS, outcomeStats } from '../../shared/pr-outcomes.js';
+import { GitHubAppAuth } from '../../shared/github-app-auth.js';
+import { GitHubClient } from '../../shared/github-client.js';
+import { buildCommunityCatalog, detectRepositoryStack, suggestCatalogEntries } from './community-catalog.js';
+import { diffAnalyses, renderDiffMarkdown } from './analysis-diff.js';
+import { detectDuplication } from './duplication-engine.js';
+import { requestStructured } from './llm-schemas.js';
+import { buildSarifReport } from './sarif-report.js';
+import { LIFECYCLE_EVENTS, failedDefaultBranchRun, lifecycleUpdate, pollRepository, rollbackCandidates } from './pr-tracker.js';
+import { fetchRepositoryContents, formatContentsForPrompt } from './repository-contents.js';
+import { scanRepositoryFiles, summarizeFindings } from './security-scanner.js';
+
+import { AnalysisStore as AnalysisHistoryStore } from './analysis-store.js';
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -34,14 +56,37 @@ export default {
       switch (url.pathname) {
         case '/analyze':
           return await analyzeRepositoryConstellation(request, env);
+        case '/webhook':
+          return await handleWebhook(request, env, ctx);
         case '/optimize':
           return await generateOptimizations(request, env);
+        case '/optimize/apply':
+          return await applyOptimizationPlan(request, env);
         case '/community':
           return await mineCommmunityPatterns(request, env);
+        case '/pull-requests':
+          return await listPullRequests(request, url, env);
+        case '/pull-requests/outcomes':
+          return await getPullRequestOutcomes(request, env);
+        case '/pull-requests/sync':
+          return await syncPullRequests(request, env);
+        case '/analyses':
+          return await listAnalyses(request, url, env);
+        case '/diff':
+          return await diffAnalysisRuns(request, url, env);
         case '/health':
           return Response.json({ status: 'operational', timestamp: new Date().toISOString() }, { headers: corsHeaders });
-        default:
+        default: {
+          const analysisMatch = /^\/analyses\/([\w-]+)$/.exec(url.pathname);
+          if (analysisMatch) {
+            return await getAnalysis(request, analysisMatch[1], env);
+          }
+          const sarifMatch = /^\/analyses\/([\w-]+)\/sarif$/.exec(url.pathname);
+          if (sarifMatch) {
+            return await getAnalysisSarif(request, sarifMatch[1], url, env);
+          }
           return Response.json({ error: 'Route not found' }, { status: 404, headers: corsHeaders });
+        }
       }
     } catch (error) {
       return Response.json({ 
@@ -52,65 +97,145 @@ export default {
   }
 };
 
+/**
+ * ETag cache shared by the GitHub clients of this isolate, so repeated runs
+ * revalidate unchanged responses instead of spending rate limit on them
+ */
+const GITHUB_CACHE = new Map();
+
+/**
+ * GitHub App credentials are imported once per isolate, which also keeps its
+ * installation tokens cached between runs
+ */
+let cachedGitHubApp = null;
+
+/**
+ * The deployment's GitHub App when `GITHUB_APP_ID` and
+ * `GITHUB_APP_PRIVATE_KEY` are set, else null to use `GITHUB_TOKEN`
+ */
+function getGitHubApp(env) {
+  if (!env.GITHUB_APP_ID || !env.GITHUB_APP_PRIVATE_KEY) return null;
+  cachedGitHubApp ??= new GitHubAppAuth({
+    appId: env.GITHUB_APP_ID,
+    privateKey: env.GITHUB_APP_PRIVATE_KEY,
+    defaultOwner: CONSTELLATION_REGISTRY.default_owner
+  });
+  return cachedGitHubApp;
+}
+
+/**
+ * `waitUntil` work ends 30 seconds after the webhook response, so clients
+ * used there fail a request rather than wait out a rate limit
+ */
+const WEBHOOK_CLIENT_OPTIONS = { maxWaitMs: 5000, maxDelayMs: 5000 };
+
+/**
+ * GitHub client for one run; its usage covers that run only. As a GitHub App
+ * each request gets a token scoped to `operation` (see OPERATION_PERMISSIONS).
+ */
+function githubClient(env, operation, options = {}) {
+  const app = getGitHubApp(env);
+  return new GitHubClient({ ...options, cache: GITHUB_CACHE, authenticate: app?.authenticator(operation) });
+}
+
+/**
+ * Token to send explicitly, null when the GitHub client authenticates as the app
+ */
+function githubToken(env) {
+  return getGitHubApp(env) ? null : env.GITHUB_TOKEN;
+}
+
+/**
+ * PR generator authenticated as the app or with `GITHUB_TOKEN`. As the app its
+ * tokens are scoped to `operation`: 'analysis' for dry runs, 'pull_requests'
+ * only where PRs are written.
+ */
+function prGenerator(env, operation, clientOptions = {}) {
+  return new AutonomousPRGenerator(getGitHubApp(env) || env.GITHUB_TOKEN, null, CONSTELLATION_REGISTRY, PR_POLICY, operation, clientOptions);
+}
+
+/**
+ * Resolved constellation cached per isolate so webhooks don't re-run discovery
+ */
+let cachedConstellation = null;
+const CONSTELLATION_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Repositories enabled for analysis, including discovered ones
+ */
+async function getAnalysisConstellation(env, github = githubClient(env, 'analysis')) {
+  if (!cachedConstellation || Date.now() - cachedConstellation.resolved_at > CONSTELLATION_TTL_MS) {
+    cachedConstellation = {
+      resolved_at: Date.now(),
+      repositories: await resolveConstellation(CONSTELLATION_REGISTRY, {
+        token: githubToken(env),
+        purpose: 'analysis',
+        fetchImpl: github.fetch
+      })
+    };
+  }
+  return cachedConstellation.repositories;
+}
+
 /**
  * Analyze entire repository constellation using AI services
  */
 async function analyzeRepositoryConstellation(request, env) {
-  const repositories = [
-    'complete-homelab-orchestrator',
-    'homelab-production', 
-    'r240-homelab-orchestrator',
-    'protohome',
-    'homelab-deploy',
-    'homeops',
-    'homelab-rns-lol', 
-    'homelab-gitops-reorg',
-    'homelab-gitops',
-    'homelab-zenith-86',
-    'homelab-zenith',
-    'homelab-ops'
-  ];
+  const github = githubClient(env, 'analysis');
+  const repositories = await getAnalysisConstellation(env, github);
+  const outcomes = await loadPROutcomes(env);
 
   const analyses = await Promise.allSettled(
-    repositories.map(repo => analyzeRepository(repo, env))
+    repositories.map(repo => analyzeRepository(repo, env, outcomes?.[repo.full_name], github))
   );
 
-  const successful = analyses
+  const fulfilled = analyses
     .filter(result => result.status === 'fulfilled')
     .map(result => result.value);
+  const successful = fulfilled.map(({ analysis }) => analysis);
 
   const failed = analyses
-    .filter(result => result.status === 'rejected')
-    .map((result, index) => ({ 
-      repository: repositories[index], 
+    .map((result, index) => ({ result, repository: repositories[index].full_name }))
+    .filter(({ result }) => result.status === 'rejected')
+    .map(({ result, repository }) => ({ 
+      repository, 
       error: result.reason.message 
     }));
 
-  // Generate AI-powered consolidation recommendations
-  const consolidationPlan = await generateConsolidationPlan(successful, env);
+  // Cluster duplicated files across repositories from their fetched contents
+  const clusters = await detectDuplication(
+    fulfilled.map(({ analysis, files }) => ({ repository: analysis.full_name, files }))
+  );
+
+  // Generate AI-powered consolidation recommendations for those clusters
+  const consolidationPlan = await generateConsolidationPlan(successful, clusters, env);
   
   // Store results in Durable Object for persistence
-  await storeAnalysisResults({
+  const analysisId = await storeAnalysisResults({
     timestamp: new Date().toISOString(),
     successful_analyses: successful.length,
     failed_analyses: failed.length,
     repositories: successful,
-    consolidation_plan: consolidationPlan
+    consolidation_plan: consolidationPlan,
+    failed: failed
   }, env);
 
   return Response.json({
     status: 'analysis_complete',
+    analysis_id: analysisId,
     timestamp: new Date().toISOString(),
     summary: {
       total_repositories: repositories.length,
       successful_analyses: successful.length,
       failed_analyses: failed.length,
-      detected_duplications: consolidationPlan.duplications.length,
-      optimization_opportunities: consolidationPlan.optimizations.length
+      detected_duplications: consolidationPlan.duplications?.length || 0,
+      optimization_opportunities: consolidationPlan.optimizations?.length || 0,
+      consolidation_status: consolidationPlan.status
     },
     repositories: successful,
     consolidation_plan: consolidationPlan,
-    failed: failed
+    failed: failed,
+    github_usage: github.usage()
   }, { 
     headers: {
       'Access-Control-Allow-Origin': '*',
@@ -120,34 +245,274 @@ async function analyzeRepositoryConstellation(request, env) {
 }
 
 /**
- * Analyze individual repository using multiple AI services
+ * GitHub events that can trigger an incremental analysis. Each predicate
+ * decides whether a delivery actually changed something worth re-analyzing.
+ */
+const WEBHOOK_EVENTS = {
+  push: payload => payload.ref === `refs/heads/${payload.repository?.default_branch}`,
+  pull_request: payload => ['opened', 'synchronize', 'reopened', 'closed'].includes(payload.action),
+  issues: payload => ['opened', 'closed', 'reopened'].includes(payload.action),
+  repository: payload => payload.action !== 'deleted'
+};
+
+/**
+ * Delivery ids seen by this isolate, used when the Durable Object is unreachable
+ */
+const SEEN_DELIVERIES = new Set();
+const SEEN_DELIVERIES_LIMIT = 1000;
+
+/**
+ * Handle GitHub webhook deliveries and re-analyze the repository that changed
+ */
+async function handleWebhook(request, env, ctx) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  };
+
+  if (request.method !== 'POST') {
+    return Response.json({ error: 'Method not allowed' }, { status: 405, headers: corsHeaders });
+  }
+
+  if (!env.GITHUB_WEBHOOK_SECRET) {
+    return Response.json({ error: 'Webhook secret not configured' }, { status: 500, headers: corsHeaders });
+  }
+
+  const body = await request.text();
+  const signature = request.headers.get('X-Hub-Signature-256');
+  if (!await verifyWebhookSignature(body, signature, env.GITHUB_WEBHOOK_SECRET)) {
+    return Response.json({ error: 'Invalid webhook signature' }, { status: 401, headers: corsHeaders });
+  }
+
+  const event = request.headers.get('X-GitHub-Event');
+  const deliveryId = request.headers.get('X-GitHub-Delivery');
+  if (!event || !deliveryId) {
+    return Response.json({ error: 'Missing X-GitHub-Event or X-GitHub-Delivery header' }, { status: 400, headers: corsHeaders });
+  }
+
+  if (event === 'ping') {
+    return Response.json({ status: 'pong', delivery: deliveryId }, { headers: corsHeaders });
+  }
+
+  if (!WEBHOOK_EVENTS[event] && !LIFECYCLE_EVENTS.includes(event)) {
+    return Response.json({ status: 'ignored', reason: 'unsupported_event', event }, { status: 202, headers: corsHeaders });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch {
+    return Response.json({ error: 'Invalid JSON payload' }, { status: 400, headers: corsHeaders });
+  }
+
+  if (await isReplayedDelivery(deliveryId, env)) {
+    return Response.json({ status: 'duplicate', delivery: deliveryId }, { headers: corsHeaders });
+  }
+
+  const repository = payload.repository;
+  const trackedRepository = repository?.owner?.login
+    ? findRepository(await getAnalysisConstellation(env), repository.owner.login, repository.name)
+    : null;
+  if (!trackedRepository) {
+    return Response.json({ status: 'ignored', reason: 'repository_not_tracked', repository: repository?.full_name }, { status: 202, headers: corsHeaders });
+  }
+
+  // Intelligence PR lifecycle is tracked whether or not the delivery triggers analysis
+  const lifecycle = LIFECYCLE_EVENTS.includes(event) ? lifecycleUpdate(event, payload) : null;
+  if (lifecycle) ctx.waitUntil(recordLifecycleUpdate(lifecycle, env));
+  if (lifecycle?.check_suites) {
+    ctx.waitUntil(refreshCIResults(trackedRepository, lifecycle.check_suites, env, { clientOptions: WEBHOOK_CLIENT_OPTIONS }));
+  }
+
+  // Rollbacks outlast a webhook's background time, the store's alarm runs and retries them
+  const failedRun = failedDefaultBranchRun(event, payload);
+  if (failedRun) await queueRollback(trackedRepository, failedRun, env);
+
+  if (!WEBHOOK_EVENTS[event]?.(payload)) {
+    return lifecycle || failedRun
+      ? Response.json({ status: 'tracked', repository: repository.full_name, event, delivery: deliveryId }, { status: 202, headers: corsHeaders })
+      : Response.json({ status: 'ignored', reason: 'no_analysis_required', event, action: payload.action }, { status: 202, headers: corsHeaders });
+  }
+
+  const trigger = {
+    event,
+    action: payload.action || null,
+    delivery: deliveryId,
+    sender: payload.sender?.login || null
+  };
+  ctx.waitUntil(runIncrementalAnalysis(trackedRepository, trigger, env));
+
+  return Response.json({
+    status: 'analysis_queued',
+    repository: repository.full_name,
+    event,
+    delivery: deliveryId,
+    timestamp: new Date().toISOString()
+  }, { status: 202, headers: corsHeaders });
+}
+
+/**
+ * Verify the X-Hub-Signature-256 HMAC GitHub computes over the raw body
+ */
+async function verifyWebhookSignature(body, signatureHeader, secret) {
+  const match = /^sha256=([0-9a-f]{64})$/i.exec(signatureHeader || '');
+  if (!match) return false;
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['verify']
+  );
+  const signature = new Uint8Array(match[1].match(/../g).map(byte => parseInt(byte, 16)));
+
+  // crypto.subtle.verify compares in constant time
+  return await crypto.subtle.verify('HMAC', key, signature, encoder.encode(body));
+}
+
+/**
+ * Routes that open, update or close PRs, and routes that return analyses of
+ * private repositories, require the `OPTIMIZE_API_TOKEN` bearer token.
+ * Resolves to null when the request carries it, else to the error response.
+ */
+async function requireApiToken(request, env, corsHeaders) {
+  if (!env.OPTIMIZE_API_TOKEN) {
+    return Response.json({ error: 'API token not configured' }, { status: 500, headers: corsHeaders });
+  }
+
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(request.headers.get('Authorization') || '');
+  if (!match || !await verifyApiToken(match[1], env.OPTIMIZE_API_TOKEN)) {
+    return Response.json({ error: 'Invalid or missing API token' }, {
+      status: 401,
+      headers: { ...corsHeaders, 'WWW-Authenticate': 'Bearer' }
+    });
+  }
+  return null;
+}
+
+/**
+ * Compare a bearer token with the configured one through their HMACs, since
+ * crypto.subtle.verify compares in constant time
+ */
+async function verifyApiToken(token, expected) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(expected),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(expected));
+  return await crypto.subtle.verify('HMAC', key, signature, encoder.encode(token));
+}
+
+/**
+ * Record a delivery id and report whether it was already processed
  */
-async function analyzeRepository(repoName, env) {
+async function isReplayedDelivery(deliveryId, env) {
+  try {
+    const durableObject = getAnalysisStore(env);
+    const response = await durableObject.fetch('https://dummy/deliveries', {
+      method: 'POST',
+      body: JSON.stringify({ id: deliveryId })
+    });
+
+    if (response.ok) {
+      const { duplicate } = await response.json();
+      return duplicate === true;
+    }
+  } catch (error) {
+    console.error('Delivery store unavailable, using isolate cache:', error);
+  }
+
+  if (SEEN_DELIVERIES.has(deliveryId)) return true;
+
+  SEEN_DELIVERIES.add(deliveryId);
+  if (SEEN_DELIVERIES.size > SEEN_DELIVERIES_LIMIT) {
+    SEEN_DELIVERIES.delete(SEEN_DELIVERIES.values().next().value);
+  }
+  return false;
+}
+
+/**
+ * Re-analyze a single repository and merge it into the latest stored snapshot
+ */
+async function runIncrementalAnalysis(repo, trigger, env) {
+  const fullName = repo.full_name;
+  try {
+    const outcomes = await loadPROutcomes(env);
+    const { analysis } = await analyzeRepository(repo, env, outcomes?.[fullName], githubClient(env, 'analysis', WEBHOOK_CLIENT_OPTIONS));
+    const previous = await loadLatestAnalysis(env);
+
+    const repositories = (previous?.repositories || []).filter(r => repositoryKey(r) !== fullName);
+    repositories.push(analysis);
+    const failed = (previous?.failed || []).filter(f => f.repository !== fullName);
+
+    await storeAnalysisResults({
+      timestamp: new Date().toISOString(),
+      trigger: { ...trigger, repository: fullName },
+      successful_analyses: repositories.length,
+      failed_analyses: failed.length,
+      repositories,
+      // Clustering needs every repository's files, so keep the last full run's plan
+      consolidation_plan: previous?.consolidation_plan || await generateConsolidationPlan(repositories, [], env),
+      failed
+    }, env);
+  } catch (error) {
+    console.error(`Incremental analysis failed for ${fullName}:`, error);
+  }
+}
+
+/**
+ * Analyze individual repository using multiple AI services. Resolves to the
+ * stored analysis plus the fetched key files, which are too large to persist.
+ * `outcomes` are the repository's intelligence PR statistics by type.
+ */
+async function analyzeRepository(repo, env, outcomes = null, github = githubClient(env, 'analysis')) {
   // Fetch repository metadata from GitHub
-  const githubData = await fetchGitHubRepository(repoName, env.GITHUB_TOKEN);
+  const githubData = await fetchGitHubRepository(repo.owner, repo.name, githubToken(env), github);
+
+  // Fetch the tree and key files so analysis sees real contents
+  const contents = await fetchRepositoryContents(repo.owner, repo.name, githubData.default_branch, githubToken(env), { fetchImpl: github.fetch });
+
+  // Deterministic scan first, so findings survive every AI provider being down
+  const findings = scanRepositoryFiles(contents.files);
   
   // Parallel AI analysis using multiple services
   const [architectureAnalysis, securityAnalysis, communityContext] = await Promise.allSettled([
-    analyzeArchitecture(githubData, env),
-    analyzeSecurityPosture(githubData, env), 
-    getCommmunityContext(repoName, env)
+    analyzeArchitecture(githubData, contents, outcomes, env),
+    analyzeSecurityPosture(githubData, contents, findings, env), 
+    getCommmunityContext(repo.name, env)
   ]);
 
   return {
-    name: repoName,
-    github_data: githubData,
-    architecture: architectureAnalysis.status === 'fulfilled' ? architectureAnalysis.value : null,
-    security: securityAnalysis.status === 'fulfilled' ? securityAnalysis.value : null,
-    community_context: communityContext.status === 'fulfilled' ? communityContext.value : null,
-    analysis_timestamp: new Date().toISOString()
+    analysis: {
+      name: repo.name,
+      owner: repo.owner,
+      full_name: repo.full_name,
+      github_data: githubData,
+      file_inventory: contents.inventory,
+      tech_stack: contents.fingerprint,
+      content_errors: contents.errors,
+      architecture: architectureAnalysis.status === 'fulfilled' ? architectureAnalysis.value : null,
+      security: securityAnalysis.status === 'fulfilled'
+        ? securityAnalysis.value
+        : { status: 'failed', errors: [securityAnalysis.reason.message], vulnerabilities: findings, rule_findings: summarizeFindings(findings) },
+      community_context: communityContext.status === 'fulfilled' ? communityContext.value : null,
+      pr_outcomes: outcomes || {},
+      analysis_timestamp: new Date().toISOString()
+    },
+    files: contents.files
   };
 }
 
 /**
- * Use Amazon Q Developer API for architecture analysis
+ * Architecture analysis through the `architecture` provider chain
  */
-async function analyzeArchitecture(githubData, env) {
-  // Amazon Q Developer integration for code analysis
+async function analyzeArchitecture(githubData, contents, outcomes, env) {
   const prompt = `Analyze this homelab repository architecture:
 
 Repository: ${githubData.name}
@@ -155,6 +520,11 @@ Language: ${githubData.language}
 Description: ${githubData.description}
 Size: ${githubData.size}KB
 
+${formatContentsForPrompt(contents)}
+
+How the maintainers received earlier automated PRs (avoid recommending what they keep rejecting):
+${formatOutcomesForPrompt(outcomes)}
+
 Provide:
 1. Architecture patterns used
 2. Infrastructure-as-code approach
@@ -162,26 +532,26 @@ Provide:
 4. Optimization recommendations
 5. Duplication risks with other homelab repos`;
 
-  try {
-    // Using G4F as fallback for cost efficiency
-    const analysis = await callG4FAPI(prompt, env.G4F_API_KEY);
-    return {
-      patterns: analysis.patterns || [],
-      iac_approach: analysis.iac_approach || 'unknown',
-      integrations: analysis.integrations || [],
-      optimizations: analysis.optimizations || [],
-      duplication_risk: analysis.duplication_risk || 'low'
-    };
-  } catch (error) {
-    console.error('Architecture analysis failed:', error);
-    return null;
-  }
+  const result = await callLLM('architecture', prompt, env);
+  if (result.status === 'failed') return analysisFailure('architecture', result);
+
+  const analysis = result.data;
+  return {
+    patterns: analysis.patterns,
+    iac_approach: analysis.iac_approach,
+    integrations: analysis.integrations,
+    optimizations: analysis.optimizations,
+    duplication_risk: analysis.duplication_risk,
+    status: result.status,
+    provider: result.provider
+  };
 }
 
 /**
- * Security posture analysis
+ * Security posture analysis. Scanner findings are always part of
+ * `vulnerabilities`, with the model's own findings appended when it succeeds.
  */
-async function analyzeSecurityPosture(githubData, env) {
+async function analyzeSecurityPosture(githubData, contents, findings, env) {
   const prompt = `Security analysis for homelab repository:
 
 Repository: ${githubData.name}
@@ -189,6 +559,11 @@ Visibility: ${githubData.private ? 'Private' : 'Public'}
 Has Issues: ${githubData.has_issues}
 Default Branch: ${githubData.default_branch}
 
+${formatContentsForPrompt(contents, { kinds: ['workflow', 'shell', 'compose', 'terraform', 'helm', 'pulumi'] })}
+
+Confirmed rule-based findings (do not repeat these in vulnerabilities):
+${findings.slice(0, 20).map(f => `- [${f.severity}] ${f.rule_id} ${f.file}:${f.line}`).join('\n') || '- none'}
+
 Analyze:
 1. Secret management approach
 2. Access control patterns 
@@ -196,86 +571,107 @@ Analyze:
 4. Compliance posture
 5. Security recommendations`;
 
-  try {
-    const analysis = await callG4FAPI(prompt, env.G4F_API_KEY);
+  const result = await callLLM('security', prompt, env);
+  if (result.status === 'failed') {
     return {
-      secrets_management: analysis.secrets_management || 'unknown',
-      access_control: analysis.access_control || 'unknown', 
-      vulnerabilities: analysis.vulnerabilities || [],
-      compliance_score: analysis.compliance_score || 0,
-      recommendations: analysis.recommendations || []
+      ...analysisFailure('security', result),
+      vulnerabilities: findings,
+      rule_findings: summarizeFindings(findings)
     };
-  } catch (error) {
-    console.error('Security analysis failed:', error);
-    return null;
   }
+
+  const analysis = result.data;
+  return {
+    secrets_management: analysis.secrets_management,
+    access_control: analysis.access_control, 
+    vulnerabilities: [...findings, ...analysis.vulnerabilities],
+    rule_findings: summarizeFindings(findings),
+    compliance_score: analysis.compliance_score,
+    recommendations: analysis.recommendations,
+    status: result.status,
+    provider: result.provider
+  };
 }
 
 /**
- * Community research using Perplexity API
+ * Community research through the `community` provider chain, Perplexity first
  */
 async function getCommmunityContext(repoName, env) {
   const query = `Latest homelab trends for ${repoName} infrastructure patterns, awesome-homelab community discussions, Reddit r/homelab insights`;
   
-  try {
-    const research = await callPerplexityAPI(query, env.PERPLEXITY_API_KEY);
-    return {
-      trends: research.trends || [],
-      community_discussions: research.discussions || [],
-      similar_projects: research.similar_projects || [],
-      recommendations: research.recommendations || []
-    };
-  } catch (error) {
-    console.error('Community research failed:', error);
-    return null;
-  }
+  const result = await callLLM('community', query, env, SYSTEM_PROMPTS.research);
+  if (result.status === 'failed') return analysisFailure('community', result);
+
+  const research = result.data;
+  return {
+    trends: research.trends,
+    community_discussions: research.discussions || [],
+    similar_projects: research.similar_projects || [],
+    recommendations: research.recommendations,
+    status: result.status,
+    provider: result.provider
+  };
 }
 
 /**
- * Generate AI-powered consolidation plan
+ * One line per opportunity type with its merge record
  */
-async function generateConsolidationPlan(repositories, env) {
+function formatOutcomesForPrompt(outcomes) {
+  const lines = Object.entries(outcomes || {}).map(([type, stats]) => {
+    const hours = stats.median_hours_to_merge !== null ? `, merged after ${stats.median_hours_to_merge}h (median)` : '';
+    return `- ${type}: ${stats.merged} merged, ${stats.closed} rejected, ${stats.open} open${hours}`;
+  });
+  return lines.join('\n') || '- no earlier PRs';
+}
+
+/**
+ * Generate AI-powered consolidation plan from the detected duplication clusters.
+ * The clusters are reported as `duplications` whether or not the model answers.
+ */
+async function generateConsolidationPlan(repositories, clusters, env) {
   const prompt = `Analyze these homelab repositories for consolidation opportunities:
 
-${repositories.map(r => `- ${r.name}: ${r.github_data.description} (${r.github_data.language})`).join('\n')}
+${repositories.map(r => `- ${repositoryKey(r)}: ${r.github_data.description} (${r.github_data.language})`).join('\n')}
+
+Duplicated files detected across repositories (by content hash and shingle similarity):
+${clusters.length > 0 ? clusters.map(formatCluster).join('\n') : '- none detected'}
 
 Generate:
-1. Duplicate functionality identification
-2. Consolidation recommendations
-3. Migration strategies
-4. Risk assessment
-5. Priority ranking`;
+1. Consolidation recommendations for each duplication cluster
+2. Migration strategies
+3. Risk assessment
+4. Priority ranking`;
 
-  try {
-    const plan = await callG4FAPI(prompt, env.G4F_API_KEY);
-    return {
-      duplications: plan.duplications || [],
-      consolidations: plan.consolidations || [],
-      migrations: plan.migrations || [],
-      risks: plan.risks || [],
-      priorities: plan.priorities || [],
-      optimizations: plan.optimizations || []
-    };
-  } catch (error) {
-    console.error('Consolidation planning failed:', error);
-    return {
-      duplications: [],
-      consolidations: [], 
-      migrations: [],
-      risks: [],
-      priorities: [],
-      optimizations: []
-    };
+  const result = await callLLM('consolidation', prompt, env);
+  if (result.status === 'failed') {
+    return { ...analysisFailure('consolidation', result), duplications: clusters };
   }
+
+  const plan = result.data;
+  return {
+    duplications: clusters,
+    consolidations: plan.consolidations,
+    migrations: plan.migrations,
+    risks: plan.risks,
+    priorities: plan.priorities,
+    optimizations: plan.optimizations,
+    status: result.status,
+    provider: result.provider
+  };
+}
+
+function formatCluster(cluster) {
+  const members = cluster.members.map(m => `${m.repository}:${m.path}`).join(', ');
+  return `- ${cluster.id} (${cluster.kind}, ${cluster.type}, similarity ${cluster.similarity.min}-${cluster.similarity.max}): ${members}`;
 }
 
 /**
  * Fetch repository data from GitHub API
  */
-async function fetchGitHubRepository(repoName, token) {
-  const response = await fetch(`https://api.github.com/repos/edcet/${repoName}`, {
+async function fetchGitHubRepository(owner, repoName, token, github) {
+  const response = await github.fetch(`https://api.github.com/repos/${owner}/${repoName}`, {
     headers: {
-      'Authorization': `Bearer ${token}`,
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
       'Accept': 'application/vnd.github.v3+json',
       'User-Agent': 'Homelab-Intelligence-Core/1.0'
     }
@@ -289,120 +685,600 @@ async function fetchGitHubRepository(repoName, token) {
 }
 
 /**
- * Call G4F API for cost-efficient AI processing
+ * System prompts shared by the analysis steps
  */
-async function callG4FAPI(prompt, apiKey) {
-  // G4F API integration for cost-efficient AI inference
-  const response = await fetch('https://api.g4f.icu/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model: 'gpt-3.5-turbo',
-      messages: [{
-        role: 'system',
-        content: 'You are a homelab infrastructure expert. Analyze the provided information and return structured JSON responses.'
-      }, {
-        role: 'user',
-        content: prompt
-      }]
-    })
-  });
+const SYSTEM_PROMPTS = {
+  analysis: 'You are a homelab infrastructure expert. Analyze the provided information and return structured JSON responses.',
+  research: 'You are a homelab research assistant. Provide current trends and community insights in JSON format.'
+};
 
-  if (!response.ok) {
-    throw new Error(`G4F API error: ${response.status}`);
+/**
+ * Request schema-validated JSON for a step through its provider fallback chain
+ */
+async function callLLM(step, prompt, env, system = SYSTEM_PROMPTS.analysis) {
+  return await requestStructured(step, { system, prompt }, env);
+}
+
+/**
+ * Failed results carry no model fields, so downstream code can't mistake
+ * them for "nothing found". Security failures still carry scanner findings.
+ */
+function analysisFailure(step, result) {
+  console.error(`${step} analysis failed:`, result.errors.join('; '));
+  return {
+    status: 'failed',
+    provider: result.provider,
+    errors: result.errors
+  };
+}
+
+/**
+ * Store analysis results in Durable Object, returning the stored run id
+ */
+async function storeAnalysisResults(results, env) {
+  try {
+    const durableObject = getAnalysisStore(env);
+    
+    const response = await durableObject.fetch('https://dummy/store', {
+      method: 'POST',
+      body: JSON.stringify(results)
+    });
+    if (!response.ok) {
+      throw new Error(`Analysis store error: ${response.status}`);
+    }
+
+    const { id } = await response.json();
+    return id;
+  } catch (error) {
+    console.error('Failed to store results:', error);
+    // Continue without storing - don't block the main flow
+    return null;
   }
+}
 
-  const data = await response.json();
+/**
+ * Load the most recent constellation analysis from the Durable Object
+ */
+async function loadLatestAnalysis(env) {
   try {
-    return JSON.parse(data.choices[0].message.content);
-  } catch {
-    return { analysis: data.choices[0].message.content };
+    const durableObject = getAnalysisStore(env);
+    const response = await durableObject.fetch('https://dummy/latest');
+    if (!response.ok) return null;
+
+    return await response.json();
+  } catch (error) {
+    console.error('Failed to load latest analysis:', error);
+    return null;
   }
 }
 
 /**
- * Call Perplexity API for real-time research
+ * List stored analysis runs, newest first
  */
-async function callPerplexityAPI(query, apiKey) {
-  const response = await fetch('https://api.perplexity.ai/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: 'llama-3.1-sonar-small-128k-online',
-      messages: [{
-        role: 'system',
-        content: 'You are a homelab research assistant. Provide current trends and community insights in JSON format.'
-      }, {
-        role: 'user', 
-        content: query
-      }]
-    })
-  });
+async function listAnalyses(request, url, env) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  };
 
-  if (!response.ok) {
-    throw new Error(`Perplexity API error: ${response.status}`);
+  const unauthorized = await requireApiToken(request, env, corsHeaders);
+  if (unauthorized) return unauthorized;
+
+  const durableObject = getAnalysisStore(env);
+  const response = await durableObject.fetch(`https://dummy/runs${url.search}`);
+
+  return new Response(response.body, { status: response.status, headers: corsHeaders });
+}
+
+/**
+ * List tracked intelligence PRs, filtered by `repository`, `type` and `state`
+ */
+async function listPullRequests(request, url, env) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  };
+
+  // Records name private repositories, their branches and CI results
+  const unauthorized = await requireApiToken(request, env, corsHeaders);
+  if (unauthorized) return unauthorized;
+
+  const durableObject = getAnalysisStore(env);
+  const response = await durableObject.fetch(`https://dummy/pull-requests${url.search}`);
+
+  return new Response(response.body, { status: response.status, headers: corsHeaders });
+}
+
+/**
+ * Merge rates, time to merge and CI results of intelligence PRs by repository and type
+ */
+async function getPullRequestOutcomes(request, env) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  };
+
+  const unauthorized = await requireApiToken(request, env, corsHeaders);
+  if (unauthorized) return unauthorized;
+
+  const records = await loadPullRequestRecords(env);
+  return Response.json({
+    timestamp: new Date().toISOString(),
+    tracked_pull_requests: records.length,
+    outcomes: outcomeStats(records)
+  }, { headers: corsHeaders });
+}
+
+/**
+ * Poll every PR-enabled repository for intelligence PR changes, for missed
+ * webhook deliveries or repositories without a webhook, report finished CI in
+ * PR bodies and roll back recent merges that broke their default branch
+ */
+async function syncPullRequests(request, env) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  };
+
+  if (request.method !== 'POST') {
+    return Response.json({ error: 'Method not allowed' }, { status: 405, headers: corsHeaders });
   }
 
-  const data = await response.json();
-  try {
-    return JSON.parse(data.choices[0].message.content);
-  } catch {
-    return { research: data.choices[0].message.content };
+  // Syncing records outcomes, rewrites PR bodies and opens revert PRs
+  const unauthorized = await requireApiToken(request, env, corsHeaders);
+  if (unauthorized) return unauthorized;
+
+  const github = githubClient(env, 'tracking');
+  const known = await loadPullRequestRecords(env);
+  const repositories = await resolveConstellation(CONSTELLATION_REGISTRY, { token: githubToken(env), purpose: 'pull_requests', fetchImpl: githubClient(env, 'analysis').fetch });
+  const results = await Promise.allSettled(repositories.map(async repo => {
+    const update = await pollRepository(repo, githubToken(env), known.filter(record => record.owner === repo.owner && record.repository === repo.name), { fetchImpl: github.fetch });
+    await recordLifecycleUpdate(update, env);
+    return {
+      repository: repo.full_name,
+      records: update.records.length,
+      check_suites: update.check_suites.length,
+      ci_refreshed: await refreshCIResults(repo, update.check_suites, env),
+      rollbacks: await rollBackBrokenMerges(repo, env)
+    };
+  }));
+
+  return Response.json({
+    status: 'synced',
+    timestamp: new Date().toISOString(),
+    repositories: results.map((result, index) => result.status === 'fulfilled'
+      ? result.value
+      : { repository: repositories[index].full_name, error: result.reason.message }),
+    github_usage: github.usage()
+  }, { headers: corsHeaders });
+}
+
+/**
+ * Rewrite the CI block in the bodies of open intelligence PRs whose check
+ * suites completed. Returns the PR numbers whose body changed.
+ */
+async function refreshCIResults(repo, checkSuites, env, { clientOptions = {} } = {}) {
+  const completed = new Set(checkSuites
+    .filter(({ suite }) => suite.status === 'completed')
+    .flatMap(checkSuite => checkSuite.numbers));
+  if (completed.size === 0) return [];
+
+  // Check suites name every PR of their commit, only intelligence PRs have the block
+  const numbers = (await loadPullRequestRecords(env))
+    .filter(record => record.owner === repo.owner && record.repository === repo.name && record.state === 'open')
+    .map(record => record.number)
+    .filter(number => completed.has(number));
+
+  // Rewriting a PR body needs write access to the PR
+  const generator = prGenerator(env, 'pull_requests', clientOptions);
+  const refreshed = [];
+  for (const number of numbers) {
+    try {
+      if (await generator.refreshCIResults(repo.full_name, number)) refreshed.push(number);
+    } catch (error) {
+      console.error(`Failed to refresh CI results of #${number} in ${repo.full_name}:`, error);
+    }
   }
+  return refreshed;
 }
 
 /**
- * Store analysis results in Durable Object
+ * Open revert PRs for a repository's recently merged intelligence PRs whose
+ * merge commit failed a workflow run. With `run` only the PR merged as that
+ * run's commit is considered. `records` and `recordRollback` default to the
+ * analysis store's; the store passes its own storage when its alarm calls.
  */
-async function storeAnalysisResults(results, env) {
+async function rollBackBrokenMerges(repo, env, { run = null, records = null, recordRollback = postRollback(env) } = {}) {
+  const repositoryRecords = (records || await loadPullRequestRecords(env))
+    .filter(record => record.owner === repo.owner && record.repository === repo.name);
+  const candidates = rollbackCandidates(repositoryRecords, ROLLBACK_WINDOW_HOURS)
+    .filter(record => !run || record.merge_commit_sha === run.head_sha);
+  if (candidates.length === 0) return [];
+
+  const generator = prGenerator(env, 'pull_requests');
+  const results = [];
+  for (const record of candidates) {
+    const result = await generator.rollbackBrokenMerge(repo.full_name, record, { run });
+    if (result.pr) {
+      try {
+        await recordRollback({
+          owner: record.owner,
+          repository: record.repository,
+          number: record.number,
+          rollback: { number: result.pr.number, url: result.pr.url, opened_at: new Date().toISOString() }
+        });
+      } catch (error) {
+        // The revert branch still prevents a second rollback of this merge
+        console.error(`Failed to record rollback of #${record.number} in ${repo.full_name}:`, error);
+      }
+    } else if (result.error) {
+      console.error(`Rollback of #${record.number} in ${repo.full_name} failed: ${result.error}`);
+    }
+    results.push({ number: record.number, ...result });
+  }
+  return results;
+}
+
+function postRollback(env) {
+  return async update => {
+    const response = await getAnalysisStore(env).fetch('https://dummy/pull-requests/rollbacks', {
+      method: 'POST',
+      body: JSON.stringify(update)
+    });
+    if (!response.ok) throw new Error(`Analysis store error: ${response.status}`);
+  };
+}
+
+/**
+ * Queue a failed default branch run for the analysis store's alarm, which
+ * rolls back the merge it broke outside the webhook's time limit
+ */
+async function queueRollback(repo, run, env) {
   try {
-    const durableObjectId = env.HOMELAB_INTELLIGENCE.idFromName('analysis-store');
-    const durableObject = env.HOMELAB_INTELLIGENCE.get(durableObjectId);
-    
-    await durableObject.fetch('https://dummy/store', {
+    const durableObject = getAnalysisStore(env);
+    const response = await durableObject.fetch('https://dummy/rollbacks', {
       method: 'POST',
-      body: JSON.stringify(results)
+      body: JSON.stringify({ owner: repo.owner, repository: repo.name, run })
     });
+    if (!response.ok) throw new Error(`Analysis store error: ${response.status}`);
   } catch (error) {
-    console.error('Failed to store results:', error);
-    // Continue without storing - don't block the main flow
+    // The next /pull-requests/sync still finds the broken merge
+    console.error(`Failed to queue rollback of run ${run.id} in ${repo.full_name}:`, error);
   }
 }
 
 /**
- * Generate optimization recommendations
+ * Analysis store whose alarm opens the revert PRs of queued rollbacks with
+ * this worker's GitHub access
  */
-async function generateOptimizations(request, env) {
-  // Implementation for generating concrete optimization PRs
-  return Response.json({ 
-    status: 'optimization_generation', 
-    message: 'Optimization generation will be implemented in next message' 
-  }, {
+export class AnalysisStore extends AnalysisHistoryStore {
+  async rollBack({ owner, repository, run }) {
+    const repo = findRepository(await getAnalysisConstellation(this.env), owner, repository);
+    if (!repo) return null;
+
+    const results = await rollBackBrokenMerges(repo, this.env, {
+      run,
+      records: await this.listPullRequests(),
+      recordRollback: update => this.recordRollback(update)
+    });
+    const failed = results.filter(result => result.error);
+    return failed.length > 0 ? failed.map(result => `#${result.number}: ${result.error}`).join('; ') : null;
+  }
+}
+
+/**
+ * Write PR records and check suites from a webhook delivery or poll to the store
+ */
+async function recordLifecycleUpdate({ records = [], check_suites: checkSuites = [] }, env) {
+  try {
+    const durableObject = getAnalysisStore(env);
+    if (records.length > 0) {
+      const response = await durableObject.fetch('https://dummy/pull-requests', {
+        method: 'POST',
+        body: JSON.stringify({ records })
+      });
+      if (!response.ok) throw new Error(`Analysis store error: ${response.status}`);
+    }
+
+    for (const checkSuite of checkSuites) {
+      const response = await durableObject.fetch('https://dummy/pull-requests/check-suites', {
+        method: 'POST',
+        body: JSON.stringify(checkSuite)
+      });
+      if (!response.ok) throw new Error(`Analysis store error: ${response.status}`);
+    }
+  } catch (error) {
+    console.error('Failed to record PR lifecycle update:', error);
+  }
+}
+
+/**
+ * Every tracked intelligence PR record, empty when the store is unreachable
+ */
+async function loadPullRequestRecords(env) {
+  try {
+    const durableObject = getAnalysisStore(env);
+    const response = await durableObject.fetch('https://dummy/pull-requests');
+    if (!response.ok) return [];
+
+    const { pull_requests: records } = await response.json();
+    return records;
+  } catch (error) {
+    console.error('Failed to load PR records:', error);
+    return [];
+  }
+}
+
+/**
+ * Intelligence PR statistics by repository and type, or null when nothing is
+ * tracked yet so consumers fall back to their own sources
+ */
+async function loadPROutcomes(env) {
+  const records = await loadPullRequestRecords(env);
+  return records.length > 0 ? outcomeStats(records) : null;
+}
+
+/**
+ * Fetch a single stored analysis run by id
+ */
+async function getAnalysis(request, analysisId, env) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  };
+
+  // Runs carry file inventories and scanner findings of private repositories
+  const unauthorized = await requireApiToken(request, env, corsHeaders);
+  if (unauthorized) return unauthorized;
+
+  // `latest` is a pointer in the store, not a run id
+  const durableObject = getAnalysisStore(env);
+  const response = await durableObject.fetch(analysisId === 'latest' ? 'https://dummy/latest' : `https://dummy/runs/${analysisId}`);
+
+  return new Response(response.body, { status: response.status, headers: corsHeaders });
+}
+
+/**
+ * Export one repository's security findings from a stored run (or `latest`)
+ * as SARIF 2.1.0 for GitHub code scanning
+ */
+async function getAnalysisSarif(request, analysisId, url, env) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  };
+
+  // Findings name rules, files and lines of private repositories
+  const unauthorized = await requireApiToken(request, env, corsHeaders);
+  if (unauthorized) return unauthorized;
+
+  // Accept both `owner/name` and a bare name that only one owner uses
+  const repoName = url.searchParams.get('repo');
+  if (!repoName) {
+    return Response.json({ error: 'Query parameter "repo" is required' }, { status: 400, headers: corsHeaders });
+  }
+
+  const run = analysisId === 'latest' ? await loadLatestAnalysis(env) : await loadAnalysisRun(analysisId, env);
+  if (!run) {
+    return Response.json({ error: `Analysis ${analysisId} not found` }, { status: 404, headers: corsHeaders });
+  }
+
+  const matches = (run.repositories || []).filter(r => matchesRepository(r, repoName));
+  if (matches.length === 0) {
+    return Response.json({ error: `Repository ${repoName} not found in analysis ${run.id}` }, { status: 404, headers: corsHeaders });
+  }
+  if (matches.length > 1) {
+    return Response.json({ error: `Repository name ${repoName} is ambiguous, use one of ${matches.map(repositoryKey).join(', ')}` }, { status: 400, headers: corsHeaders });
+  }
+  const [repoAnalysis] = matches;
+
+  return new Response(JSON.stringify(buildSarifReport(repoAnalysis, { analysisId: run.id, timestamp: run.timestamp }), null, 2), {
     headers: {
       'Access-Control-Allow-Origin': '*',
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/sarif+json'
     }
   });
 }
 
+/**
+ * Compare two stored runs (`from`, `to` defaulting to the latest) as JSON or Markdown
+ */
+async function diffAnalysisRuns(request, url, env) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  };
+
+  const unauthorized = await requireApiToken(request, env, corsHeaders);
+  if (unauthorized) return unauthorized;
+
+  const fromId = url.searchParams.get('from');
+  const toId = url.searchParams.get('to');
+  if (!fromId) {
+    return Response.json({ error: 'Query parameter "from" is required' }, { status: 400, headers: corsHeaders });
+  }
+
+  const [fromRun, toRun] = await Promise.all([
+    loadAnalysisRun(fromId, env),
+    toId ? loadAnalysisRun(toId, env) : loadLatestAnalysis(env)
+  ]);
+  if (!fromRun || !toRun) {
+    return Response.json({
+      error: `Analysis ${!fromRun ? fromId : toId || 'latest'} not found`
+    }, { status: 404, headers: corsHeaders });
+  }
+
+  const diff = diffAnalyses(fromRun, toRun);
+
+  if (url.searchParams.get('format') === 'markdown') {
+    return new Response(renderDiffMarkdown(diff), {
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'text/markdown; charset=utf-8'
+      }
+    });
+  }
+
+  return Response.json(diff, { headers: corsHeaders });
+}
+
+/**
+ * Load a stored analysis run by id, or null if it does not exist
+ */
+async function loadAnalysisRun(analysisId, env) {
+  try {
+    const durableObject = getAnalysisStore(env);
+    const response = await durableObject.fetch(`https://dummy/runs/${encodeURIComponent(analysisId)}`);
+    if (!response.ok) return null;
+
+    return await response.json();
+  } catch (error) {
+    console.error(`Failed to load analysis ${analysisId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Resolve the Durable Object stub that persists analysis state
+ */
+function getAnalysisStore(env) {
+  const durableObjectId = env.HOMELAB_INTELLIGENCE.idFromName('analysis-store');
+  return env.HOMELAB_INTELLIGENCE.get(durableObjectId);
+}
+
+/**
+ * Dry-run the latest stored analysis into a reviewable plan file. PRs are only
+ * opened when the request executes an approved plan id, or through /optimize/apply.
+ */
+async function generateOptimizations(request, env) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  };
+
+  const options = request.method === 'POST' ? await request.json().catch(() => ({})) : {};
+
+  // Dry runs only read, executing a plan opens PRs
+  if (options.execute === true) {
+    const unauthorized = await requireApiToken(request, env, corsHeaders);
+    if (unauthorized) return unauthorized;
+  }
+
+  const analysis = await loadLatestAnalysis(env);
+  if (!analysis) {
+    return Response.json({ error: 'No stored analysis available, run /analyze first' }, { status: 404, headers: corsHeaders });
+  }
+
+  const generator = prGenerator(env, options.execute === true ? 'pull_requests' : 'analysis');
+  const plan = await generator.planConstellationOptimizations(analysis, { outcomes: await loadPROutcomes(env) });
+
+  if (options.execute !== true) {
+    return Response.json({ status: 'plan_ready', plan, github_usage: generator.usage() }, { headers: corsHeaders });
+  }
+
+  if (!options.plan_id) {
+    return Response.json({ error: 'plan_id is required to execute a plan' }, { status: 400, headers: corsHeaders });
+  }
+
+  if (options.plan_id !== plan.id) {
+    return Response.json({
+      error: 'Plan has changed since it was reviewed',
+      approved_plan_id: options.plan_id,
+      current_plan_id: plan.id
+    }, { status: 409, headers: corsHeaders });
+  }
+
+  const results = await generator.applyPlan(plan);
+
+  return Response.json({
+    status: 'plan_executed',
+    plan_id: plan.id,
+    timestamp: new Date().toISOString(),
+    results,
+    github_usage: generator.usage()
+  }, { headers: corsHeaders });
+}
+
+/**
+ * Apply an approved plan file from the request body exactly as written
+ */
+async function applyOptimizationPlan(request, env) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  };
+
+  if (request.method !== 'POST') {
+    return Response.json({ error: 'Method not allowed' }, { status: 405, headers: corsHeaders });
+  }
+
+  const unauthorized = await requireApiToken(request, env, corsHeaders);
+  if (unauthorized) return unauthorized;
+
+  const plan = await request.json().catch(() => null);
+  const errors = plan ? validatePlanFile(plan) : ['$: request body must be a JSON plan file'];
+  if (errors.length > 0) {
+    return Response.json({ error: 'Invalid plan file', errors }, { status: 400, headers: corsHeaders });
+  }
+
+  const generator = prGenerator(env, 'pull_requests');
+  const results = await generator.applyPlan(plan);
+
+  return Response.json({
+    status: 'plan_applied',
+    plan_id: plan.id,
+    timestamp: new Date().toISOString(),
+    results,
+    github_usage: generator.usage()
+  }, { headers: corsHeaders });
+}
+
+/**
+ * Parsed catalog cached per isolate, awesome lists change slowly
+ */
+let cachedCatalog = null;
+const CATALOG_TTL_MS = 6 * 60 * 60 * 1000;
+
 /**
  * Mine community patterns from awesome-homelab sources
  */
 async function mineCommmunityPatterns(request, env) {
-  // Implementation for community pattern mining
-  return Response.json({ 
-    status: 'pattern_mining', 
-    message: 'Community pattern mining will be implemented in next message' 
-  }, {
-    headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Content-Type': 'application/json'
-    }
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  };
+
+  const options = request.method === 'POST' ? await request.json().catch(() => ({})) : {};
+
+  if (!cachedCatalog || Date.now() - Date.parse(cachedCatalog.built_at) > CATALOG_TTL_MS || options.refresh === true) {
+    cachedCatalog = await buildCommunityCatalog();
+  }
+  const catalog = cachedCatalog;
+
+  const analysis = await loadLatestAnalysis(env);
+  const repositories = (analysis?.repositories || [])
+    .filter(r => !options.repository || matchesRepository(r, options.repository));
+
+  const suggestions = repositories.map(repoAnalysis => {
+    const stack = detectRepositoryStack(repoAnalysis);
+    return {
+      repository: repositoryKey(repoAnalysis),
+      stack,
+      suggestions: suggestCatalogEntries(stack, catalog, options.limit || 10)
+    };
   });
+
+  return Response.json({
+    status: 'pattern_mining_complete',
+    timestamp: new Date().toISOString(),
+    catalog: {
+      built_at: catalog.built_at,
+      sources: catalog.sources,
+      total_entries: catalog.entries.length,
+      categories: catalog.categories.length,
+      ...(options.include_catalog === true ? { entries: catalog.entries } : {})
+    },
+    analysis_timestamp: analysis?.timestamp || null,
+    suggestions
+  }, { headers: corsHeaders });
 }
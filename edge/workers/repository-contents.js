@@ -0,0 +1,344 @@
+/**
+ * 📂 Repository Contents
+ *
+ * Fetches a repository tree and a bounded set of key files (package.json,
+ * Pulumi, Compose, Terraform, Helm, shell scripts, workflows) and derives a
+ * file inventory and tech-stack fingerprint from them.
+ */
+
+import { redactSecrets } from '../../shared/scanner-rules.js';
+
+/**
+ * Key files by kind, in fetch priority order
+ */
+const KEY_FILE_RULES = [
+  { kind: 'pulumi', pattern: /(^|\/)Pulumi(\.[\w-]+)?\.ya?ml$/ },
+  { kind: 'package', pattern: /(^|\/)package\.json$/ },
+  { kind: 'compose', pattern: /(^|\/)(docker-)?compose(\.[\w-]+)?\.ya?ml$/ },
+  { kind: 'workflow', pattern: /^\.github\/workflows\/[^/]+\.ya?ml$/ },
+  { kind: 'terraform', pattern: /\.(tf|tofu)$/ },
+  { kind: 'helm', pattern: /(^|\/)(Chart|values)\.ya?ml$/ },
+  { kind: 'shell', pattern: /\.(sh|bash)$/ }
+];
+
+/**
+ * Files that reveal a stack without being fetched, by stack
+ */
+const STACK_MARKERS = [
+  { stack: 'node', pattern: /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml)$/ },
+  { stack: 'python', pattern: /(^|\/)(requirements[\w.-]*\.txt|pyproject\.toml|setup\.py|Pipfile)$/ },
+  { stack: 'go', pattern: /(^|\/)go\.mod$/ },
+  { stack: 'opentofu', pattern: /\.tofu$/ },
+  { stack: 'docker', pattern: /(^|\/)(Dockerfile|Containerfile)(\.[\w-]+)?$/ },
+  { stack: 'ansible', pattern: /(^|\/)(ansible\.cfg|galaxy\.ya?ml)$|(^|\/)(playbooks|roles)\/.+\.ya?ml$/ }
+];
+
+const MAX_MARKERS_PER_STACK = 10;
+
+const IGNORED_PATHS = /(^|\/)(node_modules|vendor|\.terraform|dist|build)\//;
+
+export const CONTENT_LIMITS = {
+  max_files: 40,
+  max_file_bytes: 64 * 1024,
+  max_total_bytes: 512 * 1024,
+  max_files_per_kind: 12
+};
+
+/**
+ * Fetch the tree and key files of a repository. Never throws: failures are
+ * reported in `errors` so analysis can continue on metadata alone.
+ */
+export async function fetchRepositoryContents(owner, repo, ref, token, { fetchImpl = fetch, limits = CONTENT_LIMITS } = {}) {
+  const errors = [];
+  let tree;
+
+  try {
+    tree = await fetchTree(owner, repo, ref, token, fetchImpl);
+  } catch (error) {
+    return { inventory: buildInventory([], [], false), fingerprint: buildFingerprint([]), files: [], errors: [error.message] };
+  }
+
+  const selected = selectKeyFiles(tree.entries, limits);
+  const files = [];
+
+  for (const entry of selected) {
+    try {
+      files.push({
+        path: entry.path,
+        kind: entry.kind,
+        size: entry.size,
+        sha: entry.sha,
+        content: await fetchFileContent(owner, repo, entry.path, ref, token, fetchImpl)
+      });
+    } catch (error) {
+      errors.push(`${entry.path}: ${error.message}`);
+    }
+  }
+
+  return {
+    inventory: buildInventory(tree.entries, files, tree.truncated),
+    fingerprint: buildFingerprint(files),
+    files,
+    errors
+  };
+}
+
+/**
+ * Pick key files by kind priority within the configured byte and count limits
+ */
+export function selectKeyFiles(entries, limits = CONTENT_LIMITS) {
+  const selected = [];
+  let totalBytes = 0;
+
+  for (const rule of KEY_FILE_RULES) {
+    const matches = entries
+      .filter(e => e.type === 'blob' && rule.pattern.test(e.path) && !IGNORED_PATHS.test(e.path))
+      .filter(e => (e.size || 0) <= limits.max_file_bytes)
+      // Shallow paths first: root configs say more than deeply nested ones
+      .sort((a, b) => a.path.split('/').length - b.path.split('/').length || a.path.localeCompare(b.path))
+      .slice(0, limits.max_files_per_kind);
+
+    for (const entry of matches) {
+      if (selected.length >= limits.max_files) return selected;
+      if (totalBytes + (entry.size || 0) > limits.max_total_bytes) continue;
+      if (selected.some(s => s.path === entry.path)) continue;
+
+      totalBytes += entry.size || 0;
+      selected.push({ ...entry, kind: rule.kind });
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Summarize the tree: file counts, top extensions and the key files fetched
+ */
+export function buildInventory(entries, files, truncated) {
+  const blobs = entries.filter(e => e.type === 'blob');
+  const extensions = {};
+  for (const blob of blobs) {
+    const match = /\.([\w-]+)$/.exec(blob.path.split('/').pop());
+    const extension = match ? match[1].toLowerCase() : '(none)';
+    extensions[extension] = (extensions[extension] || 0) + 1;
+  }
+
+  const kinds = {};
+  for (const entry of blobs) {
+    const rule = KEY_FILE_RULES.find(r => r.pattern.test(entry.path) && !IGNORED_PATHS.test(entry.path));
+    if (rule) kinds[rule.kind] = (kinds[rule.kind] || 0) + 1;
+  }
+
+  return {
+    total_files: blobs.length,
+    tree_truncated: truncated,
+    extensions: Object.fromEntries(Object.entries(extensions).sort((a, b) => b[1] - a[1]).slice(0, 15)),
+    key_file_counts: kinds,
+    key_files: files.map(f => ({ path: f.path, kind: f.kind, size: f.size })),
+    stack_markers: findStackMarkers(blobs)
+  };
+}
+
+/**
+ * Marker paths per stack, shallowest first
+ */
+function findStackMarkers(blobs) {
+  const markers = {};
+  for (const { stack, pattern } of STACK_MARKERS) {
+    const paths = blobs
+      .map(blob => blob.path)
+      .filter(path => pattern.test(path) && !IGNORED_PATHS.test(path))
+      .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b))
+      .slice(0, MAX_MARKERS_PER_STACK);
+    if (paths.length > 0) markers[stack] = paths;
+  }
+  return markers;
+}
+
+/**
+ * Derive the technologies in use from key file contents
+ */
+export function buildFingerprint(files) {
+  const details = {};
+  const byKind = kind => files.filter(f => f.kind === kind);
+
+  const packages = byKind('package').map(f => safeJSON(f.content)).filter(Boolean);
+  if (packages.length > 0) {
+    const dependencies = new Set(packages.flatMap(p => Object.keys({ ...p.dependencies, ...p.devDependencies })));
+    details.node = {
+      packages: packages.map(p => p.name).filter(Boolean),
+      dependencies: [...dependencies].sort(),
+      typescript: dependencies.has('typescript')
+    };
+  }
+
+  const pulumi = byKind('pulumi');
+  if (pulumi.length > 0) {
+    details.pulumi = {
+      projects: unique(pulumi.map(f => yamlScalar(f.content, 'name'))),
+      runtimes: unique(pulumi.map(f => yamlScalar(f.content, 'runtime'))),
+      uses_esc: pulumi.some(f => /^environment:/m.test(f.content))
+    };
+  }
+
+  const compose = byKind('compose');
+  if (compose.length > 0) {
+    details.docker_compose = {
+      files: compose.length,
+      services: unique(compose.flatMap(f => yamlChildKeys(f.content, 'services'))),
+      images: unique(compose.flatMap(f => [...f.content.matchAll(/^\s*image:\s*["']?([^\s"']+)/gm)].map(m => m[1])))
+    };
+  }
+
+  const terraform = byKind('terraform');
+  if (terraform.length > 0) {
+    details.terraform = {
+      files: terraform.length,
+      providers: unique(terraform.flatMap(f => [...f.content.matchAll(/provider\s+"([\w-]+)"/g)].map(m => m[1]))),
+      modules: unique(terraform.flatMap(f => [...f.content.matchAll(/module\s+"([\w-]+)"/g)].map(m => m[1])))
+    };
+  }
+
+  const helm = byKind('helm').filter(f => /Chart\.ya?ml$/.test(f.path));
+  if (helm.length > 0) {
+    details.helm = {
+      charts: unique(helm.map(f => yamlScalar(f.content, 'name')))
+    };
+  }
+
+  const shell = byKind('shell');
+  if (shell.length > 0) {
+    details.shell = {
+      scripts: shell.length,
+      strict_mode: shell.filter(f => /set -[a-z]*e[a-z]*/.test(f.content)).length
+    };
+  }
+
+  const workflows = byKind('workflow');
+  if (workflows.length > 0) {
+    details.github_actions = {
+      workflows: workflows.length,
+      actions: unique(workflows.flatMap(f => [...f.content.matchAll(/uses:\s*["']?([\w.-]+\/[\w./-]+)@/g)].map(m => m[1])))
+    };
+  }
+
+  const technologies = Object.keys(details);
+  if (details.node?.typescript) technologies.push('typescript');
+  if (details.node?.dependencies.some(d => d.startsWith('@pulumi/')) && !details.pulumi) technologies.push('pulumi');
+  if (details.docker_compose) technologies.push('docker');
+  if (details.helm) technologies.push('kubernetes');
+
+  return { technologies: unique(technologies).sort(), details };
+}
+
+/**
+ * Render fetched files for a prompt, bounded per file and in total. Secrets
+ * the scanner rules match never reach the model.
+ */
+export function formatContentsForPrompt(contents, { kinds, maxCharsPerFile = 2000, maxTotalChars = 12000 } = {}) {
+  const lines = [
+    `Tech stack: ${contents.fingerprint.technologies.join(', ') || 'unknown'}`,
+    `Files: ${contents.inventory.total_files}${contents.inventory.tree_truncated ? ' (tree truncated)' : ''}`,
+    `Fingerprint: ${JSON.stringify(contents.fingerprint.details)}`,
+    '',
+    'Key files:'
+  ];
+
+  let remaining = maxTotalChars;
+  for (const file of contents.files) {
+    if (kinds && !kinds.includes(file.kind)) continue;
+    if (remaining <= 0) {
+      lines.push(`--- ${file.path} (${file.kind}, omitted) ---`);
+      continue;
+    }
+
+    // Masked files are labelled so the model does not report the masks as secrets
+    const content = redactSecrets(file);
+    const label = content === file.content ? file.kind : `${file.kind}, secrets masked`;
+    const excerpt = content.slice(0, Math.min(maxCharsPerFile, remaining));
+    remaining -= excerpt.length;
+    lines.push(`--- ${file.path} (${label}) ---`, excerpt + (excerpt.length < content.length ? '\n[truncated]' : ''));
+  }
+
+  return lines.join('\n');
+}
+
+async function fetchTree(owner, repo, ref, token, fetchImpl) {
+  const response = await fetchImpl(`https://api.github.com/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=1`, {
+    headers: githubHeaders(token, 'application/vnd.github.v3+json')
+  });
+
+  if (!response.ok) {
+    throw new Error(`GitHub tree error: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return { entries: data.tree || [], truncated: data.truncated === true };
+}
+
+async function fetchFileContent(owner, repo, path, ref, token, fetchImpl) {
+  const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+  const response = await fetchImpl(`https://api.github.com/repos/${owner}/${repo}/contents/${encodedPath}?ref=${encodeURIComponent(ref)}`, {
+    headers: githubHeaders(token, 'application/vnd.github.raw')
+  });
+
+  if (!response.ok) {
+    throw new Error(`GitHub contents error: ${response.status}`);
+  }
+
+  // A key file name does not guarantee text, binary content would garble prompts
+  const content = await response.text();
+  if (content.includes('\u0000')) {
+    throw new Error('binary content skipped');
+  }
+  return content;
+}
+
+function githubHeaders(token, accept) {
+  return {
+    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+    'Accept': accept,
+    'User-Agent': 'Homelab-Intelligence-Core/1.0'
+  };
+}
+
+function safeJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Top-level `key: value` scalar from a YAML document
+ */
+function yamlScalar(content, key) {
+  const match = new RegExp(`^${key}:\\s*["']?([^"'#\\n]+?)["']?\\s*(#.*)?$`, 'm').exec(content);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Keys one indentation level below a top-level mapping, e.g. compose services
+ */
+function yamlChildKeys(content, parent) {
+  const lines = content.split('\n');
+  const start = lines.findIndex(line => new RegExp(`^${parent}:\\s*(#.*)?$`).test(line));
+  if (start === -1) return [];
+
+  const keys = [];
+  let indent = null;
+  for (const line of lines.slice(start + 1)) {
+    if (/^\s*(#|$)/.test(line)) continue;
+    if (/^\S/.test(line)) break;
+    const match = /^(\s+)([\w.-]+):/.exec(line);
+    if (!match) continue;
+    indent ??= match[1].length;
+    if (match[1].length === indent) keys.push(match[2]);
+  }
+  return keys;
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
@@ -0,0 +1,141 @@
+/**
+ * 🛡️ SARIF Export
+ *
+ * Converts a repository's stored security analysis (rule-based scanner
+ * findings plus model-reported vulnerabilities) into SARIF 2.1.0 so GitHub
+ * code scanning can show intelligence findings next to Trivy's.
+ */
+
+import { repositoryKey } from '../../shared/constellation.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_URI = 'https://github.com/edcet/homelab-intelligence-core';
+
+/**
+ * SARIF result level and GitHub `security-severity` score per severity
+ */
+const SEVERITY_LEVELS = {
+  critical: { level: 'error', score: '9.5' },
+  high: { level: 'error', score: '8.0' },
+  medium: { level: 'warning', score: '5.5' },
+  low: { level: 'note', score: '2.0' }
+};
+
+/**
+ * Build a SARIF log for one analyzed repository of a stored run
+ */
+export function buildSarifReport(repoAnalysis, { analysisId, timestamp } = {}) {
+  const security = repoAnalysis.security || {};
+  const failed = security.status === 'failed';
+
+  // A failed model step only leaves deterministic scanner findings behind
+  const findings = (security.vulnerabilities || [])
+    .map(normalizeFinding)
+    .filter(finding => finding && (!failed || finding.source === 'scanner'));
+
+  // Only the scanner stages (fetching contents, scanning them) decide whether
+  // the run succeeded; a failed model step is reported as a notification
+  const contentErrors = repoAnalysis.content_errors || [];
+
+  const located = findings.filter(finding => finding.file);
+  const unlocated = findings.filter(finding => !finding.file);
+
+  const rules = new Map();
+  for (const finding of located) {
+    if (!rules.has(finding.rule_id)) rules.set(finding.rule_id, buildRule(finding));
+  }
+  const ruleIndex = [...rules.keys()];
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'Homelab Intelligence',
+          informationUri: TOOL_URI,
+          version: '1.0.0',
+          rules: [...rules.values()]
+        }
+      },
+      invocations: [{
+        executionSuccessful: contentErrors.length === 0,
+        ...(timestamp ? { endTimeUtc: timestamp } : {}),
+        // Code scanning rejects results without a location, so report those as notifications
+        toolExecutionNotifications: [
+          ...contentErrors.map(error => ({ level: 'error', message: { text: `Repository contents could not be scanned: ${error}` } })),
+          ...(failed ? [{ level: 'warning', message: { text: `Model security analysis failed: ${(security.errors || []).join('; ') || 'unknown error'}` } }] : []),
+          ...unlocated.map(finding => ({
+            level: SEVERITY_LEVELS[finding.severity].level,
+            message: { text: `[${finding.severity}] ${finding.message}` }
+          }))
+        ]
+      }],
+      results: located.map(finding => ({
+        ruleId: finding.rule_id,
+        ruleIndex: ruleIndex.indexOf(finding.rule_id),
+        level: SEVERITY_LEVELS[finding.severity].level,
+        message: { text: finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: finding.file, uriBaseId: '%SRCROOT%' },
+            region: { startLine: finding.line }
+          }
+        }],
+        properties: {
+          source: finding.source,
+          severity: finding.severity
+        }
+      })),
+      properties: {
+        repository: repositoryKey(repoAnalysis),
+        analysis_id: analysisId || null,
+        compliance_score: failed ? null : security.compliance_score ?? null
+      }
+    }]
+  };
+}
+
+/**
+ * Bring scanner findings and free-form model vulnerabilities to one shape
+ */
+function normalizeFinding(vulnerability) {
+  if (typeof vulnerability === 'string') {
+    const message = vulnerability.trim();
+    return message ? { source: 'model', rule_id: `model/${slugify(message)}`, severity: 'medium', message, file: null, line: 1 } : null;
+  }
+  if (!vulnerability || typeof vulnerability !== 'object') return null;
+
+  const message = vulnerability.message || vulnerability.description || vulnerability.title || vulnerability.name;
+  if (!message) return null;
+
+  const severity = String(vulnerability.severity || 'medium').toLowerCase();
+  const file = vulnerability.file || vulnerability.path || null;
+  return {
+    source: vulnerability.source || 'model',
+    rule_id: vulnerability.rule_id || `model/${slugify(vulnerability.title || vulnerability.name || message)}`,
+    severity: SEVERITY_LEVELS[severity] ? severity : 'medium',
+    message: String(message),
+    file: file ? String(file).replace(/^\.?\//, '') : null,
+    line: Number.isInteger(vulnerability.line) && vulnerability.line > 0 ? vulnerability.line : 1
+  };
+}
+
+function buildRule(finding) {
+  const { level, score } = SEVERITY_LEVELS[finding.severity];
+  return {
+    id: finding.rule_id,
+    name: finding.rule_id.replace(/^model\//, ''),
+    shortDescription: { text: finding.message },
+    defaultConfiguration: { level },
+    helpUri: TOOL_URI,
+    properties: {
+      tags: ['security', finding.source],
+      'security-severity': score
+    }
+  };
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'finding';
+}
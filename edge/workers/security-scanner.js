@@ -0,0 +1,77 @@
+/**
+ * 🔍 Rule-Based Security Scanner
+ *
+ * Deterministic secret and misconfiguration detection over fetched repository
+ * files. Runs before any AI step, so findings exist even when every model
+ * provider is down. The line rules live in shared/scanner-rules.js.
+ */
+
+import { createFinding, scanLines } from '../../shared/scanner-rules.js';
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Scan every fetched file and return findings sorted by severity
+ */
+export function scanRepositoryFiles(files) {
+  const findings = files.flatMap(file => scanFile(file));
+  return findings.sort((a, b) =>
+    SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+    a.file.localeCompare(b.file) ||
+    a.line - b.line
+  );
+}
+
+/**
+ * Scan a single `{ path, kind, content }` file
+ */
+export function scanFile(file) {
+  const findings = scanLines(file);
+  if (file.kind === 'workflow') {
+    findings.push(...scanPullRequestTarget(file.path, file.content.split('\n')));
+  }
+  return findings;
+}
+
+/**
+ * pull_request_target runs with secrets and write access; checking out code
+ * in it lets a fork's PR run with those privileges
+ */
+function scanPullRequestTarget(path, lines) {
+  const triggered = lines.some(line => /^\s*(?:on:\s*\[?.*)?pull_request_target\b/.test(line) || /^\s*-\s*pull_request_target\b/.test(line));
+  if (!triggered) return [];
+
+  const findings = [];
+  lines.forEach((line, index) => {
+    if (!/uses:\s*["']?actions\/checkout@/.test(line)) return;
+
+    // Look ahead within the step for a ref pointing at the PR head
+    const step = lines.slice(index + 1, index + 6).join('\n');
+    const checksOutHead = /ref:\s*.*github\.event\.pull_request\.head|ref:\s*.*github\.head_ref/.test(step);
+
+    findings.push(createFinding(
+      {
+        id: 'workflow-pull-request-target-checkout',
+        severity: checksOutHead ? 'critical' : 'high',
+        message: checksOutHead
+          ? 'pull_request_target workflow checks out the untrusted PR head'
+          : 'pull_request_target workflow uses actions/checkout'
+      },
+      path,
+      index + 1,
+      line.trim()
+    ));
+  });
+
+  return findings;
+}
+
+/**
+ * Count findings per severity
+ */
+export function summarizeFindings(findings) {
+  return Object.fromEntries(SEVERITY_ORDER.map(severity => [
+    severity,
+    findings.filter(f => f.severity === severity).length
+  ]));
+}
@@ -0,0 +1,338 @@
+/**
+ * 🌌 Repository Constellation Registry
+ *
+ * Single declarative source for the repositories the platform analyzes and
+ * opens PRs against. Read by both the edge worker and the PR generator.
+ *
+ * Repositories can be declared explicitly or discovered through the GitHub
+ * search API by topic or name prefix. Declared entries always win over
+ * discovered ones, so setting `analysis: false, pull_requests: false` on a
+ * declared entry excludes a repository that discovery would otherwise pick up.
+ */
+
+import { validateSchema } from './schema.js';
+
+/**
+ * JSON Schema for the registry
+ */
+export const CONSTELLATION_SCHEMA = {
+  type: 'object',
+  required: ['default_owner', 'repositories'],
+  additionalProperties: false,
+  properties: {
+    default_owner: { type: 'string', minLength: 1 },
+    repositories: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'type'],
+        additionalProperties: false,
+        properties: {
+          owner: { type: 'string', minLength: 1 },
+          name: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$' },
+          type: { type: 'string', minLength: 1 },
+          language: { type: ['string', 'null'] },
+          focus: { type: 'string' },
+          visibility: { type: 'string', enum: ['public', 'private'] },
+          tags: { type: 'array', items: { type: 'string' } },
+          analysis: { type: 'boolean' },
+          pull_requests: { type: 'boolean' }
+        }
+      }
+    },
+    discovery: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['owner'],
+        additionalProperties: false,
+        properties: {
+          owner: { type: 'string', minLength: 1 },
+          topic: { type: 'string', minLength: 1 },
+          name_prefix: { type: 'string', minLength: 1 },
+          type: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } },
+          exclude: { type: 'array', items: { type: 'string' } },
+          analysis: { type: 'boolean' },
+          pull_requests: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * The homelab constellation. Discovery rules look like
+ * `{ owner: 'edcet', topic: 'homelab', pull_requests: false }` or
+ * `{ owner: 'some-org', name_prefix: 'homelab-' }`.
+ */
+export const CONSTELLATION_REGISTRY = {
+  default_owner: 'edcet',
+  repositories: [
+    {
+      name: 'complete-homelab-orchestrator',
+      type: 'service-mesh',
+      language: 'TypeScript',
+      focus: 'Pangolin/Newt/Gerbil/Badger optimization',
+      visibility: 'public',
+      tags: ['service-mesh', 'production']
+    },
+    {
+      name: 'homelab-production',
+      type: 'infrastructure',
+      language: 'TypeScript',
+      focus: 'Pulumi stack consolidation',
+      visibility: 'private',
+      tags: ['pulumi', 'production']
+    },
+    {
+      name: 'r240-homelab-orchestrator',
+      type: 'hardware-automation',
+      language: 'Shell',
+      focus: 'Dell R240 Redfish optimization',
+      visibility: 'private',
+      tags: ['hardware']
+    },
+    {
+      name: 'protohome',
+      type: 'ai-native',
+      language: 'Shell',
+      focus: 'Zero-touch patterns',
+      visibility: 'public',
+      tags: ['ai-native']
+    },
+    {
+      name: 'homelab-deploy',
+      type: 'deployment',
+      language: 'TypeScript',
+      focus: 'Deployment tooling consolidation',
+      visibility: 'public',
+      tags: ['deployment']
+    },
+    {
+      name: 'homeops',
+      type: 'operations',
+      language: 'TypeScript',
+      focus: 'Multi-cloud orchestration',
+      visibility: 'private',
+      tags: ['pulumi', 'operations']
+    },
+    {
+      name: 'homelab-rns-lol',
+      type: 'experimental',
+      language: 'TypeScript',
+      focus: 'Experimental TypeScript patterns',
+      visibility: 'private',
+      tags: ['experimental'],
+      pull_requests: false
+    },
+    {
+      name: 'homelab-gitops-reorg',
+      type: 'gitops',
+      language: null,
+      focus: 'GitOps reorganization planning',
+      visibility: 'public',
+      tags: ['gitops', 'planning'],
+      pull_requests: false
+    },
+    {
+      name: 'homelab-gitops',
+      type: 'gitops',
+      language: 'Shell',
+      focus: 'GitOps workflow optimization',
+      visibility: 'private',
+      tags: ['gitops']
+    },
+    {
+      name: 'homelab-zenith-86',
+      type: 'infrastructure-advanced',
+      language: 'TypeScript',
+      focus: 'Advanced pattern consolidation',
+      visibility: 'private',
+      tags: ['zenith']
+    },
+    {
+      name: 'homelab-zenith',
+      type: 'infrastructure',
+      language: 'TypeScript',
+      focus: 'Core TypeScript patterns',
+      visibility: 'private',
+      tags: ['zenith'],
+      pull_requests: false
+    },
+    {
+      name: 'homelab-ops',
+      type: 'operations',
+      language: null,
+      focus: 'GitOps-driven AI-native tooling',
+      visibility: 'private',
+      tags: ['gitops', 'ai-native'],
+      pull_requests: false
+    }
+  ],
+  discovery: []
+};
+
+/**
+ * Validate a registry and fill in per-repository defaults
+ */
+export function normalizeRegistry(registry = CONSTELLATION_REGISTRY) {
+  const errors = validateSchema(CONSTELLATION_SCHEMA, registry);
+
+  const seen = new Set();
+  for (const repo of registry.repositories || []) {
+    const fullName = `${repo.owner || registry.default_owner}/${repo.name}`.toLowerCase();
+    if (seen.has(fullName)) errors.push(`$.repositories: duplicate entry for ${fullName}`);
+    seen.add(fullName);
+  }
+  (registry.discovery || []).forEach((rule, index) => {
+    if (!rule.topic && !rule.name_prefix) {
+      errors.push(`$.discovery[${index}]: needs a topic or a name_prefix`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid constellation registry:\n- ${errors.join('\n- ')}`);
+  }
+
+  return {
+    default_owner: registry.default_owner,
+    repositories: registry.repositories.map(repo => normalizeEntry(repo, registry.default_owner)),
+    discovery: registry.discovery || []
+  };
+}
+
+function normalizeEntry(repo, defaultOwner) {
+  const owner = repo.owner || defaultOwner;
+  return {
+    owner,
+    name: repo.name,
+    full_name: `${owner}/${repo.name}`,
+    type: repo.type,
+    language: repo.language ?? null,
+    focus: repo.focus || '',
+    visibility: repo.visibility || 'public',
+    tags: repo.tags || [],
+    analysis: repo.analysis ?? true,
+    pull_requests: repo.pull_requests ?? true
+  };
+}
+
+/**
+ * Filter repositories by purpose (`analysis` or `pull_requests`) and tags
+ */
+export function listRepositories(repositories, { purpose, tags = [] } = {}) {
+  return repositories.filter(repo =>
+    (!purpose || repo[purpose]) &&
+    tags.every(tag => repo.tags.includes(tag))
+  );
+}
+
+/**
+ * Find a repository by owner and name, case-insensitively
+ */
+export function findRepository(repositories, owner, name) {
+  const fullName = `${owner}/${name}`.toLowerCase();
+  return repositories.find(repo => repo.full_name.toLowerCase() === fullName) || null;
+}
+
+/**
+ * `owner/name` of a registry entry or repository analysis. Names repeat
+ * across owners, so analyses, outcomes and PR targets are keyed by this.
+ * Analyses stored before they carried an owner belong to the default owner.
+ */
+export function repositoryKey(repo) {
+  return repo.full_name || `${repo.owner || CONSTELLATION_REGISTRY.default_owner}/${repo.name}`;
+}
+
+/**
+ * Whether a request parameter names `repo`, either as `owner/name` or as a
+ * bare name
+ */
+export function matchesRepository(repo, query) {
+  return query.includes('/')
+    ? repositoryKey(repo).toLowerCase() === query.toLowerCase()
+    : repo.name.toLowerCase() === query.toLowerCase();
+}
+
+/**
+ * Declared repositories plus discovered ones, optionally filtered by purpose
+ */
+export async function resolveConstellation(registry = CONSTELLATION_REGISTRY, { token, purpose, tags, discover = true, fetchImpl } = {}) {
+  const normalized = normalizeRegistry(registry);
+  let repositories = normalized.repositories;
+
+  if (discover && normalized.discovery.length > 0) {
+    const discovered = await discoverRepositories(normalized, { token, fetchImpl });
+    const declared = new Set(repositories.map(repo => repo.full_name.toLowerCase()));
+    repositories = [
+      ...repositories,
+      ...discovered.filter(repo => !declared.has(repo.full_name.toLowerCase()))
+    ];
+  }
+
+  return listRepositories(repositories, { purpose, tags });
+}
+
+/**
+ * Run every discovery rule against the GitHub search API. A failing rule is
+ * logged and skipped so declared repositories are always available.
+ */
+export async function discoverRepositories(registry, { token, fetchImpl = fetch } = {}) {
+  const discovered = new Map();
+
+  for (const rule of registry.discovery) {
+    try {
+      for (const item of await searchRepositories(rule, token, fetchImpl)) {
+        if (rule.exclude?.includes(item.name)) continue;
+        if (rule.name_prefix && !item.name.startsWith(rule.name_prefix)) continue;
+
+        const entry = normalizeEntry({
+          owner: item.owner.login,
+          name: item.name,
+          type: rule.type || 'discovered',
+          language: item.language,
+          focus: item.description || '',
+          visibility: item.private ? 'private' : 'public',
+          tags: [...new Set([...(rule.tags || []), ...(item.topics || []), 'discovered'])],
+          analysis: rule.analysis ?? true,
+          pull_requests: rule.pull_requests ?? false
+        }, registry.default_owner);
+
+        if (!discovered.has(entry.full_name)) discovered.set(entry.full_name, entry);
+      }
+    } catch (error) {
+      console.error(`Repository discovery failed for ${rule.owner}:`, error);
+    }
+  }
+
+  return [...discovered.values()];
+}
+
+async function searchRepositories(rule, token, fetchImpl) {
+  const qualifiers = [`user:${rule.owner}`, 'archived:false', 'fork:false'];
+  if (rule.topic) qualifiers.push(`topic:${rule.topic}`);
+  if (rule.name_prefix) qualifiers.push(`${rule.name_prefix} in:name`);
+
+  const items = [];
+  for (let page = 1; page <= 10; page++) {
+    const query = new URLSearchParams({ q: qualifiers.join(' '), per_page: '100', page: String(page) });
+    const response = await fetchImpl(`https://api.github.com/search/repositories?${query}`, {
+      headers: {
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'Homelab-Intelligence-Core/1.0'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub search error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    items.push(...data.items);
+    if (data.items.length < 100) break;
+  }
+
+  return items;
+}
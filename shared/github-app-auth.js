@@ -0,0 +1,244 @@
+/**
+ * 🔑 GitHub App Authentication
+ *
+ * Authenticates as a GitHub App instead of one personal token, so the
+ * platform can work across accounts and organizations that installed the app.
+ * The app signs a short-lived JWT with its private key and exchanges it for
+ * installation access tokens. Every token is limited to one repository and
+ * to the permissions of the operation it is for, and cached until shortly
+ * before it expires.
+ *
+ * Runs on Web Crypto, so the same code works in the worker and in Node.
+ */
+
+/**
+ * Installation token permissions by operation. The app itself must have been
+ * granted at least these permissions.
+ */
+export const OPERATION_PERMISSIONS = {
+  // Repository metadata, trees and key files, and the open PRs a dry run
+  // plans against
+  analysis: { metadata: 'read', contents: 'read', pull_requests: 'read' },
+  // Intelligence PRs and their check suites
+  tracking: { metadata: 'read', pull_requests: 'read', checks: 'read' },
+  // Branches, commits and PRs with their labels and reviewers; workflow
+  // files need their own permission, and CI results are read for PR bodies
+  // and rollbacks
+  pull_requests: {
+    metadata: 'read',
+    contents: 'write',
+    pull_requests: 'write',
+    issues: 'write',
+    workflows: 'write',
+    checks: 'read',
+    actions: 'read'
+  }
+};
+
+/**
+ * Repositories outside every installation (public actions, discovery
+ * searches) are read with an unscoped token of the default owner's installation
+ */
+const PUBLIC_PERMISSIONS = { metadata: 'read', contents: 'read' };
+
+/**
+ * GitHub accepts app JWTs for at most ten minutes; tokens are renewed this
+ * long before they expire
+ */
+const JWT_LIFETIME_SECONDS = 9 * 60;
+const TOKEN_RENEWAL_MS = 5 * 60 * 1000;
+
+const API_URL = 'https://api.github.com';
+
+export class GitHubAppAuth {
+  /**
+   * `privateKey` is the PEM key GitHub generated for the app (PKCS#1 or
+   * PKCS#8; escaped newlines from secret stores are accepted)
+   */
+  constructor({ appId, privateKey, defaultOwner = null, fetchImpl = globalThis.fetch }) {
+    if (!appId || !privateKey) {
+      throw new Error('GitHub App authentication needs an app id and a private key');
+    }
+
+    this.appId = String(appId);
+    this.privateKey = privateKey.replace(/\\n/g, '\n');
+    this.defaultOwner = defaultOwner;
+    this.fetchImpl = fetchImpl;
+
+    this.jwt = null;
+    this.signingKey = null;
+    this.installations = new Map();
+    this.tokens = new Map();
+  }
+
+  /**
+   * Function for `GitHubClient`'s `authenticate` option: the installation
+   * token for the repository or owner a request URL targets, scoped to
+   * `operation`, or null to send the request unauthenticated
+   */
+  authenticator(operation) {
+    if (!OPERATION_PERMISSIONS[operation]) {
+      throw new Error(`Unknown GitHub operation: ${operation}`);
+    }
+    return url => this.tokenForURL(url, operation);
+  }
+
+  async tokenForURL(url, operation) {
+    const { owner, repo } = requestTarget(url);
+    if (owner && repo) {
+      const installation = await this.installation(`repos/${owner}/${repo}`);
+      if (installation) return await this.installationToken(installation, operation, repo);
+    }
+
+    const installation = (owner && await this.accountInstallation(owner)) ||
+      (this.defaultOwner && await this.accountInstallation(this.defaultOwner));
+    if (!installation) return null;
+    if (repo) return await this.installationToken(installation, null);
+
+    // Searches cover every repository of the installation and never write
+    const search = new URL(url).pathname.startsWith('/search/');
+    return await this.installationToken(installation, search ? 'analysis' : operation);
+  }
+
+  async accountInstallation(owner) {
+    return await this.installation(`users/${owner}`) ?? await this.installation(`orgs/${owner}`);
+  }
+
+  /**
+   * Installation id for a repository (`repos/owner/name`) or account
+   * (`users/owner`, `orgs/owner`), null when the app is not installed there
+   */
+  installation(path) {
+    const key = path.toLowerCase();
+    if (!this.installations.has(key)) {
+      this.installations.set(key, (async () => {
+        const response = await this.appRequest(`/${path}/installation`);
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`GitHub App installation lookup failed for ${path}: ${response.status}`);
+        return (await response.json()).id;
+      })().catch(error => {
+        this.installations.delete(key);
+        throw error;
+      }));
+    }
+    return this.installations.get(key);
+  }
+
+  /**
+   * Installation access token limited to `repository` (all of the
+   * installation's repositories when null) and to the permissions of
+   * `operation`, or read-only public access when `operation` is null
+   */
+  async installationToken(installationId, operation, repository = null) {
+    const key = `${installationId}:${operation || 'public'}:${repository || '*'}`;
+    let entry = this.tokens.get(key);
+
+    // Entries without an expiry are still being requested
+    if (!entry || (entry.expires_at && entry.expires_at - TOKEN_RENEWAL_MS <= Date.now())) {
+      entry = { expires_at: null };
+      entry.token = (async () => {
+        const response = await this.appRequest(`/app/installations/${installationId}/access_tokens`, {
+          method: 'POST',
+          body: JSON.stringify({
+            ...(repository ? { repositories: [repository] } : {}),
+            permissions: operation ? OPERATION_PERMISSIONS[operation] : PUBLIC_PERMISSIONS
+          })
+        });
+        if (!response.ok) {
+          throw new Error(`GitHub App token request failed for installation ${installationId}: ${response.status} ${await response.text()}`);
+        }
+
+        const data = await response.json();
+        entry.expires_at = Date.parse(data.expires_at);
+        return data.token;
+      })();
+      this.tokens.set(key, entry);
+    }
+
+    try {
+      return await entry.token;
+    } catch (error) {
+      if (this.tokens.get(key) === entry) this.tokens.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Request authenticated as the app itself
+   */
+  async appRequest(path, init = {}) {
+    return await this.fetchImpl(`${API_URL}${path}`, {
+      ...init,
+      headers: {
+        'Authorization': `Bearer ${await this.appJWT()}`,
+        'Accept': 'application/vnd.github+json',
+        'User-Agent': 'Homelab-Intelligence-Core/1.0',
+        ...(init.body ? { 'Content-Type': 'application/json' } : {})
+      }
+    });
+  }
+
+  /**
+   * RS256 JWT identifying the app, reused until a minute before it expires
+   */
+  async appJWT() {
+    const now = Math.floor(Date.now() / 1000);
+    if (this.jwt && this.jwt.expires_at - 60 > now) return this.jwt.token;
+
+    this.signingKey ??= await importPrivateKey(this.privateKey);
+    // Issued a minute early in case GitHub's clock is behind
+    const claims = { iat: now - 60, exp: now + JWT_LIFETIME_SECONDS, iss: this.appId };
+    const unsigned = `${base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }))}.${base64url(JSON.stringify(claims))}`;
+    const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', this.signingKey, new TextEncoder().encode(unsigned));
+
+    this.jwt = { token: `${unsigned}.${base64url(new Uint8Array(signature))}`, expires_at: claims.exp };
+    return this.jwt.token;
+  }
+}
+
+/**
+ * Owner and repository a GitHub API URL is about, from its path or from the
+ * qualifiers of a search query
+ */
+export function requestTarget(url) {
+  const { pathname, searchParams } = new URL(url);
+  const repository = /^\/repos\/([^/]+)\/([^/]+)/.exec(pathname);
+  if (repository) return { owner: decodeURIComponent(repository[1]), repo: decodeURIComponent(repository[2]) };
+
+  const account = /^\/(?:users|orgs)\/([^/]+)/.exec(pathname);
+  if (account) return { owner: decodeURIComponent(account[1]), repo: null };
+
+  const qualifier = /(?:^|\s)(?:user|org|repo):([^\s/]+)/.exec(searchParams.get('q') || '');
+  return { owner: qualifier?.[1] || null, repo: null };
+}
+
+async function importPrivateKey(pem) {
+  const body = pem.replace(/-----(BEGIN|END)[^-]+-----/g, '').replace(/\s+/g, '');
+  const der = Uint8Array.from(atob(body), char => char.charCodeAt(0));
+  const pkcs8 = pem.includes('BEGIN RSA PRIVATE KEY') ? pkcs1ToPkcs8(der) : der;
+  return await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['sign']);
+}
+
+/**
+ * GitHub hands out PKCS#1 keys, Web Crypto only imports PKCS#8: wrap the key
+ * in a PrivateKeyInfo with version 0 and the rsaEncryption algorithm
+ */
+function pkcs1ToPkcs8(pkcs1) {
+  const algorithm = [0x02, 0x01, 0x00, 0x30, 0x0d, 0x06, 0x09, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01, 0x05, 0x00];
+  const key = [0x04, ...derLength(pkcs1.length), ...pkcs1];
+  return new Uint8Array([0x30, ...derLength(algorithm.length + key.length), ...algorithm, ...key]);
+}
+
+function derLength(length) {
+  if (length < 0x80) return [length];
+  const bytes = [];
+  for (let remaining = length; remaining > 0; remaining >>= 8) bytes.unshift(remaining & 0xff);
+  return [0x80 | bytes.length, ...bytes];
+}
+
+function base64url(value) {
+  const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
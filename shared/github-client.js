@@ -0,0 +1,279 @@
+/**
+ * 🐙 GitHub Client
+ *
+ * One transport for every GitHub API call: the edge worker passes its `fetch`
+ * wherever a `fetchImpl` is accepted, and the PR generator's Octokit sends its
+ * requests through it. It keeps a run within GitHub's limits instead of
+ * failing partway:
+ * - GET responses are cached by ETag and revalidated with conditional
+ *   requests, which cost no rate limit when nothing changed
+ * - rate limited responses wait for `Retry-After` or `X-RateLimit-Reset`
+ * - server errors and network failures of idempotent requests retry with
+ *   jittered exponential backoff
+ * - at most `maxConcurrency` requests run at once and writes are spaced out,
+ *   which is what GitHub's secondary rate limits ask for
+ * - `usage()` reports what the run spent of each rate limit resource
+ * - requests without an Authorization header get one from `authenticate`,
+ *   e.g. a GitHub App installation token for the repository they target
+ */
+
+export const CLIENT_DEFAULTS = {
+  maxConcurrency: 4,
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  // Longer rate limit waits fail the request instead of stalling the run
+  maxWaitMs: 60000,
+  writeIntervalMs: 1000,
+  cacheEntries: 500,
+  cacheMaxBytes: 1024 * 1024
+};
+
+const RETRY_STATUSES = [500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * GitHub's documented wait after a secondary rate limit without `Retry-After`
+ */
+const SECONDARY_LIMIT_WAIT_MS = 60000;
+
+export class GitHubClient {
+  /**
+   * `cache` may be shared between clients, e.g. for the lifetime of a worker
+   * isolate; usage is counted per client. `authenticate(url)` resolves to the
+   * token for a request, or null to send it without one.
+   */
+  constructor({ fetchImpl = globalThis.fetch, cache = new Map(), authenticate = null, sleep = defaultSleep, random = Math.random, ...options } = {}) {
+    this.options = { ...CLIENT_DEFAULTS, ...options };
+    this.fetchImpl = fetchImpl;
+    this.authenticate = authenticate;
+    this.cache = cache;
+    this.sleep = sleep;
+    this.random = random;
+
+    this.active = 0;
+    this.waiting = [];
+    this.nextWriteAt = 0;
+    this.limits = {};
+    this.stats = { requests: 0, not_modified: 0, retries: 0, waited_ms: 0, spent: {} };
+
+    // Bound so it can be handed out as a plain fetch function
+    this.fetch = (input, init) => this.request(input, init);
+  }
+
+  /**
+   * `fetch`-compatible request with caching, rate limit waits and retries.
+   * Resolves to the final response, which may still be an error status.
+   */
+  async request(input, init = {}) {
+    const url = typeof input === 'string' || input instanceof URL ? String(input) : input.url;
+    const method = (init.method || input.method || 'GET').toUpperCase();
+    const headers = new Headers(init.headers || input.headers);
+    const resource = resourceOf(url);
+
+    if (this.authenticate && !headers.has('authorization')) {
+      const token = await this.authenticate(url);
+      if (token) headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    const key = method === 'GET' ? `${url} ${headers.get('accept') || ''}` : null;
+    const cached = key ? this.cache.get(key) : null;
+    if (cached) headers.set('If-None-Match', cached.etag);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForReset(resource);
+
+      let response;
+      try {
+        response = await this.send(url, { ...init, method, headers });
+      } catch (error) {
+        if (attempt >= this.options.maxRetries || !IDEMPOTENT_METHODS.includes(method)) throw error;
+        await this.pause(this.backoff(attempt));
+        continue;
+      }
+      this.track(response, resource);
+
+      if (response.status === 304 && cached) {
+        this.stats.not_modified++;
+        this.cache.delete(key);
+        this.cache.set(key, cached);
+        return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers: cached.headers });
+      }
+
+      const delay = await this.retryDelay(response, method, attempt);
+      if (delay === null) {
+        if (key && response.ok) await this.store(key, response);
+        return response;
+      }
+
+      await response.body?.cancel();
+      await this.pause(delay);
+    }
+  }
+
+  /**
+   * Requests, conditional hits, retries and waits of this client, and per
+   * rate limit resource what it spent and what is left
+   */
+  usage() {
+    const resources = {};
+    for (const [resource, spent] of Object.entries(this.stats.spent)) {
+      const limit = this.limits[resource];
+      resources[resource] = {
+        spent,
+        limit: limit?.limit ?? null,
+        remaining: limit?.remaining ?? null,
+        reset_at: limit?.reset ? new Date(limit.reset * 1000).toISOString() : null
+      };
+    }
+
+    const { spent, ...counts } = this.stats;
+    return { ...counts, resources };
+  }
+
+  /**
+   * Send one request once a concurrency slot is free, spacing writes out
+   */
+  async send(url, init) {
+    if (!READ_METHODS.includes(init.method)) {
+      const now = Date.now();
+      const at = Math.max(now, this.nextWriteAt);
+      this.nextWriteAt = at + this.options.writeIntervalMs;
+      if (at > now) await this.sleep(at - now);
+    }
+
+    await this.acquire();
+    try {
+      this.stats.requests++;
+      return await this.fetchImpl(url, init);
+    } finally {
+      this.release();
+    }
+  }
+
+  async acquire() {
+    if (this.active < this.options.maxConcurrency) {
+      this.active++;
+      return;
+    }
+    // The releasing request hands its slot over, so the count stays put
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) next();
+    else this.active--;
+  }
+
+  /**
+   * Milliseconds to wait before retrying `response`, or null to return it
+   */
+  async retryDelay(response, method, attempt) {
+    if (attempt >= this.options.maxRetries) return null;
+
+    if (await isRateLimited(response)) {
+      const retryAfter = Number(response.headers.get('retry-after'));
+      const reset = Number(response.headers.get('x-ratelimit-reset'));
+      let wait = SECONDARY_LIMIT_WAIT_MS * 2 ** attempt;
+      if (retryAfter > 0) wait = retryAfter * 1000;
+      else if (response.headers.get('x-ratelimit-remaining') === '0' && reset > 0) wait = Math.max(0, reset * 1000 - Date.now()) + 1000;
+      return wait <= this.options.maxWaitMs ? wait : null;
+    }
+
+    if (RETRY_STATUSES.includes(response.status) && IDEMPOTENT_METHODS.includes(method)) {
+      return this.backoff(attempt);
+    }
+    return null;
+  }
+
+  /**
+   * Full jitter: anywhere up to the exponential delay, so parallel runs don't
+   * retry in lockstep
+   */
+  backoff(attempt) {
+    const ceiling = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling * this.random());
+  }
+
+  /**
+   * Wait out an exhausted resource before sending, when the reset is close enough
+   */
+  async waitForReset(resource) {
+    const limit = this.limits[resource];
+    if (!limit?.reset || limit.remaining > 0) return;
+
+    const wait = limit.reset * 1000 - Date.now() + 1000;
+    if (wait > 0 && wait <= this.options.maxWaitMs) await this.pause(wait, false);
+  }
+
+  async pause(ms, retry = true) {
+    if (retry) this.stats.retries++;
+    this.stats.waited_ms += ms;
+    await this.sleep(ms);
+  }
+
+  track(response, fallbackResource) {
+    const resource = response.headers.get('x-ratelimit-resource') || fallbackResource;
+    if (response.status !== 304) {
+      this.stats.spent[resource] = (this.stats.spent[resource] || 0) + 1;
+    }
+
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    if (remaining !== null) {
+      this.limits[resource] = {
+        limit: numberHeader(response, 'x-ratelimit-limit'),
+        remaining: Number(remaining),
+        reset: numberHeader(response, 'x-ratelimit-reset')
+      };
+    }
+  }
+
+  async store(key, response) {
+    const etag = response.headers.get('etag');
+    if (!etag) return;
+
+    const body = await response.clone().arrayBuffer();
+    if (body.byteLength > this.options.cacheMaxBytes) return;
+
+    this.cache.delete(key);
+    this.cache.set(key, { etag, status: response.status, statusText: response.statusText, headers: [...response.headers], body });
+    // Maps keep insertion order, so the first key is the least recently used
+    while (this.cache.size > this.options.cacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Rate limit resource a URL counts against when the response doesn't say
+ */
+function resourceOf(url) {
+  const { pathname } = new URL(url);
+  if (pathname.startsWith('/search/')) return 'search';
+  if (pathname === '/graphql') return 'graphql';
+  return 'core';
+}
+
+/**
+ * Primary limits answer 403 or 429 with no requests remaining, secondary
+ * limits with `Retry-After` or a message saying so
+ */
+async function isRateLimited(response) {
+  if (response.status !== 403 && response.status !== 429) return false;
+  if (response.status === 429 || response.headers.get('retry-after')) return true;
+  if (response.headers.get('x-ratelimit-remaining') === '0') return true;
+
+  const text = await response.clone().text().catch(() => '');
+  return /rate limit/i.test(text);
+}
+
+function numberHeader(response, name) {
+  const value = response.headers.get(name);
+  return value === null ? null : Number(value);
+}
+
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,14 @@
+/**
+ * #️⃣ Content Hashing
+ *
+ * Hex SHA-256 digests for content fingerprints and plan ids. Runs on Web
+ * Crypto, unchanged in Workers and Node.
+ */
+
+/**
+ * Hex-encoded SHA-256 digest of a string
+ */
+export async function sha256(content) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,198 @@
+/**
+ * 📬 Intelligence PR Outcomes
+ *
+ * How intelligence PRs are recognised, the record the tracker keeps for each
+ * one, and the merge statistics computed from those records. Shared by the
+ * edge worker, which records PRs from webhooks and polling, and the PR
+ * generator, which scores opportunities with the statistics.
+ *
+ * A PR the generator closed itself (stale, superseded or unable to get its
+ * required reviewers) carries `WITHDRAWN_LABEL` and is not counted as a
+ * rejection.
+ */
+
+/**
+ * Intelligence PRs are found again by this label plus their opportunity type
+ * label, on one long-lived branch per type
+ */
+export const INTELLIGENCE_LABEL = 'intelligence';
+export const BRANCH_PREFIX = 'intelligence/optimize-';
+export const OPPORTUNITY_TYPES = [
+  'security-hardening',
+  'duplication-removal',
+  'performance-optimization',
+  'ci-enhancement',
+  'intelligence-integration'
+];
+
+/**
+ * Label the generator adds to a PR before closing it without merging
+ */
+export const WITHDRAWN_LABEL = 'intelligence-withdrawn';
+
+/**
+ * Revert PRs opened for broken merges, one branch per reverted PR, are
+ * tracked under their own type
+ */
+export const REVERT_BRANCH_PREFIX = 'intelligence/revert-';
+export const REVERT_TYPE = 'revert';
+
+/**
+ * Open PRs untouched for this long count as stale
+ */
+export const STALE_AFTER_DAYS = 14;
+
+/**
+ * A default branch failure only rolls back a PR merged this recently
+ */
+export const ROLLBACK_WINDOW_HOURS = 24;
+
+/**
+ * Opportunity type of a PR this generator opened, `REVERT_TYPE` for its
+ * revert PRs, or null for any other PR
+ */
+export function intelligencePRType(pull) {
+  const labels = labelNames(pull);
+  const ref = pull.head?.ref || '';
+  if (!labels.includes(INTELLIGENCE_LABEL)) return null;
+  if (!ref.startsWith(BRANCH_PREFIX) && !ref.startsWith(REVERT_BRANCH_PREFIX)) return null;
+  if (pull.head.repo?.full_name !== pull.base?.repo?.full_name) return null;
+  if (ref.startsWith(REVERT_BRANCH_PREFIX)) return REVERT_TYPE;
+
+  // Older PRs used timestamped branches, e.g. intelligence/optimize-ci-enhancement-1718000000000
+  return OPPORTUNITY_TYPES.find(type => labels.includes(type)) ||
+    OPPORTUNITY_TYPES.find(type => ref === `${BRANCH_PREFIX}${type}` || ref.startsWith(`${BRANCH_PREFIX}${type}-`)) ||
+    null;
+}
+
+/**
+ * Whether an unmerged PR was closed by the generator rather than rejected
+ */
+export function isWithdrawn(pull) {
+  if (pull.merged_at || pull.merged || pull.state !== 'closed') return false;
+  return labelNames(pull).includes(WITHDRAWN_LABEL);
+}
+
+/**
+ * Tracker record for a GitHub pull request object, or null when it is not an
+ * intelligence PR
+ */
+export function pullRequestRecord(pull) {
+  const type = intelligencePRType(pull);
+  if (!type) return null;
+
+  const author = pull.user?.login || null;
+  let state = 'open';
+  if (pull.merged_at || pull.merged) state = 'merged';
+  else if (pull.state === 'closed') state = isWithdrawn(pull) ? 'withdrawn' : 'closed';
+
+  return {
+    owner: pull.base.repo.owner?.login || pull.base.repo.full_name.split('/')[0],
+    repository: pull.base.repo.name || pull.base.repo.full_name.split('/')[1],
+    number: pull.number,
+    url: pull.html_url,
+    title: pull.title || null,
+    type,
+    branch: pull.head.ref,
+    author,
+    state,
+    head_sha: pull.head.sha || null,
+    created_at: pull.created_at || null,
+    merged_at: pull.merged_at || null,
+    merge_commit_sha: pull.merged_at || pull.merged ? pull.merge_commit_sha || null : null,
+    closed_at: pull.closed_at || null,
+    updated_at: pull.updated_at || new Date().toISOString()
+  };
+}
+
+/**
+ * Fold a check suite into a record. Suites of an older head commit are
+ * ignored, and a new head commit starts from no suites.
+ */
+export function applyCheckSuite(record, suite) {
+  if (suite.head_sha !== record.head_sha) return record;
+
+  return {
+    ...record,
+    check_suites: {
+      ...(record.check_suites || {}),
+      [suite.id]: {
+        app: suite.app?.slug || null,
+        status: suite.status,
+        conclusion: suite.conclusion || null,
+        updated_at: suite.updated_at || new Date().toISOString()
+      }
+    }
+  };
+}
+
+/**
+ * CI result of a record's head commit: `passed`, `failed`, `pending` or null
+ * when no check suite reported
+ */
+export function ciResult(record) {
+  const suites = Object.values(record.check_suites || {});
+  if (suites.length === 0) return null;
+  if (suites.some(suite => ['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure'].includes(suite.conclusion))) return 'failed';
+  if (suites.some(suite => suite.status !== 'completed')) return 'pending';
+  return 'passed';
+}
+
+/**
+ * Outcome statistics by repository (`owner/name`) and opportunity type.
+ * `merge_rate` is merged / (merged + closed) and null until a PR was merged
+ * or rejected.
+ */
+export function outcomeStats(records, now = new Date()) {
+  const stats = {};
+  const staleBefore = now.getTime() - STALE_AFTER_DAYS * 24 * 60 * 60 * 1000;
+
+  for (const record of records) {
+    const repository = `${record.owner}/${record.repository}`;
+    stats[repository] ??= {};
+    const entry = stats[repository][record.type] ??= {
+      opened: 0,
+      open: 0,
+      stale: 0,
+      merged: 0,
+      closed: 0,
+      withdrawn: 0,
+      hours_to_merge: [],
+      ci: { passed: 0, failed: 0, pending: 0 }
+    };
+
+    entry.opened++;
+    entry[record.state]++;
+    if (record.state === 'open' && Date.parse(record.updated_at) < staleBefore) entry.stale++;
+    if (record.state === 'merged' && record.created_at && record.merged_at) {
+      entry.hours_to_merge.push((Date.parse(record.merged_at) - Date.parse(record.created_at)) / 3600000);
+    }
+
+    const ci = ciResult(record);
+    if (ci) entry.ci[ci]++;
+  }
+
+  for (const types of Object.values(stats)) {
+    for (const [type, entry] of Object.entries(types)) {
+      const { hours_to_merge: hours, ...counts } = entry;
+      const decided = counts.merged + counts.closed;
+      types[type] = {
+        ...counts,
+        merge_rate: decided > 0 ? Math.round(counts.merged / decided * 100) / 100 : null,
+        median_hours_to_merge: hours.length > 0 ? Math.round(median(hours) * 10) / 10 : null
+      };
+    }
+  }
+
+  return stats;
+}
+
+function labelNames(pull) {
+  return (pull.labels || []).map(label => typeof label === 'string' ? label : label.name);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
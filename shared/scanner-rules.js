@@ -0,0 +1,137 @@
+/**
+ * 🔍 Security Scanner Rules
+ *
+ * The line rules of the rule-based scanner, shared by the edge worker, which
+ * scans fetched repository files, and the PR generator, which refuses to
+ * publish generated files that add a secret.
+ */
+
+/**
+ * Line rules: each pattern is tested against every line of matching file kinds
+ * (all kinds when `kinds` is omitted). A secret spanning several lines sets
+ * `until`, the pattern of its last line.
+ */
+export const SCANNER_RULES = [
+  {
+    id: 'aws-access-key-id',
+    severity: 'critical',
+    message: 'AWS access key id committed to the repository',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/,
+    secret: true
+  },
+  {
+    id: 'aws-secret-access-key',
+    severity: 'critical',
+    message: 'AWS secret access key committed to the repository',
+    pattern: /aws_secret_access_key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})\b/i,
+    secret: true
+  },
+  {
+    id: 'github-token',
+    severity: 'critical',
+    message: 'GitHub token committed to the repository',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/,
+    secret: true
+  },
+  {
+    id: 'cloudflare-api-token',
+    severity: 'high',
+    message: 'Cloudflare API token or key committed to the repository',
+    pattern: /\b(?:CLOUDFLARE|CF)_(?:API_)?(?:TOKEN|KEY)["']?\s*[:=]\s*["']?([A-Za-z0-9_-]{37,40})\b/i,
+    secret: true
+  },
+  {
+    id: 'tailscale-auth-key',
+    severity: 'critical',
+    message: 'Tailscale auth key committed to the repository',
+    pattern: /\btskey-(?:auth-|api-|client-)?[A-Za-z0-9]{6,}-[A-Za-z0-9]{10,}\b/,
+    secret: true
+  },
+  {
+    id: 'private-key',
+    severity: 'critical',
+    message: 'Private key committed to the repository',
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/,
+    until: /-----END (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/,
+    secret: true
+  },
+  {
+    id: 'workflow-unpinned-action',
+    severity: 'medium',
+    message: 'Action referenced by a moving branch instead of a tag or commit SHA',
+    pattern: /^\s*-?\s*uses:\s*["']?[\w.-]+\/[\w./-]+@(?:master|main)["']?\s*(?:#.*)?$/,
+    kinds: ['workflow']
+  },
+  {
+    id: 'curl-pipe-shell',
+    severity: 'high',
+    message: 'Remote script piped straight into a shell',
+    pattern: /\b(?:curl|wget)\b[^|\n]*\|\s*(?:sudo\s+)?(?:-E\s+)?(?:ba|z|da)?sh\b/,
+    kinds: ['workflow', 'shell']
+  }
+];
+
+/**
+ * Findings of the line rules for a single `{ path, kind, content }` file
+ */
+export function scanLines(file) {
+  const findings = [];
+  file.content.split('\n').forEach((line, index) => {
+    for (const rule of SCANNER_RULES) {
+      if (rule.kinds && !rule.kinds.includes(file.kind)) continue;
+
+      const match = rule.pattern.exec(line);
+      if (!match) continue;
+
+      findings.push(createFinding(rule, file.path, index + 1, rule.secret ? maskSecret(match[0]) : line.trim()));
+    }
+  });
+  return findings;
+}
+
+/**
+ * Content of a `{ path, kind, content }` file with every match of the secret
+ * rules masked like finding evidence, for sending files to a model. The lines
+ * of a multi-line secret are masked through its `until` line.
+ */
+export function redactSecrets(file) {
+  const secretRules = SCANNER_RULES.filter(rule => rule.secret);
+  let until = null;
+
+  return file.content.split('\n').map(line => {
+    if (until) {
+      if (until.test(line)) until = null;
+      return '****';
+    }
+
+    let redacted = line;
+    for (const rule of secretRules) {
+      if (!rule.pattern.test(redacted)) continue;
+      redacted = redacted.replace(new RegExp(rule.pattern.source, `${rule.pattern.flags}g`), maskSecret);
+      if (rule.until) until = rule.until;
+    }
+    return redacted;
+  }).join('\n');
+}
+
+/**
+ * Finding of `rule` at a line of a file, as the scanner reports them
+ */
+export function createFinding(rule, file, line, evidence) {
+  return {
+    source: 'scanner',
+    rule_id: rule.id,
+    severity: rule.severity,
+    message: rule.message,
+    file,
+    line,
+    evidence
+  };
+}
+
+/**
+ * Keep enough of a secret to locate it without re-leaking it
+ */
+function maskSecret(value) {
+  return value.length <= 8 ? '****' : `${value.slice(0, 4)}…${'*'.repeat(8)}`;
+}
@@ -0,0 +1,96 @@
+/**
+ * 📐 Minimal JSON Schema Validator
+ *
+ * Supports the subset of JSON Schema used across the platform: type, enum,
+ * required, properties, additionalProperties, items, minItems, minimum,
+ * maximum, minLength and pattern. Runs unchanged in Workers and Node.
+ */
+
+/**
+ * Validate a value against a schema, returning a list of readable errors
+ */
+export function validateSchema(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${path}: expected ${[].concat(schema.type).join(' or ')}, got ${describeType(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(propertySchema, propertyValue, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  return [].concat(type).some(t => {
+    switch (t) {
+      case 'array': return Array.isArray(value);
+      case 'object': return isPlainObject(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'null': return value === null;
+      default: return typeof value === t;
+    }
+  });
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffAnalyses, renderDiffMarkdown } from '../edge/workers/analysis-diff.js';
+
+/**
+ * A stored repository analysis with the fields the diff compares
+ */
+function repository(name, { vulnerabilities = [], score = 80, risk = 'low', patterns = [], optimizations = [] } = {}) {
+  return {
+    full_name: `edcet/${name}`,
+    name,
+    security: { vulnerabilities, compliance_score: score },
+    architecture: { patterns, optimizations, duplication_risk: risk }
+  };
+}
+
+const run = (id, repositories, failed = []) => ({ id, timestamp: `2026-10-0${id.slice(-1)}T00:00:00Z`, repositories, failed });
+
+test('diffAnalyses reports added, removed and changed repositories', () => {
+  const diff = diffAnalyses(
+    run('run-1', [
+      repository('homelab', { vulnerabilities: [{ title: 'Exposed Docker socket' }], score: 70, patterns: ['GitOps'] }),
+      repository('dotfiles'),
+      repository('unchanged')
+    ]),
+    run('run-2', [
+      repository('homelab', { vulnerabilities: [{ title: 'Plaintext credentials' }], score: 85, risk: 'high', patterns: ['gitops', 'Monorepo'] }),
+      repository('infra', { optimizations: ['Cache dependencies'] }),
+      repository('unchanged')
+    ])
+  );
+
+  assert.deepEqual(diff.repositories.map(r => [r.repository, r.status]), [
+    ['edcet/dotfiles', 'removed'],
+    ['edcet/homelab', 'changed'],
+    ['edcet/infra', 'added']
+  ]);
+
+  const homelab = diff.repositories[1];
+  assert.deepEqual(homelab.vulnerabilities, { added: [{ title: 'Plaintext credentials' }], resolved: [{ title: 'Exposed Docker socket' }] });
+  assert.deepEqual(homelab.compliance_score, { from: 70, to: 85, delta: 15 });
+  assert.deepEqual(homelab.duplication_risk, { from: 'low', to: 'high' });
+  // String items compare case-insensitively
+  assert.deepEqual(homelab.patterns, { added: ['Monorepo'], removed: [] });
+
+  assert.deepEqual(diff.summary, {
+    repositories_changed: 3,
+    new_vulnerabilities: 1,
+    resolved_vulnerabilities: 1,
+    started_failing: 0,
+    stopped_failing: 0
+  });
+});
+
+test('diffAnalyses reports failures instead of added or removed repositories', () => {
+  const diff = diffAnalyses(
+    run('run-1', [repository('homelab')], [{ repository: 'dotfiles', error: 'GitHub tree error: 404' }]),
+    run('run-2', [repository('dotfiles')], [{ repository: 'edcet/homelab', error: 'Model timed out' }])
+  );
+
+  assert.deepEqual(diff.repositories, []);
+  assert.deepEqual(diff.started_failing, [{ repository: 'edcet/homelab', error: 'Model timed out' }]);
+  // Older runs name failed repositories without the owner
+  assert.deepEqual(diff.stopped_failing, [{ repository: 'edcet/dotfiles', previous_error: 'GitHub tree error: 404' }]);
+});
+
+test('diffAnalyses skips failed model sections but still compares scanner findings', () => {
+  const scanner = { rule_id: 'aws-access-key', file: '.env', line: 3, source: 'scanner' };
+  const before = repository('homelab', { vulnerabilities: [{ title: 'Exposed Docker socket' }] });
+  const after = {
+    ...repository('homelab'),
+    security: { status: 'failed', vulnerabilities: [scanner, { title: 'Ignored model finding' }] },
+    architecture: { status: 'failed' }
+  };
+
+  const diff = diffAnalyses(run('run-1', [before]), run('run-2', [after]));
+
+  assert.equal(diff.repositories.length, 1);
+  assert.deepEqual(diff.repositories[0].vulnerabilities, { added: [scanner], resolved: [] });
+  assert.equal(diff.repositories[0].compliance_score, null);
+  assert.equal(diff.repositories[0].duplication_risk, null);
+  assert.deepEqual(diff.repositories[0].patterns, { added: [], removed: [] });
+});
+
+test('renderDiffMarkdown lists failures and per-repository changes', () => {
+  const diff = diffAnalyses(
+    run('run-1', [repository('homelab', { score: 70 })]),
+    run('run-2', [
+      repository('homelab', { vulnerabilities: [{ rule_id: 'github-token', file: 'compose.yaml', line: 4 }], score: 60 })
+    ], [{ repository: 'edcet/infra', error: 'Model timed out' }])
+  );
+
+  const markdown = renderDiffMarkdown(diff);
+
+  assert.ok(markdown.includes('**From**: `run-1` (2026-10-01T00:00:00Z)'));
+  assert.ok(markdown.includes('| New vulnerabilities | 1 |'));
+  assert.ok(markdown.includes('### ❌ Started Failing\n\n- **edcet/infra**: Model timed out\n'));
+  assert.ok(markdown.includes('### 📝 edcet/homelab\n\n- 🔴 New vulnerability: github-token in `compose.yaml:4`\n- Compliance score: 70 → 60 (-10)\n'));
+  assert.ok(!markdown.includes('No changes between these runs.'));
+});
+
+test('renderDiffMarkdown says when nothing changed', () => {
+  const markdown = renderDiffMarkdown(diffAnalyses(run('run-1', [repository('homelab')]), run('run-2', [repository('homelab')])));
+
+  assert.ok(markdown.endsWith('No changes between these runs.\n'));
+});
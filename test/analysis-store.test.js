@@ -0,0 +1,210 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnalysisStore } from '../edge/workers/analysis-store.js';
+
+/**
+ * In-memory Durable Object storage with the parts of the API the store uses
+ */
+function memoryStorage() {
+  const data = new Map();
+  let alarm = null;
+  return {
+    data,
+    async get(key) { return data.get(key); },
+    async put(key, value) {
+      const entries = typeof key === 'object' ? Object.entries(key) : [[key, value]];
+      for (const [k, v] of entries) data.set(k, structuredClone(v));
+    },
+    async delete(keys) { (Array.isArray(keys) ? keys : [keys]).forEach(key => data.delete(key)); },
+    async list({ prefix = '', reverse = false, limit, end } = {}) {
+      let keys = [...data.keys()].filter(key => key.startsWith(prefix) && (!end || key < end)).sort();
+      if (reverse) keys.reverse();
+      if (limit) keys = keys.slice(0, limit);
+      return new Map(keys.map(key => [key, data.get(key)]));
+    },
+    async getAlarm() { return alarm; },
+    async setAlarm(time) { alarm = time; },
+    async deleteAlarm() { alarm = null; }
+  };
+}
+
+function createStore(env = {}) {
+  const storage = memoryStorage();
+  return { store: new AnalysisStore({ storage }, env), storage };
+}
+
+/**
+ * Fire the alarm the way the runtime does: the alarm is cleared before the handler runs
+ */
+async function fireAlarm(store, storage) {
+  await storage.deleteAlarm();
+  await store.alarm();
+}
+
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+const repository = name => ({ name, owner: 'edcet', full_name: `edcet/${name}` });
+
+async function getJSON(store, path) {
+  const response = await store.fetch(new Request(`https://dummy${path}`));
+  return { status: response.status, body: await response.json() };
+}
+
+test('storeRun keeps repository analyses under owner/name and serves the latest run', async () => {
+  const { store } = createStore();
+  const first = await store.storeRun({ timestamp: hoursAgo(2), trigger: 'scheduled', repositories: [repository('homelab')] });
+  const second = await store.storeRun({ timestamp: hoursAgo(1), trigger: 'manual', repositories: [repository('homelab'), repository('dotfiles')] });
+
+  const latest = await getJSON(store, '/latest');
+  assert.equal(latest.body.id, second.id);
+  assert.deepEqual(latest.body.repositories.map(r => r.full_name), ['edcet/homelab', 'edcet/dotfiles']);
+  assert.ok(!('repository_names' in latest.body));
+
+  const run = await getJSON(store, `/runs/${first.id}`);
+  assert.equal(run.body.trigger, 'scheduled');
+  assert.equal((await getJSON(store, '/runs/20240101T000000000Z-dead')).status, 404);
+});
+
+test('storeRun prunes runs beyond the retention count and age but never the latest', async () => {
+  const { store, storage } = createStore({ ANALYSIS_RETENTION_RUNS: '2', ANALYSIS_RETENTION_DAYS: '1' });
+  const old = await store.storeRun({ timestamp: hoursAgo(48), repositories: [repository('homelab')] });
+  const a = await store.storeRun({ timestamp: hoursAgo(3), repositories: [] });
+  const b = await store.storeRun({ timestamp: hoursAgo(2), repositories: [] });
+  const c = await store.storeRun({ timestamp: hoursAgo(1), repositories: [] });
+
+  assert.deepEqual(a.pruned, [old.id]);
+  assert.deepEqual(b.pruned, []);
+  assert.deepEqual(c.pruned, [a.id]);
+  assert.deepEqual([...storage.data.keys()].filter(key => key.startsWith('repo:')), []);
+
+  // A latest run older than the retention age is still kept
+  const { store: stale } = createStore({ ANALYSIS_RETENTION_DAYS: '1' });
+  const only = await stale.storeRun({ timestamp: hoursAgo(72), repositories: [] });
+  assert.deepEqual(only.pruned, []);
+});
+
+test('run listings page from newest to oldest with a before cursor', async () => {
+  const { store } = createStore();
+  const ids = [];
+  for (let hours = 5; hours >= 1; hours--) {
+    ids.push((await store.storeRun({ timestamp: hoursAgo(hours), successful_analyses: hours, repositories: [] })).id);
+  }
+
+  const page = await getJSON(store, '/runs?limit=2');
+  assert.deepEqual(page.body.runs.map(run => run.id), [ids[4], ids[3]]);
+  assert.equal(page.body.runs[0].successful_analyses, 1);
+
+  const next = await getJSON(store, `/runs?limit=2&before=${ids[3]}`);
+  assert.deepEqual(next.body.runs.map(run => run.id), [ids[2], ids[1]]);
+
+  // Invalid limits fall back to the default page size
+  const all = await getJSON(store, '/runs?limit=zero');
+  assert.equal(all.body.runs.length, 5);
+});
+
+test('recordDelivery reports replayed delivery ids', async () => {
+  const { store } = createStore();
+
+  assert.equal(await store.recordDelivery('delivery-1'), false);
+  assert.equal(await store.recordDelivery('delivery-1'), true);
+  assert.equal(await store.recordDelivery('delivery-2'), false);
+  await assert.rejects(store.recordDelivery(null), /Delivery id is required/);
+});
+
+test('recordPullRequests ignores deliveries older than the stored record', async () => {
+  const { store } = createStore();
+  const record = { owner: 'edcet', repository: 'homelab', number: 3, type: 'ci-enhancement', state: 'open', head_sha: 'a' };
+
+  await store.recordPullRequests([{ ...record, updated_at: hoursAgo(1) }]);
+  await store.recordCheckSuite({ owner: 'edcet', repository: 'homelab', numbers: [3], suite: { id: 9, head_sha: 'a', status: 'completed', conclusion: 'success' } });
+  await store.recordPullRequests([{ ...record, state: 'closed', updated_at: hoursAgo(2) }]);
+
+  const [stored] = await store.listPullRequests();
+  assert.equal(stored.state, 'open');
+  assert.equal(stored.check_suites[9].conclusion, 'success');
+});
+
+test('alarm expires deliveries and old closed PRs, and keeps running while data remains', async () => {
+  const { store, storage } = createStore();
+  await storage.put({
+    'delivery:old': Date.now() - 25 * 60 * 60 * 1000,
+    'pr:edcet/homelab#1': { owner: 'edcet', repository: 'homelab', number: 1, state: 'closed', updated_at: hoursAgo(400 * 24) },
+    'pr:edcet/homelab#2': { owner: 'edcet', repository: 'homelab', number: 2, state: 'open', updated_at: hoursAgo(400 * 24) },
+    'pr:edcet/homelab#3': { owner: 'edcet', repository: 'homelab', number: 3, state: 'merged', updated_at: hoursAgo(24) }
+  });
+
+  await fireAlarm(store, storage);
+
+  assert.deepEqual([...storage.data.keys()].sort(), ['pr:edcet/homelab#2', 'pr:edcet/homelab#3']);
+  // The merged PR expires in a later run
+  assert.notEqual(await storage.getAlarm(), null);
+});
+
+test('alarm reschedules while runs are stored and stops once nothing can expire', async () => {
+  const { store, storage } = createStore();
+  await store.storeRun({ timestamp: hoursAgo(1), repositories: [] });
+
+  await fireAlarm(store, storage);
+  assert.notEqual(await storage.getAlarm(), null);
+
+  const { store: empty, storage: emptyStorage } = createStore();
+  await emptyStorage.put('pr:edcet/homelab#2', { state: 'open', updated_at: hoursAgo(1) });
+  await fireAlarm(empty, emptyStorage);
+  assert.equal(await emptyStorage.getAlarm(), null);
+});
+
+test('queued rollbacks run from the alarm, keep only the run fields they need and are queued once', async () => {
+  const handled = [];
+  class RollbackStore extends AnalysisStore {
+    async rollBack(entry) {
+      handled.push(entry);
+      return null;
+    }
+  }
+  const storage = memoryStorage();
+  const store = new RollbackStore({ storage }, {});
+  const run = { id: 77, name: 'CI', run_number: 12, head_sha: 'merge-1', head_branch: 'main', repository: { full_name: 'edcet/homelab' } };
+
+  const queued = await store.fetch(new Request('https://dummy/rollbacks', { method: 'POST', body: JSON.stringify({ owner: 'edcet', repository: 'homelab', run }) }));
+  assert.deepEqual(await queued.json(), { queued: true });
+  assert.equal(await store.queueRollback({ owner: 'edcet', repository: 'homelab', run }), false);
+  assert.ok(await storage.getAlarm() <= Date.now());
+
+  await fireAlarm(store, storage);
+
+  assert.equal(handled.length, 1);
+  assert.equal(handled[0].run.head_sha, 'merge-1');
+  assert.ok(!('repository' in handled[0].run));
+  assert.deepEqual([...(await storage.list({ prefix: 'rollback:' })).keys()], []);
+});
+
+test('failed rollbacks are retried with backoff and dropped after the last attempt', async () => {
+  let calls = 0;
+  class FailingStore extends AnalysisStore {
+    async rollBack() {
+      calls++;
+      throw new Error('GitHub unavailable');
+    }
+  }
+  const storage = memoryStorage();
+  const store = new FailingStore({ storage }, {});
+  await store.queueRollback({ owner: 'edcet', repository: 'homelab', run: { id: 78, head_sha: 'merge-2' } });
+  const key = 'rollback:edcet/homelab#78';
+
+  await fireAlarm(store, storage);
+  const retry = await storage.get(key);
+  assert.equal(retry.attempts, 1);
+  assert.equal(retry.last_error, 'GitHub unavailable');
+  assert.ok(retry.next_attempt_at > Date.now());
+  assert.equal(await storage.getAlarm(), retry.next_attempt_at);
+
+  // Not due yet, nothing runs
+  await fireAlarm(store, storage);
+  assert.equal(calls, 1);
+
+  for (let attempt = 1; attempt < 5; attempt++) {
+    await storage.put(key, { ...(await storage.get(key)), next_attempt_at: Date.now() });
+    await fireAlarm(store, storage);
+  }
+  assert.equal(calls, 5);
+  assert.equal(await storage.get(key), undefined);
+});
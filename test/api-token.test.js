@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker, { AnalysisStore } from '../edge/workers/repository-analyzer.js';
+
+const TOKEN = 'api-token';
+
+/**
+ * Durable Object namespace backed by one empty in-memory analysis store
+ */
+function storeNamespace() {
+  const data = new Map();
+  const storage = {
+    async get(key) { return data.get(key); },
+    async put(key, value) { data.set(key, structuredClone(value)); },
+    async delete(keys) { (Array.isArray(keys) ? keys : [keys]).forEach(key => data.delete(key)); },
+    async list({ prefix = '' } = {}) {
+      return new Map([...data.keys()].filter(key => key.startsWith(prefix)).sort().map(key => [key, data.get(key)]));
+    },
+    async getAlarm() { return null; },
+    async setAlarm() {}
+  };
+  const store = new AnalysisStore({ storage }, {});
+  return {
+    idFromName: name => name,
+    get: () => ({ fetch: (input, init) => store.fetch(new Request(input, init)) })
+  };
+}
+
+function get(path, env, authorization) {
+  return worker.fetch(new Request(`https://worker.test${path}`, {
+    headers: authorization ? { Authorization: authorization } : {}
+  }), env, { waitUntil: () => {} });
+}
+
+const READ_ROUTES = [
+  '/analyses',
+  '/analyses/latest',
+  '/analyses/latest/sarif?repository=homelab',
+  '/diff?from=run-1&to=run-2',
+  '/pull-requests',
+  '/pull-requests/outcomes'
+];
+
+test('read routes require the API bearer token', async () => {
+  const env = { OPTIMIZE_API_TOKEN: TOKEN, HOMELAB_INTELLIGENCE: storeNamespace() };
+
+  for (const path of READ_ROUTES) {
+    for (const authorization of [null, 'Bearer wrong-token', `Basic ${TOKEN}`]) {
+      const response = await get(path, env, authorization);
+      assert.equal(response.status, 401, `${path} with ${authorization}`);
+      assert.equal(response.headers.get('WWW-Authenticate'), 'Bearer');
+      assert.deepEqual(await response.json(), { error: 'Invalid or missing API token' });
+    }
+  }
+});
+
+test('read routes refuse every request when no API token is configured', async () => {
+  const env = { HOMELAB_INTELLIGENCE: storeNamespace() };
+
+  for (const path of READ_ROUTES) {
+    const response = await get(path, env, `Bearer ${TOKEN}`);
+    assert.equal(response.status, 500, path);
+    assert.deepEqual(await response.json(), { error: 'API token not configured' });
+  }
+});
+
+test('read routes answer requests with the API token', async () => {
+  const env = { OPTIMIZE_API_TOKEN: TOKEN, HOMELAB_INTELLIGENCE: storeNamespace() };
+
+  const analyses = await get('/analyses', env, `Bearer ${TOKEN}`);
+  assert.equal(analyses.status, 200);
+
+  const outcomes = await get('/pull-requests/outcomes', env, `bearer ${TOKEN}`);
+  assert.equal(outcomes.status, 200);
+  assert.equal((await outcomes.json()).tracked_pull_requests, 0);
+
+  // The health check stays public
+  assert.equal((await get('/health', env)).status, 200);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { buildCommunityCatalog, parseAwesomeList, suggestCatalogEntries } from '../edge/workers/community-catalog.js';
+
+const SOURCES = [
+  { name: 'awesome-selfhosted', url: 'https://example.test/awesome-selfhosted.md' },
+  { name: 'awesome-sysadmin', url: 'https://example.test/awesome-sysadmin.md' }
+];
+
+function fixture(name) {
+  return readFile(new URL(`./fixtures/${name}.md`, import.meta.url), 'utf8');
+}
+
+test('parseAwesomeList reads entries under software headings only', async () => {
+  const entries = parseAwesomeList(await fixture('awesome-selfhosted'), 'awesome-selfhosted');
+
+  assert.deepEqual(entries.map(entry => [entry.category, entry.name]), [
+    ['Backup', 'BorgBackup'],
+    ['Backup', 'Restic'],
+    ['Backup', 'Duplicati'],
+    ['Monitoring', 'Prometheus'],
+    ['Monitoring', 'Uptime Kuma'],
+    ['Static Site Generators', 'Hugo']
+  ]);
+  assert.ok(entries.every(entry => entry.source === 'awesome-selfhosted'));
+});
+
+test('parseAwesomeList splits license, platforms, source code and description', async () => {
+  const entries = parseAwesomeList(await fixture('awesome-selfhosted'), 'awesome-selfhosted');
+  const byName = Object.fromEntries(entries.map(entry => [entry.name, entry]));
+
+  assert.deepEqual(byName.BorgBackup, {
+    name: 'BorgBackup',
+    link: 'https://borgbackup.readthedocs.io/',
+    license: 'BSD-3-Clause',
+    description: 'Deduplicating archiver with compression and authenticated encryption.',
+    source_code: 'https://github.com/borgbackup/borg',
+    platforms: ['Python', 'C'],
+    category: 'Backup',
+    source: 'awesome-selfhosted'
+  });
+
+  // Several links in the trailing parentheses, the source code is still found
+  assert.equal(byName.Restic.source_code, 'https://github.com/restic/restic');
+  assert.equal(byName.Restic.description, 'Fast, secure, efficient backup program for docker volumes and hosts.');
+
+  // The anti-feature marker is not a license
+  assert.equal(byName.Duplicati.license, 'LGPL-2.1');
+  assert.deepEqual(byName.Duplicati.platforms, ['C#']);
+  assert.equal(byName.Duplicati.source_code, null);
+
+  assert.equal(byName.Hugo.description, 'Fast and flexible static site generator.');
+});
+
+test('parseAwesomeList returns nothing for a list without software sections', () => {
+  assert.deepEqual(parseAwesomeList('# List\n\n## Contents\n\n- [A](https://a.test) - A.\n', 'empty'), []);
+});
+
+test('buildCommunityCatalog merges every source and reports failed ones', async () => {
+  const catalog = await buildCommunityCatalog([
+    ...SOURCES,
+    { name: 'awesome-missing', url: 'https://example.test/missing.md' }
+  ], async source => {
+    if (source.name === 'awesome-missing') throw new Error('Failed to fetch awesome-missing: 404 Not Found');
+    return fixture(source.name);
+  });
+
+  assert.deepEqual(catalog.sources, [
+    { name: 'awesome-selfhosted', url: SOURCES[0].url, entries: 6 },
+    { name: 'awesome-sysadmin', url: SOURCES[1].url, entries: 3 },
+    { name: 'awesome-missing', url: 'https://example.test/missing.md', entries: 0, error: 'Failed to fetch awesome-missing: 404 Not Found' }
+  ]);
+  assert.deepEqual(catalog.categories, ['Automation', 'Backup', 'Configuration Management', 'Monitoring', 'Static Site Generators']);
+  assert.equal(catalog.entries.length, 9);
+  assert.ok(!Number.isNaN(Date.parse(catalog.built_at)));
+});
+
+test('suggestCatalogEntries ranks category matches above stack keyword matches', async () => {
+  const catalog = await buildCommunityCatalog(SOURCES, source => fixture(source.name));
+  const suggestions = suggestCatalogEntries(['ansible', 'docker', 'terraform'], catalog);
+
+  assert.deepEqual(suggestions.map(entry => [entry.name, entry.score]), [
+    ['Ansible Semaphore', 4],
+    ['OpenTofu', 3],
+    ['Prometheus', 1],
+    ['Restic', 1],
+    ['Uptime Kuma', 1]
+  ]);
+  assert.deepEqual(suggestions[1].matched, ['category:configuration management', 'stack:terraform']);
+});
+
+test('suggestCatalogEntries skips tools the repository already uses and honours the limit', async () => {
+  const catalog = await buildCommunityCatalog(SOURCES, source => fixture(source.name));
+
+  const names = suggestCatalogEntries(['ansible', 'backup'], catalog).map(entry => entry.name);
+  assert.ok(!names.includes('Ansible'));
+  assert.ok(names.includes('BorgBackup'));
+
+  assert.equal(suggestCatalogEntries(['ansible', 'backup'], catalog, 2).length, 2);
+  assert.deepEqual(suggestCatalogEntries(['cobol'], catalog), []);
+});
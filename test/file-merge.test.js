@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeGeneratedFile } from '../automation/file-merge.js';
+
+const EXISTING_WORKFLOW = `name: CI
+on: [push]
+
+jobs:
+  # Runs the tests
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v3
+      - name: Test
+        run: npm test
+`;
+
+const GENERATED_WORKFLOW = `name: Intelligence CI
+on:
+  push:
+  pull_request:
+
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    timeout-minutes: 15
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/setup-node@v4
+        with:
+          node-version: 20
+      - name: Test
+        run: npm test
+  lint:
+    runs-on: ubuntu-latest
+    steps:
+      - run: npm run lint
+`;
+
+test('mergeGeneratedFile writes new files and leaves identical ones alone', () => {
+  assert.deepEqual(mergeGeneratedFile('ci.yml', null, 'name: CI\n'), { content: 'name: CI\n', changes: [], conflicts: [] });
+  assert.deepEqual(mergeGeneratedFile('ci.yml', 'name: CI\n', 'name: CI\n'), { content: 'name: CI\n', changes: [], conflicts: [] });
+});
+
+test('mergeGeneratedFile inserts missing triggers, keys, steps and jobs into workflows', () => {
+  const { content, changes, conflicts } = mergeGeneratedFile('.github/workflows/ci.yml', EXISTING_WORKFLOW, GENERATED_WORKFLOW);
+
+  assert.deepEqual(conflicts, []);
+  assert.equal(content, `name: CI
+on:
+  push:
+  pull_request:
+
+jobs:
+  # Runs the tests
+  test:
+    runs-on: ubuntu-latest
+    timeout-minutes: 15
+    steps:
+      - uses: actions/checkout@v3
+      - uses: actions/setup-node@v4
+        with:
+          node-version: 20
+      - name: Test
+        run: npm test
+  lint:
+    runs-on: ubuntu-latest
+    steps:
+      - run: npm run lint
+`);
+  assert.deepEqual(changes, [
+    'Expanded `on: [push]` into a trigger mapping',
+    'Added trigger `pull_request`',
+    'Added `timeout-minutes` to job `test`',
+    'Added step `actions/setup-node@v4` to job `test`',
+    'Added job `lint`'
+  ]);
+});
+
+test('mergeGeneratedFile leaves workflows with conflicting values untouched', () => {
+  const runner = mergeGeneratedFile('.github/workflows/ci.yml', EXISTING_WORKFLOW, GENERATED_WORKFLOW.replace('runs-on: ubuntu-latest\n    timeout', 'runs-on: self-hosted\n    timeout'));
+  assert.deepEqual(runner, { content: EXISTING_WORKFLOW, changes: [], conflicts: ['`jobs.test.runs-on` is set differently in the existing file'] });
+
+  const step = mergeGeneratedFile('.github/workflows/ci.yml', EXISTING_WORKFLOW, GENERATED_WORKFLOW.replace('run: npm test', 'run: npm test -- --ci'));
+  assert.deepEqual(step.conflicts, ['step `Test` of job `test` differs from the generated one']);
+
+  const kind = mergeGeneratedFile('.github/workflows/ci.yml', EXISTING_WORKFLOW, GENERATED_WORKFLOW.replace('runs-on: ubuntu-latest\n    timeout', 'runs-on:\n      group: large-runners\n    timeout'));
+  assert.equal(kind.content, EXISTING_WORKFLOW);
+  assert.deepEqual(kind.conflicts, ['`jobs.test.runs-on` is a value in the existing file but a mapping in the generated one']);
+});
+
+test('mergeGeneratedFile adds missing JSON keys and keeps the repository settings', () => {
+  const existing = '{\n    "extends": ["config:recommended"],\n    "schedule": ["before 6am"]\n}\n';
+  const generated = JSON.stringify({ extends: ['config:base'], schedule: ['weekly'], packageRules: [{ matchUpdateTypes: ['minor'], automerge: true }], lockFileMaintenance: { enabled: true } });
+
+  const { content, changes, conflicts } = mergeGeneratedFile('renovate.json', existing, generated);
+
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(changes, ['Added `packageRules`', 'Added `lockFileMaintenance`']);
+  assert.ok(content.startsWith('{\n    "extends": [\n        "config:recommended"\n    ],\n    "schedule": [\n        "before 6am"\n    ],\n'));
+  assert.ok(content.endsWith('}\n'));
+  assert.deepEqual(JSON.parse(content).lockFileMaintenance, { enabled: true });
+});
+
+test('mergeGeneratedFile reports JSON and unknown files it cannot merge', () => {
+  assert.deepEqual(mergeGeneratedFile('renovate.json', '{"lockFileMaintenance": true}', '{"lockFileMaintenance": {"enabled": true}}').conflicts, [
+    '`lockFileMaintenance` is a boolean in the existing file but the generated file needs an object'
+  ]);
+  assert.match(mergeGeneratedFile('renovate.json', '{ broken', '{}').conflicts[0], /^the existing file is not valid JSON/);
+  assert.deepEqual(mergeGeneratedFile('Makefile', 'all:\n', 'test:\n'), {
+    content: 'all:\n',
+    changes: [],
+    conflicts: ['the file already exists with different content and this file type cannot be merged']
+  });
+});
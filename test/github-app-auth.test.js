@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPublicKey, generateKeyPairSync, verify } from 'node:crypto';
+import { GitHubAppAuth, OPERATION_PERMISSIONS, requestTarget } from '../shared/github-app-auth.js';
+
+// GitHub hands out PKCS#1 keys, so that is what the tests sign with
+const { privateKey } = generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const INSTALLATIONS = { 'repos/edcet/homelab': 1, 'users/edcet': 1 };
+
+/**
+ * `fetchImpl` for the app endpoints: installations from `INSTALLATIONS`,
+ * access tokens numbered in request order. Requests are recorded.
+ */
+function stubApp() {
+  const requests = [];
+  const fetchImpl = async (url, init = {}) => {
+    const path = new URL(url).pathname.slice(1);
+    requests.push({ path, headers: init.headers, body: init.body ? JSON.parse(init.body) : null });
+
+    const installation = /^(.+)\/installation$/.exec(path);
+    if (installation) {
+      const id = INSTALLATIONS[installation[1]];
+      return id ? Response.json({ id }) : new Response('{"message":"Not Found"}', { status: 404 });
+    }
+    if (/^app\/installations\/\d+\/access_tokens$/.test(path)) {
+      return Response.json({ token: `token-${requests.length}`, expires_at: new Date(Date.now() + 3600000).toISOString() }, { status: 201 });
+    }
+    return new Response('{}', { status: 404 });
+  };
+  return { fetchImpl, requests, tokenRequests: () => requests.filter(request => request.path.endsWith('/access_tokens')) };
+}
+
+test('appJWT signs an RS256 JWT with a PKCS#1 key', async () => {
+  const { fetchImpl } = stubApp();
+  const auth = new GitHubAppAuth({ appId: 42, privateKey: privateKey.replace(/\n/g, '\\n'), fetchImpl });
+
+  const jwt = await auth.appJWT();
+  const [header, claims, signature] = jwt.split('.');
+
+  assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { alg: 'RS256', typ: 'JWT' });
+  const { iss, iat, exp } = JSON.parse(Buffer.from(claims, 'base64url'));
+  assert.equal(iss, '42');
+  assert.ok(exp - iat <= 10 * 60);
+  assert.ok(verify('sha256', Buffer.from(`${header}.${claims}`), createPublicKey(privateKey), Buffer.from(signature, 'base64url')));
+
+  // Reused until it is about to expire
+  assert.equal(await auth.appJWT(), jwt);
+});
+
+test('tokenForURL scopes repository tokens to the repository and the operation', async () => {
+  const { fetchImpl, tokenRequests } = stubApp();
+  const authenticate = new GitHubAppAuth({ appId: 42, privateKey, fetchImpl }).authenticator('pull_requests');
+
+  const token = await authenticate('https://api.github.com/repos/edcet/homelab/pulls');
+  assert.equal(await authenticate('https://api.github.com/repos/edcet/homelab/git/refs'), token);
+
+  assert.deepEqual(tokenRequests().map(request => request.body), [
+    { repositories: ['homelab'], permissions: OPERATION_PERMISSIONS.pull_requests }
+  ]);
+});
+
+test('tokenForURL reads repositories outside the installations with public permissions', async () => {
+  const { fetchImpl, tokenRequests } = stubApp();
+  const authenticate = new GitHubAppAuth({ appId: 42, privateKey, defaultOwner: 'edcet', fetchImpl }).authenticator('pull_requests');
+
+  await authenticate('https://api.github.com/repos/actions/checkout/git/ref/tags%2Fv4');
+
+  assert.deepEqual(tokenRequests().map(request => request.body), [
+    { permissions: { metadata: 'read', contents: 'read' } }
+  ]);
+});
+
+test('tokenForURL never issues a write token for searches', async () => {
+  const { fetchImpl, tokenRequests } = stubApp();
+  const authenticate = new GitHubAppAuth({ appId: 42, privateKey, fetchImpl }).authenticator('pull_requests');
+
+  await authenticate('https://api.github.com/search/issues?q=is%3Apr+label%3Aintelligence+user%3Aedcet');
+
+  assert.deepEqual(tokenRequests().map(request => request.body), [
+    { permissions: OPERATION_PERMISSIONS.analysis }
+  ]);
+  assert.ok(Object.values(OPERATION_PERMISSIONS.analysis).every(access => access === 'read'));
+});
+
+test('tokenForURL sends requests unauthenticated without an installation', async () => {
+  const { fetchImpl } = stubApp();
+  const authenticate = new GitHubAppAuth({ appId: 42, privateKey, fetchImpl }).authenticator('analysis');
+
+  assert.equal(await authenticate('https://api.github.com/repos/someone/else'), null);
+  assert.throws(() => new GitHubAppAuth({ appId: 42, privateKey, fetchImpl }).authenticator('admin'), /Unknown GitHub operation: admin/);
+});
+
+test('requestTarget finds the owner in paths and search qualifiers', () => {
+  assert.deepEqual(requestTarget('https://api.github.com/repos/edcet/homelab/contents/a%20b'), { owner: 'edcet', repo: 'homelab' });
+  assert.deepEqual(requestTarget('https://api.github.com/orgs/homelab-org/repos'), { owner: 'homelab-org', repo: null });
+  assert.deepEqual(requestTarget('https://api.github.com/search/repositories?q=topic%3Ahomelab+user%3Aedcet'), { owner: 'edcet', repo: null });
+  assert.deepEqual(requestTarget('https://api.github.com/rate_limit'), { owner: null, repo: null });
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHubClient } from '../shared/github-client.js';
+
+const URL = 'https://api.github.com/repos/edcet/homelab';
+
+/**
+ * Client answering from `responses` in order, with sleeps recorded instead of
+ * waited and no jitter
+ */
+function scriptedClient(responses, options = {}) {
+  const requests = [];
+  const sleeps = [];
+  const client = new GitHubClient({
+    fetchImpl: async (url, init) => {
+      requests.push({ url, method: init.method, headers: init.headers });
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return typeof next === 'function' ? next() : next;
+    },
+    sleep: async ms => { sleeps.push(ms); },
+    random: () => 1,
+    ...options
+  });
+  return { client, requests, sleeps };
+}
+
+test('GET responses are revalidated with their ETag and served from the cache on 304', async () => {
+  const { client, requests } = scriptedClient([
+    Response.json({ name: 'homelab' }, { headers: { etag: '"v1"', 'x-ratelimit-remaining': '4999', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': '1900000000' } }),
+    new Response(null, { status: 304 })
+  ]);
+
+  assert.deepEqual(await (await client.fetch(URL)).json(), { name: 'homelab' });
+  const cached = await client.fetch(URL);
+
+  assert.equal(cached.status, 200);
+  assert.deepEqual(await cached.json(), { name: 'homelab' });
+  assert.equal(requests[0].headers.get('if-none-match'), null);
+  assert.equal(requests[1].headers.get('if-none-match'), '"v1"');
+
+  const usage = client.usage();
+  assert.equal(usage.requests, 2);
+  assert.equal(usage.not_modified, 1);
+  assert.deepEqual(usage.resources.core, { spent: 1, limit: 5000, remaining: 4999, reset_at: new Date(1900000000 * 1000).toISOString() });
+});
+
+test('server errors and network failures of idempotent requests retry with backoff', async () => {
+  const { client, sleeps } = scriptedClient([
+    new Response('', { status: 502 }),
+    new TypeError('fetch failed'),
+    Response.json({ ok: true })
+  ]);
+
+  const response = await client.fetch(URL);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(sleeps, [1000, 2000]);
+  assert.equal(client.usage().retries, 2);
+});
+
+test('POST requests are not retried after a server error', async () => {
+  const { client, requests } = scriptedClient([new Response('', { status: 502 })], { writeIntervalMs: 0 });
+
+  const response = await client.fetch(`${URL}/pulls`, { method: 'POST', body: '{}' });
+
+  assert.equal(response.status, 502);
+  assert.equal(requests.length, 1);
+});
+
+test('rate limited requests wait for Retry-After unless it exceeds maxWaitMs', async () => {
+  const limited = () => new Response('{"message":"You have exceeded a secondary rate limit"}', { status: 403, headers: { 'retry-after': '3' } });
+
+  const { client, sleeps } = scriptedClient([limited(), Response.json({ ok: true })]);
+  assert.equal((await client.fetch(URL)).status, 200);
+  assert.deepEqual(sleeps, [3000]);
+
+  // Webhook clients give up instead of outliving their request
+  const { client: short, sleeps: shortSleeps } = scriptedClient([limited()], { maxWaitMs: 2000 });
+  assert.equal((await short.fetch(URL)).status, 403);
+  assert.deepEqual(shortSleeps, []);
+
+  // Without Retry-After a secondary limit waits a minute, too long for them as well
+  const { client: secondary } = scriptedClient([new Response('{"message":"secondary rate limit"}', { status: 403 })], { maxWaitMs: 5000 });
+  assert.equal((await secondary.fetch(URL)).status, 403);
+});
+
+test('at most maxConcurrency requests are in flight', async () => {
+  let active = 0;
+  let peak = 0;
+  const client = new GitHubClient({
+    maxConcurrency: 2,
+    fetchImpl: async () => {
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return Response.json({});
+    }
+  });
+
+  await Promise.all(Array.from({ length: 6 }, (_, index) => client.fetch(`${URL}/contents/${index}`)));
+
+  assert.equal(peak, 2);
+  assert.equal(client.usage().requests, 6);
+});
+
+test('authenticate supplies a token unless the request brings its own', async () => {
+  const { client, requests } = scriptedClient([Response.json({}), Response.json({})], {
+    authenticate: async url => url.includes('/repos/edcet/') ? 'installation-token' : null
+  });
+
+  await client.fetch(URL);
+  await client.fetch(URL, { headers: { Authorization: 'Bearer explicit' } });
+
+  assert.equal(requests[0].headers.get('authorization'), 'Bearer installation-token');
+  assert.equal(requests[1].headers.get('authorization'), 'Bearer explicit');
+});
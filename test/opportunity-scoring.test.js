@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatScore, isRejected, rankOpportunities, scoreOpportunity, sharedFindings } from '../automation/opportunity-scoring.js';
+
+const HARDENING = { type: 'security-hardening', priority: 'high' };
+
+/**
+ * A changed file whose diff adds `lines` lines
+ */
+function added(path, lines) {
+  const body = Array.from({ length: lines }, (_, index) => `+line ${index}`).join('\n');
+  return { path, status: 'modified', diff: `--- a/${path}\n+++ b/${path}\n@@ -0,0 +1,${lines} @@\n${body}` };
+}
+
+const points = score => Object.fromEntries(score.breakdown.map(factor => [factor.factor, factor.points]));
+
+test('scoreOpportunity sums the five factors and explains the largest ones', () => {
+  const score = scoreOpportunity(HARDENING, {
+    files: [added('compose.yaml', 100), { path: 'README.md', status: 'unchanged', diff: '' }],
+    vulnerabilities: [{ severity: 'critical' }, { severity: 'MEDIUM' }, { severity: 'low' }],
+    shared: [
+      { type: 'security-hardening', repository: 'edcet/infra' },
+      { type: 'security-hardening', repository: 'edcet/infra' },
+      { type: 'security-hardening', repository: 'edcet/dotfiles' },
+      { type: 'duplication-removal', repository: 'edcet/media' }
+    ],
+    history: { merged: 3, closed: 1 }
+  });
+
+  assert.deepEqual(points(score), { priority: 30, severity: 44, reach: 12, size: 15, history: 7 });
+  assert.equal(score.total, 108);
+  assert.equal(score.rationale, '3 findings, worst `critical`; high priority; 100 changed lines in 1 file');
+});
+
+test('scoreOpportunity caps severity and reach and penalises rejected types', () => {
+  const score = scoreOpportunity(HARDENING, {
+    files: [added('compose.yaml', 1000)],
+    vulnerabilities: Array.from({ length: 10 }, () => ({ severity: 'critical' })),
+    shared: ['a', 'b', 'c', 'd', 'e'].map(name => ({ type: 'security-hardening', repository: `edcet/${name}` })),
+    history: { merged: 0, closed: 4 }
+  });
+
+  assert.deepEqual(points(score), { priority: 30, severity: 50, reach: 24, size: 0, history: -13 });
+});
+
+test('scoreOpportunity only weighs severity for security hardening', () => {
+  const score = scoreOpportunity({ type: 'caching', priority: 'unknown' }, { vulnerabilities: [{ severity: 'critical' }] });
+
+  assert.deepEqual(points(score), { priority: 0, severity: 0, reach: 0, size: 20, history: 0 });
+  assert.equal(score.rationale, '0 changed lines in 0 files');
+});
+
+test('sharedFindings finds scanner rules and workflow clusters in other repositories', () => {
+  const analyses = [
+    { full_name: 'edcet/homelab', security: { vulnerabilities: [{ source: 'scanner', rule_id: 'docker-socket' }] } },
+    { full_name: 'edcet/infra', security: { vulnerabilities: [{ source: 'scanner', rule_id: 'docker-socket' }] } },
+    { full_name: 'edcet/media', security: { vulnerabilities: [{ source: 'model', rule_id: 'docker-socket' }] } },
+    { full_name: 'edcet/dotfiles', security: { vulnerabilities: [{ source: 'scanner', rule_id: 'aws-access-key' }] } }
+  ];
+  const clusters = [
+    { repositories: ['edcet/homelab', 'edcet/media'] },
+    { repositories: ['edcet/infra', 'edcet/dotfiles'] }
+  ];
+
+  assert.deepEqual(sharedFindings('edcet/homelab', [{ rule_id: 'docker-socket' }], analyses, clusters), [
+    { type: 'security-hardening', repository: 'edcet/infra' },
+    { type: 'duplication-removal', repository: 'edcet/media' }
+  ]);
+});
+
+test('rankOpportunities orders by score and keeps ties stable', () => {
+  const ranked = rankOpportunities([
+    { type: 'caching', score: { total: 20 } },
+    { type: 'security-hardening', score: { total: 60 } },
+    { type: 'concurrency', score: { total: 20 } }
+  ]);
+
+  assert.deepEqual(ranked.map(opportunity => opportunity.type), ['security-hardening', 'caching', 'concurrency']);
+});
+
+test('isRejected needs repeated closes without any merge', () => {
+  assert.equal(isRejected({ merged: 0, closed: 3 }), true);
+  assert.equal(isRejected({ merged: 1, closed: 5 }), false);
+  assert.equal(isRejected({ merged: 0, closed: 2 }), false);
+  assert.equal(isRejected(null), false);
+});
+
+test('formatScore renders the breakdown as a table', () => {
+  const text = formatScore(scoreOpportunity(HARDENING, { history: { merged: 0, closed: 1 } }));
+
+  assert.ok(text.startsWith('**Score**: 43 (high priority; 0 changed lines in 0 files; 0 of 1 earlier PRs merged)\n\n| Factor | Points | Basis |\n'));
+  assert.ok(text.includes('| priority | +30 | high priority |\n'));
+  assert.ok(text.includes('| history | -7 | 0 of 1 earlier PRs merged |\n'));
+  assert.ok(text.includes('| reach | 0 | not shared with other repositories |\n'));
+});
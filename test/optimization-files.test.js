@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { optimizeWorkflow, sharedWorkflowPath, toCallerWorkflow, toReusableWorkflow } from '../automation/optimization-files.js';
+import { nodeText, parseMapping } from '../automation/yaml-blocks.js';
+
+const workflow = `name: CI
+on:
+  push:
+    branches: [main]
+
+jobs:
+  lint:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - run: npm run lint # fast
+
+  # Same as lint, kept by accident
+  lint-again:
+    runs-on: ubuntu-latest   # identical apart from comments
+    steps:
+
+      - uses: actions/checkout@v4
+      - run: npm run lint
+
+  test:
+    needs: lint-again
+    runs-on: ubuntu-latest
+    steps:
+      - run: echo "\${{ needs.lint-again.outputs.report }}"
+
+  deploy:
+    needs: [lint, lint-again, test]
+    runs-on: ubuntu-latest
+    steps:
+      - run: ./deploy.sh
+
+  report:
+    needs:
+      - lint-again
+      - deploy
+    runs-on: ubuntu-latest
+    steps:
+      - run: echo done
+`;
+
+test('optimizeWorkflow removes duplicate jobs and points needs at the job that was kept', () => {
+  const { content, changes } = optimizeWorkflow(workflow);
+
+  assert.deepEqual(changes, ['Removed job `lint-again`, an exact duplicate of `lint` (dependents now use `lint`)']);
+  assert.ok(!content.includes('lint-again'));
+  assert.ok(content.includes('  # Same as lint, kept by accident\n  test:\n    needs: lint\n'));
+  assert.ok(content.includes('echo "${{ needs.lint.outputs.report }}"'));
+  assert.ok(content.includes('    needs: [lint, test]\n'));
+  assert.ok(content.includes('    needs:\n      - lint\n      - deploy\n'));
+});
+
+test('optimizeWorkflow keeps jobs that differ after a # inside quotes or a block scalar', () => {
+  const jobs = `on: push
+jobs:
+  first:
+    runs-on: ubuntu-latest
+    steps:
+      - run: echo "issue #1"
+  second:
+    runs-on: ubuntu-latest
+    steps:
+      - run: echo "issue #2"
+  third:
+    runs-on: ubuntu-latest
+    steps:
+      - run: |
+          make build # target one
+  fourth:
+    runs-on: ubuntu-latest
+    steps:
+      - run: |
+          make build # target two
+`;
+
+  const { content, changes } = optimizeWorkflow(jobs);
+
+  assert.deepEqual(changes, []);
+  assert.equal(content, jobs);
+});
+
+test('optimizeWorkflow adds dependency caching and a concurrency group for pull requests', () => {
+  const { content, changes } = optimizeWorkflow(`on: [pull_request]
+jobs:
+  build:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/setup-node@v4
+        with:
+          node-version: 20
+      - uses: actions/setup-python@v5
+`, { packageManager: 'npm', pip: true });
+
+  assert.deepEqual(changes, [
+    'Enabled `npm` dependency caching on 1 actions/setup-node step',
+    'Enabled `pip` dependency caching on 1 actions/setup-python step',
+    'Cancel superseded pull request runs with a `concurrency` group'
+  ]);
+  assert.ok(content.includes('        with:\n          cache: npm\n          node-version: 20\n'));
+  assert.ok(content.includes('      - uses: actions/setup-python@v5\n        with:\n          cache: pip\n'));
+  assert.ok(content.includes('concurrency:\n  group: ${{ github.workflow }}-${{ github.event.pull_request.number || github.run_id }}\n'));
+});
+
+test('toReusableWorkflow and toCallerWorkflow split a workflow at workflow_call', () => {
+  const source = `name: Build
+on:
+  push:
+concurrency: build
+permissions:
+  contents: read
+jobs:
+  build:
+    runs-on: ubuntu-latest
+`;
+
+  assert.equal(toReusableWorkflow(source), `name: Build
+on:
+  workflow_call:
+permissions:
+  contents: read
+jobs:
+  build:
+    runs-on: ubuntu-latest
+`);
+  assert.equal(toCallerWorkflow(source, 'edcet/homelab/.github/workflows/shared-build.yml@main'), `name: Build
+on:
+  push:
+concurrency: build
+permissions:
+  contents: read
+
+jobs:
+  shared:
+    uses: edcet/homelab/.github/workflows/shared-build.yml@main
+    secrets: inherit
+`);
+  assert.equal(sharedWorkflowPath('.github/workflows/build.yml'), '.github/workflows/shared-build.yml');
+  assert.equal(toReusableWorkflow('jobs: {}\n'), null);
+});
+
+test('nodeText ignores comments and indentation but keeps quoted and block scalar #', () => {
+  const lines = [
+    'steps:',
+    '  - run: echo "a # b"   # trailing',
+    '    # own line comment',
+    '  - run: |',
+    '      # not a comment',
+    '',
+    '      make # literal',
+    '  - name: done'
+  ];
+  const [steps] = parseMapping(lines, 0, lines.length).entries;
+
+  assert.equal(nodeText(lines, steps), [
+    'steps:',
+    '  - run: echo "a # b"',
+    '  - run: |',
+    '      # not a comment',
+    '      make # literal',
+    '  - name: done'
+  ].join('\n'));
+});
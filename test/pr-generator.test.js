@@ -0,0 +1,252 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AutonomousPRGenerator } from '../automation/pr-generator.js';
+import { PR_POLICY } from '../automation/pr-policy.js';
+import { createPlanFile } from '../automation/pr-plan.js';
+
+const base64 = text => Buffer.from(text).toString('base64');
+const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+
+/**
+ * Generator whose Octokit is replaced by `octokit`; no request leaves the test
+ */
+function generatorWith(octokit) {
+  const generator = new AutonomousPRGenerator('test-token');
+  generator.octokit = octokit;
+  return generator;
+}
+
+test('getFileContent decodes files and returns null for anything that is not a file', async () => {
+  const entries = {
+    'README.md': { type: 'file', sha: 'readme', encoding: 'base64', content: `${base64('# Homelab ✓\n').slice(0, 8)}\n${base64('# Homelab ✓\n').slice(8)}` },
+    '.github/workflows': [{ type: 'file', path: '.github/workflows/ci.yml' }],
+    'current': { type: 'symlink', sha: 'link', target: 'releases/v2' }
+  };
+  const generator = generatorWith({
+    repos: { getContent: async ({ path }) => { if (!(path in entries)) throw notFound(); return { data: entries[path] }; } }
+  });
+
+  assert.equal(await generator.getFileContent('edcet/homelab', 'main', 'README.md'), '# Homelab ✓\n');
+  assert.equal(await generator.getFileContent('edcet/homelab', 'main', '.github/workflows'), null);
+  assert.equal(await generator.getFileContent('edcet/homelab', 'main', 'current'), null);
+  assert.equal(await generator.getFileContent('edcet/homelab', 'main', 'missing.yml'), null);
+});
+
+test('getFileContent reads files over 1 MB through the blob API', async () => {
+  const requests = [];
+  const generator = generatorWith({
+    repos: { getContent: async () => ({ data: { type: 'file', sha: 'large', encoding: 'none', content: '' } }) },
+    git: { getBlob: async params => { requests.push(params); return { data: { sha: 'large', encoding: 'base64', content: base64('x: 1\n') } }; } }
+  });
+
+  assert.equal(await generator.getFileContent('edcet/homelab', 'main', 'values.yaml'), 'x: 1\n');
+  assert.deepEqual(requests, [{ owner: 'edcet', repo: 'homelab', file_sha: 'large' }]);
+});
+
+const HOMELAB = { full_name: 'edcet/homelab', owner: 'edcet', name: 'homelab', visibility: 'public' };
+const BASE = { name: 'main', sha: 'a1b2c3d4e5f6' };
+
+/**
+ * A planned PR adding one workflow on the generator's branch for `type`
+ */
+function plannedPR(type, overrides = {}) {
+  return {
+    type,
+    priority: 'high',
+    action: 'create',
+    branch: `intelligence/optimize-${type}`,
+    title: `🧠 ${type}`,
+    body: 'Planned by the dry run',
+    labels: ['intelligence'],
+    files: [{ path: `.github/workflows/${type}.yml`, content: 'name: CI\n', status: 'added', diff: '+name: CI' }],
+    ...overrides
+  };
+}
+
+/**
+ * Generator for `policy` whose GitHub helpers are mocked: the constellation
+ * is homelab on `BASE`, files do not exist yet and verification passes.
+ * Created and closed PRs are recorded.
+ */
+function applyingGenerator(t, { policy = PR_POLICY, openPRs = new Map(), base = BASE } = {}) {
+  const generator = new AutonomousPRGenerator('test-token', null, undefined, policy);
+  generator.repositories = [HOMELAB];
+  const created = [];
+  const closed = [];
+  t.mock.method(generator, 'getDefaultBranch', async () => base);
+  t.mock.method(generator, 'getOpenIntelligencePRs', async () => openPRs);
+  t.mock.method(generator, 'getFileContent', async () => null);
+  t.mock.method(generator, 'verifyPRFiles', async () => []);
+  t.mock.method(generator, 'countPRsOpenedToday', async () => 0);
+  t.mock.method(generator, 'createOptimizationPR', async (fullName, spec) => {
+    created.push(spec.type);
+    return { number: 10 + created.length, type: spec.type, action: 'created' };
+  });
+  t.mock.method(generator, 'closePullRequest', async (fullName, pullRequest) => { closed.push(pullRequest.number); });
+  return { generator, created, closed };
+}
+
+test('applyPlan opens and closes exactly the planned PRs', async t => {
+  const { generator, created, closed } = applyingGenerator(t);
+  const plan = await createPlanFile([{
+    repository: 'homelab',
+    owner: 'edcet',
+    base: BASE,
+    opportunities: [plannedPR('security-hardening'), plannedPR('ci-enhancement', { action: 'skip', reason: 'already up to date' })],
+    close: [{ number: 4, url: 'u', branch: 'intelligence/optimize-duplication-removal', type: 'duplication-removal', reason: 'no longer needed' }]
+  }]);
+
+  const results = await generator.applyPlan(plan);
+
+  assert.deepEqual(results, [
+    { repository: 'edcet/homelab', type: 'security-hardening', pr: { number: 11, type: 'security-hardening', action: 'created' } },
+    { repository: 'edcet/homelab', type: 'ci-enhancement', skipped: 'already up to date' },
+    { repository: 'edcet/homelab', type: 'duplication-removal', closed: plan.repositories[0].close[0] }
+  ]);
+  assert.deepEqual(created, ['security-hardening']);
+  assert.deepEqual(closed, [4]);
+});
+
+test('applyPlan refuses invalid plans, unknown repositories and moved branches', async t => {
+  t.mock.method(console, 'error', () => {});
+  const { generator, created } = applyingGenerator(t, { base: { name: 'main', sha: 'ffffff000000' } });
+  const entry = { repository: 'homelab', owner: 'edcet', base: BASE, opportunities: [plannedPR('security-hardening')], close: [] };
+
+  await assert.rejects(generator.applyPlan({ ...await createPlanFile([entry]), version: 2 }), /Invalid plan file/);
+
+  const results = await generator.applyPlan(await createPlanFile([entry, { ...entry, owner: 'someone-else' }]));
+
+  assert.deepEqual(results, [
+    { repository: 'edcet/homelab', error: 'main moved from a1b2c3d to ffffff0 since the plan was generated, re-run the dry run' },
+    { repository: 'someone-else/homelab', error: 'someone-else/homelab is not in the constellation, refusing to apply its plan' }
+  ]);
+  assert.deepEqual(created, []);
+});
+
+test('applyPlan checks open PRs and the daily budget again', async t => {
+  const openPRs = new Map([['ci-enhancement', [{ number: 3 }]]]);
+  const { generator, created } = applyingGenerator(t, { policy: { ...PR_POLICY, daily_pr_budget: 1 }, openPRs });
+  const plan = await createPlanFile([{
+    repository: 'homelab',
+    owner: 'edcet',
+    base: BASE,
+    opportunities: [
+      plannedPR('ci-enhancement'),
+      plannedPR('security-hardening'),
+      plannedPR('duplication-removal'),
+      plannedPR('performance-optimization', { action: 'update', pull_request: { number: 8, url: 'u', branch: 'intelligence/optimize-performance-optimization' } })
+    ],
+    close: []
+  }]);
+
+  const results = await generator.applyPlan(plan);
+
+  assert.deepEqual(results.map(result => result.error || result.pr.number), [
+    '#3 was opened for ci-enhancement since the plan was generated, re-run the dry run',
+    11,
+    'Blocked by policy: daily_pr_budget: 1 of 1 PRs already opened today (UTC)',
+    '#8 is no longer the open performance-optimization PR, re-run the dry run'
+  ]);
+  assert.deepEqual(created, ['security-hardening']);
+});
+
+const MERGED = {
+  number: 5,
+  title: 'Add CI',
+  type: 'ci-enhancement',
+  state: 'merged',
+  merge_commit_sha: 'merge5',
+  merged_at: new Date().toISOString()
+};
+
+const FAILED_RUN = {
+  id: 77,
+  workflow_id: 3,
+  name: 'CI',
+  run_number: 12,
+  html_url: 'https://github.com/edcet/homelab/actions/runs/77',
+  head_sha: 'merge5',
+  head_branch: 'main',
+  created_at: new Date().toISOString()
+};
+
+/**
+ * Generator for rolling back `MERGED`, which changed ci.yml and added
+ * new.yml in a merge commit. `contents` maps refs to files, `previous` is the
+ * conclusion of the run before `FAILED_RUN` and `pulls` the revert PRs found.
+ */
+function rollbackGenerator(t, { contents = {}, previous = 'success', pulls = [] } = {}) {
+  const files = {
+    before: { '.github/workflows/ci.yml': 'name: CI\n' },
+    merge5: { '.github/workflows/ci.yml': 'name: CI v2\n', '.github/workflows/new.yml': 'name: New\n' },
+    main: { '.github/workflows/ci.yml': 'name: CI v2\n', '.github/workflows/new.yml': 'name: New\n' },
+    ...contents
+  };
+  const generator = generatorWith({
+    actions: {
+      listWorkflowRuns: async () => ({
+        data: { workflow_runs: [FAILED_RUN, { head_sha: 'before', conclusion: previous, created_at: '2026-01-01T00:00:00Z' }] }
+      }),
+      listJobsForWorkflowRun: async () => ({
+        data: { jobs: [{ id: 1, name: 'build', conclusion: 'failure', html_url: 'https://github.com/job/1', steps: [{ name: 'Run tests', conclusion: 'failure' }] }] }
+      }),
+      downloadJobLogsForWorkflowRun: async () => ({ data: '2026-10-19T00:00:00.000Z ##[group]Run npm test\nok 1\nError: 2 tests failed\n' })
+    },
+    pulls: { list: async () => ({ data: pulls }) },
+    git: { getCommit: async () => ({ data: { parents: [{ sha: 'before' }, { sha: 'pr-head' }] } }) },
+    repos: {
+      compareCommits: async () => ({
+        data: { files: [{ filename: '.github/workflows/ci.yml', status: 'modified' }, { filename: '.github/workflows/new.yml', status: 'added' }] }
+      })
+    }
+  });
+  generator.repositories = [HOMELAB];
+
+  const created = [];
+  t.mock.method(generator, 'getDefaultBranch', async () => ({ name: 'main', sha: 'merge5' }));
+  t.mock.method(generator, 'getBranchSha', async () => { throw notFound(); });
+  t.mock.method(generator, 'getFileContent', async (fullName, ref, path) => files[ref]?.[path] ?? null);
+  t.mock.method(generator, 'countPRsOpenedToday', async () => 0);
+  t.mock.method(generator, 'createOptimizationPR', async (fullName, spec) => {
+    created.push(spec);
+    return { number: 13, type: spec.type, action: 'created' };
+  });
+  return { generator, created };
+}
+
+test('rollbackBrokenMerge opens a revert PR restoring the files before the merge', async t => {
+  const { generator, created } = rollbackGenerator(t);
+
+  const result = await generator.rollbackBrokenMerge('edcet/homelab', MERGED, { run: FAILED_RUN });
+
+  assert.deepEqual(result, { pr: { number: 13, type: 'revert', action: 'created' } });
+  const [spec] = created;
+  assert.equal(spec.branch, 'intelligence/revert-5');
+  assert.equal(spec.title, '⏪ Revert #5: Add CI');
+  assert.deepEqual(spec.files, [
+    { path: '.github/workflows/ci.yml', content: 'name: CI\n' },
+    { path: '.github/workflows/new.yml', content: null }
+  ]);
+  assert.ok(spec.body.includes('[CI #12](https://github.com/edcet/homelab/actions/runs/77) failed on `main`'));
+  assert.ok(spec.body.includes('**build** failed at `Run tests` ([log](https://github.com/job/1))\n\n```\nError: 2 tests failed\n```'));
+  assert.ok(spec.body.includes('- `.github/workflows/new.yml` deleted, the PR added it\n'));
+});
+
+test('rollbackBrokenMerge skips merges it cannot or should not revert', async t => {
+  const skipped = async (record, options) => {
+    const { generator, created } = rollbackGenerator(t, options);
+    const result = await generator.rollbackBrokenMerge('edcet/homelab', record, { run: FAILED_RUN });
+    assert.deepEqual(created, []);
+    return result.skipped;
+  };
+
+  assert.equal(await skipped({ ...MERGED, state: 'open' }), '#5 is not merged');
+  assert.equal(await skipped({ ...MERGED, merged_at: '2026-01-01T00:00:00Z' }), '#5 was merged more than 24h ago');
+  assert.equal(await skipped({ ...MERGED, merge_commit_sha: 'other' }), 'no failed workflow run on main for the merge commit of #5');
+  assert.equal(await skipped(MERGED, { previous: 'failure' }), 'CI was already failing on main before #5 was merged');
+  assert.equal(await skipped(MERGED, { pulls: [{ number: 9 }] }), '#5 already has a revert branch `intelligence/revert-5`');
+  assert.equal(
+    await skipped(MERGED, { contents: { main: { '.github/workflows/ci.yml': 'name: CI v3\n', '.github/workflows/new.yml': 'name: New\n' } } }),
+    'cannot revert #5 automatically, changed since the merge: `.github/workflows/ci.yml`'
+  );
+});
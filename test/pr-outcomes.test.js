@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WITHDRAWN_LABEL, intelligencePRType, isWithdrawn, outcomeStats, pullRequestRecord } from '../shared/pr-outcomes.js';
+
+const repo = { full_name: 'edcet/homelab', name: 'homelab', owner: { login: 'edcet' } };
+
+function pull({ number = 1, ref = 'intelligence/optimize-ci-enhancement', labels = ['intelligence', 'ci-enhancement'], ...fields } = {}) {
+  return {
+    number,
+    state: 'open',
+    html_url: `https://github.com/edcet/homelab/pull/${number}`,
+    title: 'Optimize CI',
+    user: { login: 'homelab-intelligence[bot]' },
+    labels: labels.map(name => ({ name })),
+    head: { ref, sha: `head-${number}`, repo },
+    base: { ref: 'main', repo },
+    created_at: '2026-10-01T00:00:00Z',
+    updated_at: '2026-10-02T00:00:00Z',
+    ...fields
+  };
+}
+
+test('intelligencePRType needs the label, an intelligence branch and the same repository', () => {
+  assert.equal(intelligencePRType(pull()), 'ci-enhancement');
+  assert.equal(intelligencePRType(pull({ ref: 'intelligence/revert-12', labels: ['intelligence', 'rollback'] })), 'revert');
+  assert.equal(intelligencePRType(pull({ ref: 'intelligence/optimize-security-hardening-1718000000000', labels: ['intelligence'] })), 'security-hardening');
+
+  assert.equal(intelligencePRType(pull({ labels: ['ci-enhancement'] })), null);
+  assert.equal(intelligencePRType(pull({ ref: 'feature/ci' })), null);
+  assert.equal(intelligencePRType(pull({ head: { ref: 'intelligence/optimize-ci-enhancement', repo: { full_name: 'fork/homelab' } } })), null);
+});
+
+test('pullRequestRecord tells withdrawn PRs from rejected ones by the withdrawn label', () => {
+  const rejected = pull({ state: 'closed', closed_at: '2026-10-03T00:00:00Z' });
+  const withdrawn = pull({ state: 'closed', labels: ['intelligence', 'ci-enhancement', WITHDRAWN_LABEL] });
+  const merged = pull({ state: 'closed', merged_at: '2026-10-03T00:00:00Z', merge_commit_sha: 'merge-1', labels: ['intelligence', 'ci-enhancement', WITHDRAWN_LABEL] });
+
+  assert.equal(pullRequestRecord(pull()).state, 'open');
+  assert.equal(pullRequestRecord(rejected).state, 'closed');
+  assert.equal(pullRequestRecord(withdrawn).state, 'withdrawn');
+  assert.equal(pullRequestRecord(merged).state, 'merged');
+  assert.equal(pullRequestRecord(merged).merge_commit_sha, 'merge-1');
+  assert.equal(pullRequestRecord(pull({ labels: [] })), null);
+
+  // Closing the PR as its author is not enough
+  assert.equal(isWithdrawn({ ...rejected, closed_by: rejected.user }), false);
+  assert.equal(isWithdrawn(withdrawn), true);
+  assert.equal(isWithdrawn(merged), false);
+});
+
+test('pullRequestRecord keys the record by owner and repository', () => {
+  const record = pullRequestRecord(pull({ number: 7 }));
+
+  assert.deepEqual(
+    { owner: record.owner, repository: record.repository, number: record.number, type: record.type, branch: record.branch, head_sha: record.head_sha },
+    { owner: 'edcet', repository: 'homelab', number: 7, type: 'ci-enhancement', branch: 'intelligence/optimize-ci-enhancement', head_sha: 'head-7' }
+  );
+});
+
+test('outcomeStats leaves withdrawn PRs out of the merge rate', () => {
+  const now = new Date('2026-10-20T00:00:00Z');
+  const records = [
+    pull({ number: 1, state: 'closed', merged_at: '2026-10-01T12:00:00Z' }),
+    pull({ number: 2, state: 'closed', merged_at: '2026-10-02T00:00:00Z' }),
+    pull({ number: 3, state: 'closed' }),
+    pull({ number: 4, state: 'closed', labels: ['intelligence', 'ci-enhancement', WITHDRAWN_LABEL] }),
+    pull({ number: 5 })
+  ].map(record => pullRequestRecord(record));
+
+  const stats = outcomeStats(records, now)['edcet/homelab']['ci-enhancement'];
+
+  assert.equal(stats.opened, 5);
+  assert.equal(stats.merged, 2);
+  assert.equal(stats.closed, 1);
+  assert.equal(stats.withdrawn, 1);
+  assert.equal(stats.merge_rate, 0.67);
+  assert.equal(stats.median_hours_to_merge, 18);
+  // Untouched since 2026-10-02, more than 14 days before now
+  assert.equal(stats.stale, 1);
+});
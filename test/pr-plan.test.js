@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PLAN_VERSION, createPlanFile, validatePlanFile } from '../automation/pr-plan.js';
+
+/**
+ * One planned PR for `type` on its generator-owned branch
+ */
+function opportunity(type, overrides = {}) {
+  return {
+    type,
+    priority: 'high',
+    action: 'create',
+    branch: `intelligence/optimize-${type}`,
+    title: `🧠 ${type}`,
+    body: 'Planned by the dry run',
+    labels: ['intelligence'],
+    files: [{ path: '.github/workflows/security.yml', content: 'name: Security\n', status: 'added', diff: '+name: Security' }],
+    ...overrides
+  };
+}
+
+function plannedRepository(overrides = {}) {
+  return {
+    repository: 'homelab',
+    owner: 'edcet',
+    base: { name: 'main', sha: 'a1b2c3d4e5f6' },
+    opportunities: [opportunity('security-hardening')],
+    close: [],
+    ...overrides
+  };
+}
+
+test('createPlanFile summarizes the plan and derives a stable id', async () => {
+  const repositories = [
+    plannedRepository({
+      opportunities: [
+        opportunity('security-hardening'),
+        opportunity('ci-enhancement', { action: 'skip', files: [{ path: 'ci.yml', content: '', status: 'unchanged', diff: '' }] })
+      ],
+      close: [{ number: 7, url: 'https://github.com/edcet/homelab/pull/7', branch: 'intelligence/optimize-performance-optimization', type: 'performance-optimization', reason: 'no longer needed' }]
+    })
+  ];
+
+  const plan = await createPlanFile(repositories, { analysisTimestamp: '2026-10-19T00:00:00Z' });
+
+  assert.equal(plan.version, PLAN_VERSION);
+  assert.match(plan.id, /^plan-[0-9a-f]{16}$/);
+  assert.equal(plan.analysis_timestamp, '2026-10-19T00:00:00Z');
+  assert.deepEqual(plan.summary, { repositories: 1, pull_requests: 1, skipped: 1, files: 1, closures: 1 });
+  assert.deepEqual(validatePlanFile(plan), []);
+
+  // The id only depends on the planned changes, not on when they were planned
+  assert.equal((await createPlanFile(repositories)).id, plan.id);
+  assert.notEqual((await createPlanFile([plannedRepository({ base: { name: 'main', sha: 'ffffff' } })])).id, plan.id);
+});
+
+test('validatePlanFile reports schema errors before anything else', async () => {
+  const plan = await createPlanFile([plannedRepository()]);
+
+  assert.equal(validatePlanFile({ ...plan, version: 2 }).length, 1);
+  assert.ok(validatePlanFile({ ...plan, id: 'plan-../../etc' }).some(error => error.startsWith('$.id')));
+  assert.ok(validatePlanFile({ ...plan, repositories: [{ ...plannedRepository(), base: {} }] }).length > 0);
+});
+
+test('validatePlanFile only allows branches the generator owns', async () => {
+  const plan = await createPlanFile([
+    plannedRepository({
+      opportunities: [
+        opportunity('security-hardening', { branch: 'main' }),
+        opportunity('not-a-type'),
+        opportunity('ci-enhancement', { action: 'update', pull_request: { number: 3, url: 'u', branch: 'feature/cache' } }),
+        opportunity('duplication-removal', { action: 'update', pull_request: null })
+      ],
+      close: [{ number: 9, url: 'u', branch: 'release', reason: 'stale' }]
+    })
+  ]);
+
+  const errors = validatePlanFile(plan);
+
+  assert.equal(errors.length, 5);
+  assert.equal(errors[0], '$.homelab.security-hardening.branch: must be intelligence/optimize-security-hardening');
+  assert.ok(errors[1].startsWith('$.homelab.not-a-type.type: must be one of security-hardening'));
+  assert.equal(errors[2], '$.homelab.ci-enhancement.pull_request.branch: must start with intelligence/optimize-');
+  assert.ok(errors[3].startsWith('$.homelab.duplication-removal.pull_request'));
+  assert.equal(errors[4], '$.homelab.close[0].branch: must start with intelligence/optimize-');
+});
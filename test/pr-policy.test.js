@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PR_POLICY,
+  checkDailyBudget,
+  checkPullRequest,
+  checkQuietHours,
+  countChangedLines,
+  formatViolations,
+  normalizePolicy,
+  requiredReviewers
+} from '../automation/pr-policy.js';
+
+const HOMELAB = { owner: 'edcet', name: 'homelab', visibility: 'public' };
+
+/**
+ * A changed file whose diff adds `lines` lines
+ */
+function added(path, lines = 1) {
+  const body = Array.from({ length: lines }, (_, index) => `+line ${index}`).join('\n');
+  return { path, status: 'modified', diff: `--- a/${path}\n+++ b/${path}\n@@ -0,0 +1,${lines} @@\n${body}` };
+}
+
+test('normalizePolicy fills in defaults and rejects invalid policies', () => {
+  const policy = normalizePolicy({
+    defaults: { max_files: 3 },
+    quiet_hours: { start: '22:00', end: '06:00' }
+  });
+
+  assert.equal(policy.defaults.max_files, 3);
+  assert.deepEqual(policy.defaults.protected_paths, PR_POLICY.defaults.protected_paths);
+  assert.deepEqual(policy.quiet_hours, { start: '22:00', end: '06:00', timezone: 'UTC' });
+  assert.equal(policy.daily_pr_budget, null);
+
+  assert.throws(() => normalizePolicy({ defaults: { max_files: 0 } }), /Invalid PR policy/);
+  assert.throws(() => normalizePolicy({ defaults: {}, quiet_hours: { start: '25:00', end: '06:00' } }), /Invalid PR policy/);
+  assert.throws(() => normalizePolicy({ defaults: { required_reviewers: ['not a user'] } }), /Invalid PR policy/);
+});
+
+test('checkPullRequest names the rule behind each violation', () => {
+  const policy = normalizePolicy({
+    defaults: { max_files: 2, max_changed_lines: 5 },
+    repositories: { 'edcet/homelab': { deny_types: ['performance-optimization'], protected_paths: ['ansible/inventory/**'] } }
+  });
+
+  const violations = checkPullRequest(policy, HOMELAB, {
+    type: 'performance-optimization',
+    files: [added('ansible/inventory/hosts.yml', 2), added('config/.env'), added('README.md', 3), { path: 'a.yml', status: 'unchanged', diff: '' }]
+  });
+
+  assert.deepEqual(violations.map(violation => violation.rule), [
+    'repositories.edcet/homelab.deny_types',
+    'defaults.max_files',
+    'defaults.max_changed_lines',
+    'repositories.edcet/homelab.protected_paths',
+    'defaults.protected_paths'
+  ]);
+  assert.equal(formatViolations(violations.slice(1, 3)), 'defaults.max_files: changes 3 files, the limit is 2; defaults.max_changed_lines: changes 6 lines, the limit is 5');
+  assert.equal(violations[4].message, 'config/.env is protected by `**/.env`');
+});
+
+test('checkPullRequest applies allowed types and private repositories', () => {
+  const policy = normalizePolicy({
+    defaults: { allow_private: false },
+    repositories: { homelab: { allow_types: ['security-fix'] } }
+  });
+
+  assert.deepEqual(checkPullRequest(policy, HOMELAB, { type: 'security-fix', files: [added('compose.yaml')] }), []);
+  assert.deepEqual(checkPullRequest(policy, { ...HOMELAB, visibility: 'private' }, { type: 'caching', files: [] }), [
+    { rule: 'defaults.allow_private', message: 'homelab is private and private repositories are not allowed' },
+    { rule: 'repositories.homelab.allow_types', message: 'caching is not an allowed PR type for homelab' }
+  ]);
+});
+
+test('checkPullRequest matches protected globs within and across directories', () => {
+  const policy = normalizePolicy({ defaults: { protected_paths: ['docs/*.md', 'charts/?/values.yaml'] } });
+  const blocked = paths => checkPullRequest(policy, HOMELAB, { type: 'docs', files: paths.map(path => added(path)) })
+    .map(violation => violation.message.split(' ')[0]);
+
+  assert.deepEqual(blocked(['docs/setup.md', 'docs/guides/setup.md', 'charts/a/values.yaml', 'charts/ab/values.yaml', 'CODEOWNERS']), [
+    'docs/setup.md',
+    'charts/a/values.yaml'
+  ]);
+});
+
+test('checkQuietHours handles windows spanning midnight and time zones', () => {
+  const overnight = normalizePolicy({ defaults: {}, quiet_hours: { start: '22:00', end: '06:00' } });
+
+  assert.deepEqual(checkQuietHours(overnight, new Date('2026-10-19T23:30:00Z')), {
+    rule: 'quiet_hours',
+    message: 'no PRs between 22:00 and 06:00 UTC (now 23:30)'
+  });
+  assert.ok(checkQuietHours(overnight, new Date('2026-10-19T05:59:00Z')));
+  assert.equal(checkQuietHours(overnight, new Date('2026-10-19T06:00:00Z')), null);
+  assert.equal(checkQuietHours(normalizePolicy({ defaults: {} }), new Date('2026-10-19T23:30:00Z')), null);
+
+  const berlin = normalizePolicy({ defaults: {}, quiet_hours: { start: '09:00', end: '17:00', timezone: 'Europe/Berlin' } });
+  // 07:30 UTC is 09:30 in Berlin summer time
+  assert.ok(checkQuietHours(berlin, new Date('2026-07-01T07:30:00Z')));
+  assert.equal(checkQuietHours(berlin, new Date('2026-07-01T15:30:00Z')), null);
+});
+
+test('checkDailyBudget blocks once the budget is used up', () => {
+  const policy = normalizePolicy({ defaults: {}, daily_pr_budget: 2 });
+
+  assert.equal(checkDailyBudget(policy, 1), null);
+  assert.deepEqual(checkDailyBudget(policy, 2), { rule: 'daily_pr_budget', message: '2 of 2 PRs already opened today (UTC)' });
+  assert.equal(checkDailyBudget(normalizePolicy({ defaults: {} }), 100), null);
+});
+
+test('requiredReviewers splits users from team slugs', () => {
+  const policy = normalizePolicy({
+    defaults: {},
+    repositories: { homelab: { required_reviewers: ['edcet', 'edcet/platform'] } }
+  });
+
+  assert.deepEqual(requiredReviewers(policy, HOMELAB), {
+    rule: 'repositories.homelab.required_reviewers',
+    reviewers: ['edcet'],
+    team_reviewers: ['platform']
+  });
+  assert.deepEqual(requiredReviewers(policy, { owner: 'edcet', name: 'dotfiles' }), {
+    rule: 'defaults.required_reviewers',
+    reviewers: [],
+    team_reviewers: []
+  });
+});
+
+test('countChangedLines skips the file header', () => {
+  assert.equal(countChangedLines('--- a/x\n+++ b/x\n@@ -1,2 +1,2 @@\n-old\n+new\n context'), 2);
+  assert.equal(countChangedLines(), 0);
+});
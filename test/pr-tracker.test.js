@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { failedDefaultBranchRun, lifecycleUpdate, pollRepository, rollbackCandidates } from '../edge/workers/pr-tracker.js';
+
+const REPO = { full_name: 'edcet/homelab', name: 'homelab', owner: { login: 'edcet' } };
+
+/**
+ * A PR on `branch` of homelab with the intelligence label
+ */
+function pull(number, branch, fields = {}) {
+  return {
+    number,
+    html_url: `https://github.com/edcet/homelab/pull/${number}`,
+    title: `PR ${number}`,
+    state: 'open',
+    labels: [{ name: 'intelligence' }],
+    user: { login: 'homelab-intelligence[bot]' },
+    head: { ref: branch, sha: `head${number}`, repo: REPO },
+    base: { ref: 'main', repo: REPO },
+    updated_at: '2026-10-19T00:00:00Z',
+    ...fields
+  };
+}
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const hoursAgo = hours => new Date(NOW - hours * 60 * 60 * 1000).toISOString();
+
+/**
+ * A `workflow_run` delivery for a run on `branch` of a repository whose
+ * default branch is main
+ */
+function workflowRun(run, { action = 'completed' } = {}) {
+  return {
+    action,
+    repository: { name: 'homelab', default_branch: 'main', owner: { login: 'edcet' } },
+    workflow_run: { id: 1, name: 'CI', conclusion: 'failure', event: 'push', head_branch: 'main', head_sha: 'merge1', ...run }
+  };
+}
+
+test('failedDefaultBranchRun only reports failed pushes to the default branch', () => {
+  const payload = workflowRun();
+  assert.equal(failedDefaultBranchRun('workflow_run', payload), payload.workflow_run);
+
+  assert.equal(failedDefaultBranchRun('check_suite', payload), null);
+  assert.equal(failedDefaultBranchRun('workflow_run', workflowRun({}, { action: 'requested' })), null);
+  assert.equal(failedDefaultBranchRun('workflow_run', workflowRun({ conclusion: 'success' })), null);
+  assert.equal(failedDefaultBranchRun('workflow_run', workflowRun({ event: 'pull_request' })), null);
+  assert.equal(failedDefaultBranchRun('workflow_run', workflowRun({ head_branch: 'intelligence/optimize-ci-enhancement' })), null);
+  assert.equal(failedDefaultBranchRun('workflow_run', { action: 'completed' }), null);
+});
+
+test('rollbackCandidates keeps recent merges that were not rolled back yet', () => {
+  const merged = (number, fields = {}) => ({ number, state: 'merged', type: 'ci-enhancement', merge_commit_sha: `merge${number}`, merged_at: hoursAgo(1), ...fields });
+  const records = [
+    merged(1),
+    merged(2, { merged_at: hoursAgo(25) }),
+    merged(3, { rollback: { pr: { number: 9 } } }),
+    merged(4, { type: 'revert' }),
+    merged(5, { merge_commit_sha: null }),
+    { number: 6, state: 'open', type: 'ci-enhancement', merge_commit_sha: null, merged_at: null },
+    merged(7, { merged_at: hoursAgo(24) })
+  ];
+
+  assert.deepEqual(rollbackCandidates(records, 24, NOW).map(record => record.number), [1, 7]);
+});
+
+test('lifecycleUpdate turns intelligence PR events into records', () => {
+  const update = lifecycleUpdate('pull_request', { action: 'closed', pull_request: pull(4, 'intelligence/optimize-ci-enhancement', { state: 'closed', merged_at: '2026-10-19T01:00:00Z', merge_commit_sha: 'merge4' }) });
+
+  assert.equal(update.records.length, 1);
+  const [record] = update.records;
+  assert.deepEqual([record.owner, record.repository, record.number], ['edcet', 'homelab', 4]);
+  assert.deepEqual([record.type, record.state, record.merge_commit_sha], ['ci-enhancement', 'merged', 'merge4']);
+
+  // Other PRs, including unlabeled ones, are not tracked
+  assert.equal(lifecycleUpdate('pull_request', { pull_request: pull(5, 'feature/x') }), null);
+  assert.equal(lifecycleUpdate('pull_request', { pull_request: pull(6, 'intelligence/optimize-ci-enhancement', { labels: [] }) }), null);
+});
+
+test('lifecycleUpdate passes check suites of PRs on to the store', () => {
+  const suite = { id: 1, head_sha: 'head4', conclusion: 'failure', pull_requests: [{ number: 4 }, { number: 7 }] };
+  const repository = { name: 'homelab', owner: { login: 'edcet' } };
+
+  assert.deepEqual(lifecycleUpdate('check_suite', { check_suite: suite, repository }), {
+    check_suites: [{ owner: 'edcet', repository: 'homelab', numbers: [4, 7], suite }]
+  });
+  assert.equal(lifecycleUpdate('check_suite', { check_suite: { ...suite, pull_requests: [] }, repository }), null);
+  assert.equal(lifecycleUpdate('workflow_run', workflowRun()), null);
+});
+
+test('pollRepository returns changed records and the check suites of open PRs', async () => {
+  const requests = [];
+  const responses = {
+    '/pulls?state=all&sort=updated&direction=desc&per_page=100': [
+      pull(3, 'intelligence/optimize-security-hardening'),
+      pull(2, 'intelligence/optimize-ci-enhancement', { state: 'closed', updated_at: '2026-10-18T00:00:00Z' }),
+      pull(1, 'feature/unrelated')
+    ],
+    '/commits/head3/check-suites?per_page=100': { check_suites: [{ id: 30, head_sha: 'head3' }] }
+  };
+  const fetchImpl = async (url, init) => {
+    requests.push({ url, headers: init.headers });
+    return Response.json(responses[url.replace('https://api.github.com/repos/edcet/homelab', '')]);
+  };
+
+  const result = await pollRepository({ owner: 'edcet', name: 'homelab' }, 'secret', [{ number: 2, updated_at: '2026-10-18T00:00:00Z' }], { fetchImpl });
+
+  assert.deepEqual(result.records.map(record => [record.number, record.state]), [[3, 'open']]);
+  assert.deepEqual(result.check_suites, [{ owner: 'edcet', repository: 'homelab', numbers: [3], suite: { id: 30, head_sha: 'head3' } }]);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].headers.Authorization, 'Bearer secret');
+});
+
+test('pollRepository reports GitHub errors', async () => {
+  const fetchImpl = async () => new Response('{"message":"Not Found"}', { status: 404, statusText: 'Not Found' });
+
+  await assert.rejects(pollRepository({ owner: 'edcet', name: 'homelab' }, null, [], { fetchImpl }), /GitHub API error: 404 Not Found/);
+});
@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONTENT_LIMITS, buildFingerprint, fetchRepositoryContents, formatContentsForPrompt, selectKeyFiles } from '../edge/workers/repository-contents.js';
+
+const API = 'https://api.github.com/repos/edcet/homelab';
+
+const blob = (path, size = 100) => ({ path, type: 'blob', size, sha: `sha-${path}` });
+
+/**
+ * `fetchImpl` answering the tree and contents endpoints from `tree` and
+ * `files`; paths missing from `files` get a 404. Requests are recorded.
+ */
+function stubGitHub({ tree = [], truncated = false, treeStatus = 200, files = {} }) {
+  const requests = [];
+  const fetchImpl = async (url, init) => {
+    requests.push({ url, headers: init.headers });
+    if (url.startsWith(`${API}/git/trees/`)) {
+      return treeStatus === 200
+        ? Response.json({ sha: 'root', tree, truncated })
+        : new Response('{"message":"Not Found"}', { status: treeStatus, statusText: 'Not Found' });
+    }
+
+    const path = decodeURIComponent(new URL(url).pathname.replace('/repos/edcet/homelab/contents/', ''));
+    return path in files
+      ? new Response(files[path], { status: 200 })
+      : new Response('{"message":"Not Found"}', { status: 404, statusText: 'Not Found' });
+  };
+  return { fetchImpl, requests };
+}
+
+test('fetchRepositoryContents fetches key files and fingerprints them', async () => {
+  const { fetchImpl, requests } = stubGitHub({
+    tree: [blob('package.json'), blob('src/index.ts'), blob('package-lock.json'), { path: 'src', type: 'tree', sha: 'sha-src' }],
+    files: { 'package.json': JSON.stringify({ name: 'homelab', devDependencies: { typescript: '^5.0.0' } }) }
+  });
+
+  const contents = await fetchRepositoryContents('edcet', 'homelab', 'main', 'secret', { fetchImpl });
+
+  assert.deepEqual(contents.errors, []);
+  assert.deepEqual(contents.files.map(file => [file.path, file.kind]), [['package.json', 'package']]);
+  assert.deepEqual(contents.fingerprint.technologies, ['node', 'typescript']);
+  assert.equal(contents.inventory.total_files, 3);
+  assert.equal(contents.inventory.tree_truncated, false);
+  assert.deepEqual(contents.inventory.stack_markers, { node: ['package-lock.json'] });
+
+  assert.equal(requests[0].url, `${API}/git/trees/main?recursive=1`);
+  assert.equal(requests[0].headers.Authorization, 'Bearer secret');
+  assert.equal(requests[1].url, `${API}/contents/package.json?ref=main`);
+  assert.equal(requests[1].headers.Accept, 'application/vnd.github.raw');
+});
+
+test('fetchRepositoryContents reports a truncated tree in the inventory', async () => {
+  const { fetchImpl } = stubGitHub({
+    tree: [blob('deploy.sh')],
+    truncated: true,
+    files: { 'deploy.sh': '#!/bin/bash\nset -euo pipefail\n' }
+  });
+
+  const contents = await fetchRepositoryContents('edcet', 'homelab', 'main', null, { fetchImpl });
+
+  assert.equal(contents.inventory.tree_truncated, true);
+  assert.deepEqual(contents.fingerprint.details.shell, { scripts: 1, strict_mode: 1 });
+});
+
+test('fetchRepositoryContents returns an empty result when the tree is missing', async () => {
+  const { fetchImpl, requests } = stubGitHub({ treeStatus: 404 });
+
+  const contents = await fetchRepositoryContents('edcet', 'homelab', 'main', null, { fetchImpl });
+
+  assert.deepEqual(contents.errors, ['GitHub tree error: 404 Not Found']);
+  assert.deepEqual(contents.files, []);
+  assert.deepEqual(contents.fingerprint, { technologies: [], details: {} });
+  assert.equal(contents.inventory.total_files, 0);
+  assert.equal(requests.length, 1);
+});
+
+test('fetchRepositoryContents keeps going past missing and binary files', async () => {
+  const { fetchImpl } = stubGitHub({
+    tree: [blob('Pulumi.yaml'), blob('package.json'), blob('scripts/setup.sh')],
+    files: {
+      'Pulumi.yaml': 'name: homelab\nruntime: nodejs\n',
+      'scripts/setup.sh': '\u007fELF\u0002\u0001\u0001\u0000\u0000'
+    }
+  });
+
+  const contents = await fetchRepositoryContents('edcet', 'homelab', 'main', null, { fetchImpl });
+
+  assert.deepEqual(contents.errors, [
+    'package.json: GitHub contents error: 404',
+    'scripts/setup.sh: binary content skipped'
+  ]);
+  assert.deepEqual(contents.files.map(file => file.path), ['Pulumi.yaml']);
+  assert.deepEqual(contents.fingerprint.details.pulumi, { projects: ['homelab'], runtimes: ['nodejs'], uses_esc: false });
+});
+
+test('selectKeyFiles skips oversized, ignored and non-blob entries', () => {
+  const selected = selectKeyFiles([
+    blob('package.json'),
+    blob('node_modules/left-pad/package.json'),
+    blob('docker-compose.yml', CONTENT_LIMITS.max_file_bytes + 1),
+    { path: 'charts/app/Chart.yaml', type: 'tree', sha: 'sha-chart' },
+    blob('README.md')
+  ]);
+
+  assert.deepEqual(selected.map(entry => entry.path), ['package.json']);
+});
+
+test('selectKeyFiles orders by kind priority, then shallow paths first', () => {
+  const selected = selectKeyFiles([
+    blob('scripts/deploy.sh'),
+    blob('apps/web/package.json'),
+    blob('package.json'),
+    blob('Pulumi.yaml')
+  ]);
+
+  assert.deepEqual(selected.map(entry => [entry.path, entry.kind]), [
+    ['Pulumi.yaml', 'pulumi'],
+    ['package.json', 'package'],
+    ['apps/web/package.json', 'package'],
+    ['scripts/deploy.sh', 'shell']
+  ]);
+});
+
+test('selectKeyFiles stays within the count and byte limits', () => {
+  const entries = [blob('a.sh', 40), blob('b.sh', 40), blob('c.sh', 40), blob('d.sh', 10)];
+
+  const byCount = selectKeyFiles(entries, { ...CONTENT_LIMITS, max_files: 2 });
+  assert.deepEqual(byCount.map(entry => entry.path), ['a.sh', 'b.sh']);
+
+  // A file over the remaining budget is skipped, smaller ones still fit
+  const byBytes = selectKeyFiles(entries, { ...CONTENT_LIMITS, max_total_bytes: 90 });
+  assert.deepEqual(byBytes.map(entry => entry.path), ['a.sh', 'b.sh', 'd.sh']);
+
+  const perKind = selectKeyFiles(entries, { ...CONTENT_LIMITS, max_files_per_kind: 1 });
+  assert.deepEqual(perKind.map(entry => entry.path), ['a.sh']);
+});
+
+test('buildFingerprint derives technologies from key file contents', () => {
+  const fingerprint = buildFingerprint([
+    { path: 'package.json', kind: 'package', content: JSON.stringify({ name: 'infra', dependencies: { '@pulumi/pulumi': '^3.0.0' } }) },
+    { path: 'compose.yaml', kind: 'compose', content: 'services:\n  web:\n    image: nginx:1.27\n  db:\n    image: "postgres:16"\n' },
+    { path: 'main.tf', kind: 'terraform', content: 'provider "cloudflare" {}\nmodule "dns" {\n  source = "./dns"\n}\n' },
+    { path: 'charts/app/Chart.yaml', kind: 'helm', content: 'apiVersion: v2\nname: app\n' },
+    { path: 'charts/app/values.yaml', kind: 'helm', content: 'replicas: 1\n' },
+    { path: '.github/workflows/ci.yml', kind: 'workflow', content: 'steps:\n  - uses: actions/checkout@v4\n  - uses: "pulumi/actions@v5"\n' }
+  ]);
+
+  assert.deepEqual(fingerprint.technologies, ['docker', 'docker_compose', 'github_actions', 'helm', 'kubernetes', 'node', 'pulumi', 'terraform']);
+  assert.deepEqual(fingerprint.details.docker_compose, { files: 1, services: ['web', 'db'], images: ['nginx:1.27', 'postgres:16'] });
+  assert.deepEqual(fingerprint.details.terraform, { files: 1, providers: ['cloudflare'], modules: ['dns'] });
+  assert.deepEqual(fingerprint.details.helm, { charts: ['app'] });
+  assert.deepEqual(fingerprint.details.github_actions, { workflows: 1, actions: ['actions/checkout', 'pulumi/actions'] });
+});
+
+test('buildFingerprint ignores package files that are not JSON', () => {
+  assert.deepEqual(buildFingerprint([{ path: 'package.json', kind: 'package', content: '{ broken' }]), { technologies: [], details: {} });
+});
+
+test('formatContentsForPrompt masks secrets and labels the masked files', () => {
+  const token = `ghp_${'x'.repeat(36)}`;
+  const prompt = formatContentsForPrompt({
+    fingerprint: { technologies: ['docker', 'docker_compose'], details: {} },
+    inventory: { total_files: 12, tree_truncated: false },
+    files: [
+      { path: 'compose.yaml', kind: 'compose', content: `services:\n  runner:\n    environment:\n      GITHUB_TOKEN: ${token}\n` },
+      { path: 'scripts/deploy.sh', kind: 'shell', content: '#!/bin/bash\nset -euo pipefail\n' }
+    ]
+  });
+
+  assert.ok(!prompt.includes(token));
+  assert.ok(prompt.includes('--- compose.yaml (compose, secrets masked) ---\nservices:\n  runner:\n    environment:\n      GITHUB_TOKEN: ghp_…********\n'));
+  assert.ok(prompt.includes('--- scripts/deploy.sh (shell) ---\n#!/bin/bash\n'));
+});
+
+test('formatContentsForPrompt stays within its kinds and character budget', () => {
+  const contents = {
+    fingerprint: { technologies: [], details: {} },
+    inventory: { total_files: 3, tree_truncated: true },
+    files: [
+      { path: 'a.sh', kind: 'shell', content: 'a'.repeat(30) },
+      { path: 'b.sh', kind: 'shell', content: 'b'.repeat(30) },
+      { path: 'package.json', kind: 'package', content: '{}' }
+    ]
+  };
+
+  const prompt = formatContentsForPrompt(contents, { kinds: ['shell'], maxCharsPerFile: 20, maxTotalChars: 20 });
+
+  assert.ok(prompt.includes('Files: 3 (tree truncated)'));
+  assert.ok(prompt.includes(`--- a.sh (shell) ---\n${'a'.repeat(20)}\n[truncated]`));
+  assert.ok(prompt.includes('--- b.sh (shell, omitted) ---'));
+  assert.ok(!prompt.includes('package.json'));
+});
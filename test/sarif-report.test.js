@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSarifReport } from '../edge/workers/sarif-report.js';
+
+const SCANNER_FINDING = {
+  source: 'scanner',
+  rule_id: 'secrets/aws-access-key',
+  severity: 'critical',
+  message: 'AWS access key ID committed to the repository',
+  file: './.env',
+  line: 3
+};
+
+test('buildSarifReport turns located findings into results with rules', () => {
+  const report = buildSarifReport({
+    full_name: 'edcet/homelab',
+    security: {
+      compliance_score: 72,
+      vulnerabilities: [
+        SCANNER_FINDING,
+        { title: 'Privileged container', severity: 'HIGH', path: 'compose.yaml', line: 0 },
+        { ...SCANNER_FINDING, file: 'backup/.env', line: 9 }
+      ]
+    }
+  }, { analysisId: 'run-42', timestamp: '2026-10-19T00:00:00Z' });
+
+  assert.equal(report.version, '2.1.0');
+  const [run] = report.runs;
+
+  assert.deepEqual(run.tool.driver.rules.map(rule => [rule.id, rule.defaultConfiguration.level, rule.properties['security-severity']]), [
+    ['secrets/aws-access-key', 'error', '9.5'],
+    ['model/privileged-container', 'error', '8.0']
+  ]);
+  assert.deepEqual(run.results.map(result => [result.ruleId, result.ruleIndex, result.locations[0].physicalLocation]), [
+    ['secrets/aws-access-key', 0, { artifactLocation: { uri: '.env', uriBaseId: '%SRCROOT%' }, region: { startLine: 3 } }],
+    ['model/privileged-container', 1, { artifactLocation: { uri: 'compose.yaml', uriBaseId: '%SRCROOT%' }, region: { startLine: 1 } }],
+    ['secrets/aws-access-key', 0, { artifactLocation: { uri: 'backup/.env', uriBaseId: '%SRCROOT%' }, region: { startLine: 9 } }]
+  ]);
+  assert.deepEqual(run.invocations[0], { executionSuccessful: true, endTimeUtc: '2026-10-19T00:00:00Z', toolExecutionNotifications: [] });
+  assert.deepEqual(run.properties, { repository: 'edcet/homelab', analysis_id: 'run-42', compliance_score: 72 });
+});
+
+test('buildSarifReport reports findings without a file as notifications', () => {
+  const report = buildSarifReport({
+    name: 'homelab',
+    security: { vulnerabilities: ['  Outdated base images  ', '', { title: 'Weak TLS settings', severity: 'low' }, { severity: 'high' }] }
+  });
+  const [run] = report.runs;
+
+  assert.deepEqual(run.results, []);
+  assert.deepEqual(run.tool.driver.rules, []);
+  assert.deepEqual(run.invocations[0].toolExecutionNotifications, [
+    { level: 'warning', message: { text: '[medium] Outdated base images' } },
+    { level: 'note', message: { text: '[low] Weak TLS settings' } }
+  ]);
+  assert.equal(run.properties.analysis_id, null);
+  assert.ok(!('endTimeUtc' in run.invocations[0]));
+});
+
+test('buildSarifReport keeps only scanner findings when the model step failed', () => {
+  const report = buildSarifReport({
+    full_name: 'edcet/homelab',
+    security: {
+      status: 'failed',
+      errors: ['Model timed out'],
+      compliance_score: 40,
+      vulnerabilities: [SCANNER_FINDING, { title: 'Stale model finding', file: 'compose.yaml' }]
+    }
+  });
+  const [run] = report.runs;
+
+  assert.deepEqual(run.results.map(result => result.ruleId), ['secrets/aws-access-key']);
+  assert.deepEqual(run.invocations[0].toolExecutionNotifications, [
+    { level: 'warning', message: { text: 'Model security analysis failed: Model timed out' } }
+  ]);
+  // The model step failing does not fail the scan itself
+  assert.equal(run.invocations[0].executionSuccessful, true);
+  assert.equal(run.properties.compliance_score, null);
+});
+
+test('buildSarifReport marks the run unsuccessful when contents could not be scanned', () => {
+  const report = buildSarifReport({
+    full_name: 'edcet/homelab',
+    content_errors: ['GitHub tree error: 404 Not Found'],
+    security: { vulnerabilities: [] }
+  });
+  const [invocation] = report.runs[0].invocations;
+
+  assert.equal(invocation.executionSuccessful, false);
+  assert.deepEqual(invocation.toolExecutionNotifications, [
+    { level: 'error', message: { text: 'Repository contents could not be scanned: GitHub tree error: 404 Not Found' } }
+  ]);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import worker, { AnalysisStore } from '../edge/workers/repository-analyzer.js';
+
+const SECRET = 'webhook-secret';
+
+/**
+ * Durable Object namespace backed by one in-memory analysis store
+ */
+function storeNamespace() {
+  const data = new Map();
+  const storage = {
+    data,
+    async get(key) { return data.get(key); },
+    async put(key, value) {
+      const entries = typeof key === 'object' ? Object.entries(key) : [[key, value]];
+      for (const [k, v] of entries) data.set(k, structuredClone(v));
+    },
+    async delete(keys) { (Array.isArray(keys) ? keys : [keys]).forEach(key => data.delete(key)); },
+    async list({ prefix = '' } = {}) {
+      return new Map([...data.keys()].filter(key => key.startsWith(prefix)).sort().map(key => [key, data.get(key)]));
+    },
+    async getAlarm() { return null; },
+    async setAlarm() {}
+  };
+  const store = new AnalysisStore({ storage }, {});
+  return {
+    storage,
+    idFromName: name => name,
+    get: () => ({ fetch: (input, init) => store.fetch(new Request(input, init)) })
+  };
+}
+
+function sign(body, secret = SECRET) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+let deliveries = 0;
+
+async function deliver(event, payload, { env, signature, delivery = `delivery-${++deliveries}` } = {}) {
+  const body = JSON.stringify(payload);
+  const background = [];
+  const response = await worker.fetch(new Request('https://worker.test/webhook', {
+    method: 'POST',
+    body,
+    headers: {
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': delivery,
+      'X-Hub-Signature-256': signature ?? sign(body)
+    }
+  }), env, { waitUntil: promise => background.push(promise) });
+  await Promise.all(background);
+  return { status: response.status, body: await response.json(), delivery };
+}
+
+const homelab = { name: 'homelab-production', full_name: 'edcet/homelab-production', default_branch: 'main', owner: { login: 'edcet' } };
+
+test('webhook rejects deliveries without a valid signature', async () => {
+  const env = { GITHUB_WEBHOOK_SECRET: SECRET, HOMELAB_INTELLIGENCE: storeNamespace() };
+
+  assert.equal((await deliver('push', { repository: homelab }, { env, signature: '' })).status, 401);
+  assert.equal((await deliver('push', { repository: homelab }, { env, signature: sign('{}') })).status, 401);
+  assert.equal((await deliver('push', { repository: homelab }, { env, signature: sign(JSON.stringify({ repository: homelab }), 'other-secret') })).status, 401);
+
+  const unconfigured = await deliver('push', { repository: homelab }, { env: { HOMELAB_INTELLIGENCE: env.HOMELAB_INTELLIGENCE } });
+  assert.equal(unconfigured.status, 500);
+  assert.deepEqual(unconfigured.body, { error: 'Webhook secret not configured' });
+
+  const ping = await deliver('ping', { zen: 'Keep it logically awesome.' }, { env });
+  assert.deepEqual([ping.status, ping.body.status], [200, 'pong']);
+});
+
+test('webhook answers a replayed delivery id as a duplicate', async () => {
+  const env = { GITHUB_WEBHOOK_SECRET: SECRET, HOMELAB_INTELLIGENCE: storeNamespace() };
+  const payload = { ref: 'refs/heads/feature', repository: homelab };
+
+  const first = await deliver('push', payload, { env, delivery: 'replayed-1' });
+  const replay = await deliver('push', payload, { env, delivery: 'replayed-1' });
+
+  assert.deepEqual(first.body, { status: 'ignored', reason: 'no_analysis_required', event: 'push' });
+  assert.deepEqual([replay.status, replay.body], [200, { status: 'duplicate', delivery: 'replayed-1' }]);
+  assert.ok(env.HOMELAB_INTELLIGENCE.storage.data.has('delivery:replayed-1'));
+});
+
+test('webhook falls back to the isolate cache for replays when the store is unreachable', async t => {
+  t.mock.method(console, 'error', () => {});
+  const env = {
+    GITHUB_WEBHOOK_SECRET: SECRET,
+    HOMELAB_INTELLIGENCE: { idFromName: name => name, get: () => ({ fetch: async () => { throw new Error('store unavailable'); } }) }
+  };
+  const payload = { ref: 'refs/heads/feature', repository: homelab };
+
+  assert.equal((await deliver('push', payload, { env, delivery: 'isolate-1' })).body.status, 'ignored');
+  assert.equal((await deliver('push', payload, { env, delivery: 'isolate-1' })).body.status, 'duplicate');
+});
+
+test('webhook ignores repositories outside the constellation and unsupported events', async () => {
+  const env = { GITHUB_WEBHOOK_SECRET: SECRET, HOMELAB_INTELLIGENCE: storeNamespace() };
+
+  const untracked = await deliver('push', { ref: 'refs/heads/main', repository: { ...homelab, name: 'dotfiles', full_name: 'edcet/dotfiles' } }, { env });
+  assert.deepEqual([untracked.status, untracked.body.reason], [202, 'repository_not_tracked']);
+
+  const unsupported = await deliver('star', { repository: homelab }, { env });
+  assert.deepEqual([unsupported.status, unsupported.body.reason], [202, 'unsupported_event']);
+});
+
+test('webhook queues an incremental analysis for a push to the default branch', async t => {
+  const errors = t.mock.method(console, 'error', () => {});
+  t.mock.method(globalThis, 'fetch', async () => new Response('{"message":"Not Found"}', { status: 404, statusText: 'Not Found' }));
+  const env = { GITHUB_WEBHOOK_SECRET: SECRET, GITHUB_TOKEN: 'token', HOMELAB_INTELLIGENCE: storeNamespace() };
+
+  const { status, body } = await deliver('push', { ref: 'refs/heads/main', repository: homelab, sender: { login: 'edcet' } }, { env });
+
+  assert.equal(status, 202);
+  assert.equal(body.status, 'analysis_queued');
+  // GitHub answered 404, so the background analysis failed and logged it
+  assert.ok(errors.mock.calls.some(call => String(call.arguments[0]).startsWith('Incremental analysis failed for edcet/homelab-production')));
+});
+
+test('webhook queues a rollback in the store for a failed default branch run', async () => {
+  const env = { GITHUB_WEBHOOK_SECRET: SECRET, HOMELAB_INTELLIGENCE: storeNamespace() };
+  const run = { id: 501, name: 'CI', event: 'push', conclusion: 'failure', head_branch: 'main', head_sha: 'merge-sha' };
+
+  const { status, body } = await deliver('workflow_run', { action: 'completed', workflow_run: run, repository: homelab }, { env });
+
+  assert.deepEqual([status, body.status], [202, 'tracked']);
+  const queued = env.HOMELAB_INTELLIGENCE.storage.data.get('rollback:edcet/homelab-production#501');
+  assert.equal(queued.run.head_sha, 'merge-sha');
+  assert.equal(queued.attempts, 0);
+});